@@ -0,0 +1,49 @@
+import { config } from './config.js';
+import logger from './logger.js';
+
+const MAX_RECENT_ALERTS = 100;
+const recentAlerts = [];
+
+/**
+ * Raise an operator alert: logged at error level, kept in memory for the
+ * API and, when ALERT_WEBHOOK_URL is set, POSTed as JSON to the webhook.
+ * @param {string} type - Short machine-readable alert type
+ * @param {string} message - Human readable summary
+ * @param {Object} details - Extra context
+ */
+export async function sendAlert(type, message, details = {}) {
+  const alert = {
+    type,
+    message,
+    details,
+    timestamp: new Date().toISOString()
+  };
+
+  recentAlerts.push(alert);
+  if (recentAlerts.length > MAX_RECENT_ALERTS) {
+    recentAlerts.shift();
+  }
+
+  logger.error(`🚨 ALERT [${type}] ${message}`, details);
+
+  if (!config.alertWebhookUrl) {
+    return;
+  }
+
+  try {
+    const response = await fetch(config.alertWebhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(alert, (key, value) => (typeof value === 'bigint' ? value.toString() : value))
+    });
+    if (!response.ok) {
+      logger.warn('Alert webhook returned an error', { status: response.status });
+    }
+  } catch (error) {
+    logger.warn('Failed to deliver alert webhook', { error: error.message });
+  }
+}
+
+export function getRecentAlerts() {
+  return [...recentAlerts].reverse();
+}
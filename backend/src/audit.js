@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from './config.js';
+import logger from './logger.js';
+
+const AUDIT_FILE = path.join(process.cwd(), 'relayer-audit.log');
+
+/**
+ * Append an operator decision to the audit trail (one JSON object per line).
+ * The file is only ever appended to.
+ * @param {string} action - e.g. 'hold', 'approve', 'reject'
+ * @param {string} operator - Who took the action ('relayer' for automatic ones)
+ * @param {Object} details - Transfer ID, reason and any other context
+ */
+export function recordAudit(action, operator, details = {}) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    action,
+    operator,
+    ...details
+  };
+
+  try {
+    fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    logger.error('Error writing audit trail', { error: error.message, action, operator });
+  }
+  logger.info(`🧾 Audit: ${action} by ${operator}`, details);
+  return entry;
+}
+
+// Most recent audit entries, newest first
+export function getAuditTrail(limit = 100) {
+  try {
+    if (!fs.existsSync(AUDIT_FILE)) {
+      return [];
+    }
+    return fs.readFileSync(AUDIT_FILE, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map(line => JSON.parse(line))
+      .reverse();
+  } catch (error) {
+    logger.error('Error reading audit trail', { error: error.message });
+    return [];
+  }
+}
+
+const sameToken = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Operator identity for an admin request, from its "Authorization: Bearer <token>"
+ * header and ADMIN_TOKENS. Returns null when the token is missing or unknown.
+ */
+export function authenticateAdmin(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return null;
+  }
+  const entry = config.adminTokens.find(({ token }) => sameToken(token, match[1].trim()));
+  return entry ? entry.operator : null;
+}
@@ -0,0 +1,56 @@
+import logger from './logger.js';
+
+// RPC error messages meaning "ask for fewer blocks", as returned by common
+// BSC / geth / erigon / hosted RPC providers
+const RANGE_ERROR_PATTERNS = [
+  /range too large/i,
+  /block range/i,
+  /too many (results|blocks|logs)/i,
+  /query returned more than/i,
+  /response size (is larger|exceeded)/i,
+  /log response size/i
+];
+
+export function isRangeTooLargeError(error) {
+  const messages = [error.message, error.error?.message, error.info?.error?.message]
+    .filter(Boolean)
+    .join(' ');
+  return RANGE_ERROR_PATTERNS.some(pattern => pattern.test(messages));
+}
+
+/**
+ * Block range size for eth_getLogs scanning. Halves when the RPC rejects a
+ * range and doubles again (up to max) after a run of successful queries.
+ */
+export class AdaptiveBlockRange {
+  constructor(name, { max, min = 1, growAfter = 3 }) {
+    this.name = name;
+    this.max = max;
+    this.min = min;
+    this.growAfter = growAfter;
+    this.size = max;
+    this.successes = 0;
+  }
+
+  // Inclusive [fromBlock, toBlock] for the next query
+  next(lastBlock, currentBlock) {
+    const fromBlock = lastBlock + 1;
+    const toBlock = Math.min(currentBlock, lastBlock + this.size);
+    return { fromBlock, toBlock };
+  }
+
+  recordSuccess() {
+    this.successes++;
+    if (this.size < this.max && this.successes >= this.growAfter) {
+      this.size = Math.min(this.max, this.size * 2);
+      this.successes = 0;
+      logger.debug(`${this.name} block range grown`, { size: this.size });
+    }
+  }
+
+  shrink() {
+    this.successes = 0;
+    this.size = Math.max(this.min, Math.floor(this.size / 2));
+    logger.warn(`${this.name} RPC rejected block range, shrinking`, { size: this.size });
+  }
+}
@@ -0,0 +1,107 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
+import logger from './logger.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { AdaptiveBlockRange, isRangeTooLargeError } from './block-range.js';
+
+const BRIDGES = {
+  BSC: { address: () => config.bscBridgeAddress, abi: BSC_BRIDGE_ABI },
+  UC: { address: () => config.ucBridgeAddress, abi: UC_BRIDGE_ABI }
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Polls both bridges for admin events (ownership, pause) and hands each one
+ * to the handler registered for its name. Scanning starts at the current
+ * block the first time and then resumes where it left off, so events that
+ * happen while the relayer is down are still seen.
+ */
+export class BridgeEventMonitor {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.handlers = new Map();
+    this.isRunning = false;
+    this.bridges = {};
+  }
+
+  // handler(chain, event) is called once per event, oldest first
+  registerHandler(eventName, handler) {
+    this.handlers.set(eventName, handler);
+  }
+
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+
+    for (const [chain, { address, abi }] of Object.entries(BRIDGES)) {
+      const provider = getPooledProvider(chain);
+      this.bridges[chain] = {
+        provider,
+        bridge: new ethers.Contract(address(), abi, provider),
+        range: new AdaptiveBlockRange(`${chain} bridge events`, {
+          max: config.maxBlocksPerQuery,
+          min: config.minBlocksPerQuery,
+          growAfter: config.blockRangeGrowAfter
+        })
+      };
+    }
+
+    logger.info('Watching bridge events', { events: [...this.handlers.keys()] });
+    while (this.isRunning) {
+      for (const chain of Object.keys(this.bridges)) {
+        try {
+          await this.poll(chain);
+        } catch (error) {
+          logger.error(`Error polling ${chain} bridge events`, { error: error.message });
+        }
+      }
+      await sleep(config.circuitBreakerCheckInterval);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  async poll(chain) {
+    const { provider, bridge, range } = this.bridges[chain];
+    const currentBlock = await provider.getBlockNumber();
+
+    let lastBlock = this.stateManager.getLastBridgeEventBlock(chain);
+    if (lastBlock === null) {
+      lastBlock = currentBlock;
+      this.stateManager.setLastBridgeEventBlock(chain, lastBlock);
+    }
+
+    const topics = [...this.handlers.keys()].map(name => bridge.interface.getEvent(name).topicHash);
+    while (this.isRunning && lastBlock < currentBlock) {
+      const { fromBlock, toBlock } = range.next(lastBlock, currentBlock);
+
+      let logs;
+      try {
+        logs = await provider.getLogs({ address: bridge.target, topics: [topics], fromBlock, toBlock });
+      } catch (error) {
+        if (isRangeTooLargeError(error)) {
+          range.shrink();
+          continue;
+        }
+        throw error;
+      }
+      range.recordSuccess();
+
+      for (const log of logs) {
+        const { name, args } = bridge.interface.parseLog(log);
+        const event = { name, args, blockNumber: log.blockNumber, transactionHash: log.transactionHash };
+        logger.info(`📣 ${chain} bridge ${event.name}`, { blockNumber: log.blockNumber, txHash: log.transactionHash });
+        await this.handlers.get(event.name)(chain, event);
+      }
+
+      lastBlock = toBlock;
+      this.stateManager.setLastBridgeEventBlock(chain, toBlock);
+    }
+  }
+}
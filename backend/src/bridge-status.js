@@ -0,0 +1,197 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
+import logger from './logger.js';
+import { jobQueue } from './job-queue.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { sendAlert } from './alerts.js';
+
+const BRIDGES = {
+  BSC: { address: () => config.bscBridgeAddress, abi: BSC_BRIDGE_ABI },
+  UC: { address: () => config.ucBridgeAddress, abi: UC_BRIDGE_ABI }
+};
+
+// Codes on the results of jobs held by a bridge's state
+export const BRIDGE_HOLD_CODES = {
+  PAUSED: 'BRIDGE_PAUSED',
+  OWNERSHIP_LOST: 'BRIDGE_OWNERSHIP_LOST'
+};
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+export class BridgeOwnershipError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BridgeOwnershipError';
+  }
+}
+
+/**
+ * Paused flag, owner and bridge admin of both bridges as the relayer last saw
+ * them. Read from the contracts at start, then kept current from the Paused,
+ * Unpaused, OwnershipTransferred and BridgeAdminUpdated events. Transfers
+ * that would be signed on a paused bridge are held instead of reverting, and
+ * nothing is signed while either bridge is owned by another address. Held
+ * jobs are resubmitted once the bridge is unpaused or ownership returns.
+ */
+export class BridgeStatus {
+  constructor() {
+    this.relayerAddress = null;
+    this.chains = {};
+  }
+
+  async load(relayerAddress) {
+    this.relayerAddress = relayerAddress;
+
+    for (const [chain, { address, abi }] of Object.entries(BRIDGES)) {
+      const bridge = new ethers.Contract(address(), abi, getPooledProvider(chain));
+      const [paused, owner] = await Promise.all([bridge.paused(), bridge.owner()]);
+      this.chains[chain] = { paused, owner, bridgeAdmin: null, updatedAt: Date.now(), lastEvent: null };
+
+      if (paused) {
+        logger.warn(`⏸️ ${chain} bridge is paused, transfers to it are held`);
+      }
+      if (!this.isOwner(chain)) {
+        logger.error(`🔑 ${chain} bridge is not owned by the relayer, signing is stopped`, { owner });
+        await sendAlert('BRIDGE_OWNERSHIP_LOST', `${chain} bridge is owned by ${owner}, not the relayer; nothing will be signed`, { chain, owner });
+      }
+    }
+
+    // Jobs held before a restart whose bridge changed while the relayer was down
+    this.releaseJobs();
+  }
+
+  isOwner(chain) {
+    return sameAddress(this.chains[chain]?.owner, this.relayerAddress);
+  }
+
+  /**
+   * Why nothing may be signed on `chain` right now. Without a chain only
+   * ownership is checked. Bridges not loaded yet (e.g. the watchtower) never
+   * block.
+   * @returns {Object|null} { code, reason } or null
+   */
+  getBlocker(chain) {
+    for (const [name, state] of Object.entries(this.chains)) {
+      if (!this.isOwner(name)) {
+        return { code: BRIDGE_HOLD_CODES.OWNERSHIP_LOST, reason: `${name} bridge is owned by ${state.owner}, not the relayer` };
+      }
+    }
+    if (chain && this.chains[chain]?.paused) {
+      return { code: BRIDGE_HOLD_CODES.PAUSED, reason: `${chain} bridge is paused` };
+    }
+    return null;
+  }
+
+  // Called by the signers before anything is submitted
+  assertCanSign() {
+    const blocker = this.getBlocker();
+    if (blocker) {
+      throw new BridgeOwnershipError(`Signing stopped: ${blocker.reason}`);
+    }
+  }
+
+  recordEvent(chain, event, changes) {
+    Object.assign(this.chains[chain], changes, {
+      updatedAt: Date.now(),
+      lastEvent: { name: event.name, blockNumber: event.blockNumber, txHash: event.transactionHash }
+    });
+  }
+
+  async handlePaused(chain, event) {
+    if (!this.chains[chain]) {
+      return;
+    }
+    this.recordEvent(chain, event, { paused: true });
+
+    logger.warn(`⏸️ ${chain} bridge paused, holding transfers to it`, { account: event.args.account, txHash: event.transactionHash });
+    await sendAlert('BRIDGE_PAUSED', `${chain} bridge was paused by ${event.args.account}; transfers to it are held until it is unpaused`, {
+      chain,
+      account: event.args.account,
+      txHash: event.transactionHash
+    });
+  }
+
+  async handleUnpaused(chain, event) {
+    if (!this.chains[chain]) {
+      return;
+    }
+    this.recordEvent(chain, event, { paused: false });
+
+    logger.info(`▶️ ${chain} bridge unpaused, resuming held transfers`, { account: event.args.account, txHash: event.transactionHash });
+    this.releaseJobs();
+  }
+
+  async handleOwnershipTransferred(chain, event) {
+    if (!this.chains[chain]) {
+      return;
+    }
+    const { previousOwner, newOwner } = event.args;
+    this.recordEvent(chain, event, { owner: newOwner });
+
+    if (this.isOwner(chain)) {
+      if (!sameAddress(previousOwner, this.relayerAddress)) {
+        logger.info(`🔑 ${chain} bridge ownership is back with the relayer`, { previousOwner, txHash: event.transactionHash });
+        this.releaseJobs();
+      }
+      return;
+    }
+
+    logger.error(`🔑 ${chain} bridge ownership moved away from the relayer, signing is stopped`, { previousOwner, newOwner });
+    await sendAlert('BRIDGE_OWNERSHIP_LOST', `${chain} bridge ownership moved to ${newOwner}; the relayer stopped signing`, {
+      chain,
+      previousOwner,
+      newOwner,
+      txHash: event.transactionHash
+    });
+  }
+
+  async handleBridgeAdminUpdated(chain, event) {
+    if (!this.chains[chain]) {
+      return;
+    }
+    const { oldAdmin, newAdmin } = event.args;
+    this.recordEvent(chain, event, { bridgeAdmin: newAdmin });
+
+    logger.warn(`🔑 ${chain} bridge admin changed`, { oldAdmin, newAdmin, txHash: event.transactionHash });
+    await sendAlert('BRIDGE_ADMIN_UPDATED', `${chain} bridge admin changed from ${oldAdmin} to ${newAdmin}`, {
+      chain,
+      oldAdmin,
+      newAdmin,
+      txHash: event.transactionHash
+    });
+  }
+
+  // Resubmit the jobs held by a bridge state that no longer applies
+  releaseJobs() {
+    const codes = Object.values(BRIDGE_HOLD_CODES);
+    const released = jobQueue.getHeldJobs()
+      .filter(job => codes.includes(job.result?.code) && !this.getBlocker(job.result.chain));
+
+    for (const job of released) {
+      jobQueue.resubmit(job.id);
+    }
+    if (released.length > 0) {
+      logger.info(`▶️ Resubmitted ${released.length} job(s) held by the bridge state`);
+    }
+  }
+
+  getStatus() {
+    const blocker = this.getBlocker();
+    const codes = Object.values(BRIDGE_HOLD_CODES);
+    const chains = {};
+    for (const [chain, state] of Object.entries(this.chains)) {
+      chains[chain] = { ...state, relayerIsOwner: this.isOwner(chain) };
+    }
+    return {
+      relayer: this.relayerAddress,
+      signing: blocker ? 'stopped' : 'ok',
+      reason: blocker?.reason || null,
+      heldJobs: jobQueue.getHeldJobs().filter(job => codes.includes(job.result?.code)).length,
+      ...chains
+    };
+  }
+}
+
+// Shared bridge state for the relayer, its signers and the HTTP API
+export const bridgeStatus = new BridgeStatus();
@@ -0,0 +1,234 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
+import logger from './logger.js';
+import { stateManager } from './state.js';
+import { jobQueue } from './job-queue.js';
+import { getRelayerSigner } from './signer.js';
+import { sendWithIntent, waitForInFlight, completeInFlight, reconcileInFlight } from './inflight.js';
+import { sendAlert } from './alerts.js';
+import { recordAudit } from './audit.js';
+
+// Triggers that always trip, whatever CIRCUIT_BREAKER_TRIGGERS says
+const MANUAL_TRIGGERS = ['kill_switch', 'admin'];
+
+const BRIDGES = {
+  BSC: { address: () => config.bscBridgeAddress, abi: BSC_BRIDGE_ABI },
+  UC: { address: () => config.ucBridgeAddress, abi: UC_BRIDGE_ABI }
+};
+
+export class CircuitBreakerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CircuitBreakerError';
+  }
+}
+
+/**
+ * Stops every mint, unlock, refund and status update when something looks
+ * wrong: supply drift, a global velocity cap breach, repeated verification
+ * mismatches, an unexpected ownership change, the kill-switch file or an
+ * operator. Tripping pauses the job queue and, with
+ * CIRCUIT_BREAKER_PAUSE_ON_CHAIN, calls pause() on both bridges. The tripped
+ * state is kept in relayer-state.json, so it survives restarts; only an
+ * operator can resume.
+ */
+export class CircuitBreaker {
+  constructor() {
+    this.mismatches = [];
+    this.killSwitchFile = path.resolve(process.cwd(), config.circuitBreakerKillSwitch);
+  }
+
+  // Pick up a breaker that was tripped before a restart
+  restore() {
+    const tripped = stateManager.getCircuitBreaker();
+    if (tripped) {
+      jobQueue.pause(tripped.reason);
+      logger.warn('🛑 Circuit breaker is tripped, processing stays paused', { trigger: tripped.trigger, reason: tripped.reason });
+    }
+  }
+
+  isTripped() {
+    return Boolean(stateManager.getCircuitBreaker());
+  }
+
+  // Called right before anything is signed
+  assertClosed() {
+    const tripped = stateManager.getCircuitBreaker();
+    if (tripped) {
+      throw new CircuitBreakerError(`Circuit breaker tripped (${tripped.trigger}): ${tripped.reason}`);
+    }
+  }
+
+  /**
+   * Trip the breaker. Triggers not listed in CIRCUIT_BREAKER_TRIGGERS are
+   * ignored; a breaker that is already tripped only records the extra trigger.
+   * @param {string} trigger - e.g. 'supply_drift', 'kill_switch', 'admin'
+   * @param {string} reason - Human readable cause
+   * @param {Object} details - Context kept on the record
+   * @param {string} operator - Who tripped it ('relayer' for automatic triggers)
+   * @returns {Promise<Object|null>} The breaker record, or null if the trigger is disabled
+   */
+  async trip(trigger, reason, details = {}, operator = 'relayer') {
+    if (!MANUAL_TRIGGERS.includes(trigger) && !config.circuitBreakerTriggers.includes(trigger)) {
+      return null;
+    }
+
+    const current = stateManager.getCircuitBreaker();
+    if (current) {
+      current.additionalTriggers = [...(current.additionalTriggers || []), { trigger, reason, at: Date.now() }];
+      stateManager.setCircuitBreaker(current);
+      logger.warn('🛑 Circuit breaker already tripped', { trigger, reason });
+      return current;
+    }
+
+    const record = {
+      trigger,
+      reason,
+      details,
+      trippedBy: operator,
+      trippedAt: Date.now(),
+      onChain: {}
+    };
+    stateManager.setCircuitBreaker(record);
+    jobQueue.pause(reason);
+
+    logger.error(`🛑 Circuit breaker tripped (${trigger})`, { reason, operator });
+    recordAudit('trip', operator, { trigger, reason, ...details });
+    await sendAlert('CIRCUIT_BREAKER_TRIPPED', `Relayer stopped signing (${trigger}): ${reason}`, { trigger, operator, ...details });
+
+    if (config.circuitBreakerPauseOnChain) {
+      for (const chain of Object.keys(BRIDGES)) {
+        record.onChain[chain] = await this.setBridgePaused(chain, true);
+      }
+      stateManager.setCircuitBreaker(record);
+    }
+    return record;
+  }
+
+  /**
+   * Resume processing. Bridges the breaker paused are unpaused again; the
+   * kill-switch file has to be removed first.
+   * @returns {Promise<Object|null>} The cleared record, or null if it was not tripped
+   */
+  async resume(operator, reason) {
+    const record = stateManager.getCircuitBreaker();
+    if (!record) {
+      return null;
+    }
+    if (fs.existsSync(this.killSwitchFile)) {
+      throw new Error(`Remove the kill-switch file first: ${this.killSwitchFile}`);
+    }
+
+    for (const [chain, result] of Object.entries(record.onChain)) {
+      if (result.txHash) {
+        const unpaused = await this.setBridgePaused(chain, false);
+        if (unpaused.error) {
+          throw new Error(`Could not unpause the ${chain} bridge: ${unpaused.error}`);
+        }
+      }
+    }
+
+    stateManager.setCircuitBreaker(null);
+    this.mismatches = [];
+    jobQueue.resume();
+
+    logger.info('▶️ Circuit breaker reset', { operator, reason, trigger: record.trigger });
+    recordAudit('resume', operator, { reason, trigger: record.trigger, trippedAt: new Date(record.trippedAt).toISOString() });
+    return { ...record, resumedBy: operator, resumeReason: reason, resumedAt: Date.now() };
+  }
+
+  /**
+   * pause()/unpause() a bridge with the relayer key (the bridge owner). The
+   * call gets a write-ahead in-flight record (`pause:<chain>`) and is sped up
+   * like a mint/unlock, so it is never waited on for longer than
+   * MAX_GAS_BUMPS x STUCK_TX_TIMEOUT. A pause that did not confirm raises
+   * BRIDGE_PAUSE_FAILED; its record stays in flight and resume() settles it
+   * before unpausing.
+   * @returns {Promise<Object>} { txHash }, { skipped: true }, or { error } (with
+   *   txHash and pending: true while the call is still in flight)
+   */
+  async setBridgePaused(chain, paused) {
+    const signer = getRelayerSigner(chain);
+    const bridge = new ethers.Contract(BRIDGES[chain].address(), BRIDGES[chain].abi, signer.wallet);
+    const method = paused ? 'pause' : 'unpause';
+    const key = `pause:${chain}`;
+
+    try {
+      // An earlier pause()/unpause() may still be on its way
+      const inFlight = await reconcileInFlight(stateManager, key, signer.provider, bridge);
+      if (inFlight.status === 'pending') {
+        const receipt = await waitForInFlight(stateManager, signer, key);
+        completeInFlight(stateManager, key, receipt.hash);
+      }
+
+      if ((await bridge.paused()) === paused) {
+        return { skipped: true };
+      }
+
+      await sendWithIntent(stateManager, signer, key, { type: 'pause', chain, paused }, bridge, method, []);
+      const receipt = await waitForInFlight(stateManager, signer, key);
+      completeInFlight(stateManager, key, receipt.hash);
+
+      logger.warn(`${paused ? '⏸️' : '▶️'} ${chain} bridge ${paused ? 'paused' : 'unpaused'}`, { txHash: receipt.hash });
+      return { txHash: receipt.hash };
+    } catch (error) {
+      const pending = stateManager.getInFlight(key);
+      logger.error(`Error calling ${method}() on the ${chain} bridge`, { error: error.message, pendingTxHash: pending?.destTxHash });
+      if (paused) {
+        await sendAlert('BRIDGE_PAUSE_FAILED', `Circuit breaker could not confirm pause() on the ${chain} bridge: ${error.message}`, {
+          chain,
+          pendingTxHash: pending?.destTxHash
+        });
+      }
+      return pending
+        ? { error: error.message, txHash: pending.destTxHash, pending: true }
+        : { error: error.message };
+    }
+  }
+
+  /**
+   * Count a source transaction that failed verification in a suspicious way
+   * (CIRCUIT_BREAKER_MISMATCH_REASONS); trips once there were
+   * CIRCUIT_BREAKER_MISMATCH_THRESHOLD within CIRCUIT_BREAKER_MISMATCH_WINDOW.
+   */
+  async recordMismatch(reason, details = {}) {
+    if (!config.circuitBreakerMismatchReasons.includes(reason)) {
+      return;
+    }
+
+    const now = Date.now();
+    this.mismatches = this.mismatches
+      .filter(entry => now - entry.at < config.circuitBreakerMismatchWindow)
+      .concat({ reason, at: now, ...details });
+
+    if (this.mismatches.length >= config.circuitBreakerMismatchThreshold) {
+      await this.trip('verification_mismatch', `${this.mismatches.length} verification mismatches within ${config.circuitBreakerMismatchWindow / 1000}s`, {
+        mismatches: this.mismatches
+      });
+    }
+  }
+
+  async checkKillSwitch() {
+    if (fs.existsSync(this.killSwitchFile) && !this.isTripped()) {
+      await this.trip('kill_switch', `Kill-switch file present: ${this.killSwitchFile}`, { file: this.killSwitchFile }, 'kill_switch');
+    }
+  }
+
+  getStatus() {
+    const record = stateManager.getCircuitBreaker();
+    return {
+      status: record ? 'tripped' : 'closed',
+      ...record,
+      triggers: config.circuitBreakerTriggers,
+      pauseOnChain: config.circuitBreakerPauseOnChain,
+      killSwitchFile: this.killSwitchFile,
+      recentMismatches: this.mismatches.length
+    };
+  }
+}
+
+// Shared breaker for the relayer loops, processors and the HTTP API
+export const circuitBreaker = new CircuitBreaker();
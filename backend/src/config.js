@@ -1,6 +1,31 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Comma-separated env list, or the given fallbacks with duplicates removed
+const parseList = (value, fallback = []) => {
+  const items = value ? value.split(',') : fallback;
+  return [...new Set(items.map(item => item.trim()).filter(Boolean))];
+};
+
+// Finality setting: a confirmation count, or the 'finalized' / 'safe' block tag
+const parseFinality = (value) => (['finalized', 'safe'].includes(value) ? value : parseInt(value));
+
+// Fee tiers: "fromAmount:bps,..." in USDT, e.g. "10000:50,100000:25"
+const parseFeeTiers = (value) => parseList(value)
+  .map(tier => {
+    const [minAmount, bps] = tier.split(':').map(part => part.trim());
+    return { minAmount, bps: parseInt(bps) };
+  })
+  .sort((a, b) => parseFloat(a.minAmount) - parseFloat(b.minAmount));
+
+// Admin API tokens: "operator:token,..." -> [{ operator, token }]
+const parseAdminTokens = (value) => parseList(value)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    return { operator: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() };
+  })
+  .filter(entry => entry.operator && entry.token);
+
 export const config = {
   // Relayer wallet
   relayerPrivateKey: process.env.RELAYER_PRIVATE_KEY,
@@ -11,6 +36,12 @@ export const config = {
   bscRpcUrlBackup3: process.env.BSC_RPC_URL_BACKUP23|| 'https://bsc-dataseed.binance.org',
   ucRpcUrl: process.env.UC_RPC_URL || 'https://rpc.mainnet.ucchain.org',
 
+  // RPC endpoint pools (default: the URLs above)
+  rpcProbeInterval: parseInt(process.env.RPC_PROBE_INTERVAL || '30000'),
+  rpcRequestTimeout: parseInt(process.env.RPC_REQUEST_TIMEOUT || '15000'),
+  rpcMaxBlockLag: parseInt(process.env.RPC_MAX_BLOCK_LAG || '5'),
+  rpcMaxErrorRate: parseFloat(process.env.RPC_MAX_ERROR_RATE || '0.5'),
+
   // Contract addresses
   bscBridgeAddress: process.env.BSC_BRIDGE_ADDRESS || '0xE4363F8FbD39FB0930772644Ebd14597e5756986',
   ucBridgeAddress: process.env.UC_BRIDGE_ADDRESS || '0x9b7f2CF537F81f2fCfd3252B993b7B12a47648d1',
@@ -18,24 +49,162 @@ export const config = {
   bscUsdtAddress: process.env.BSC_USDT_ADDRESS || '0x55d398326f99059fF775485246999027B3197955',
   ucUsdtAddress: process.env.UC_USDT_ADDRESS || '0x5B4bB8DC15B345D67Cc333Bd1266108DfE206c76',
 
+  // Extra contracts allowed as the source tx target (e.g. trusted forwarders).
+  // By default a deposit/burn must be a direct call to the bridge.
+  bscAllowedTxTargets: parseList(process.env.BSC_ALLOWED_TX_TARGETS),
+  ucAllowedTxTargets: parseList(process.env.UC_ALLOWED_TX_TARGETS),
+
   // Chain IDs
   bscChainId: parseInt(process.env.BSC_CHAIN_ID || '56'),
   ucChainId: parseInt(process.env.UC_CHAIN_ID || '1137'),
 
+  // Source chain finality before minting/unlocking
+  bscFinality: parseFinality(process.env.BSC_FINALITY || '6'),
+  ucFinality: parseFinality(process.env.UC_FINALITY || '6'),
+  bscBlockTime: parseInt(process.env.BSC_BLOCK_TIME || '3000'),
+  ucBlockTime: parseInt(process.env.UC_BLOCK_TIME || '5000'),
+  finalityTimeout: parseInt(process.env.FINALITY_TIMEOUT || '300000'),
+
   // Monitoring settings
   pollInterval: parseInt(process.env.POLL_INTERVAL || '5000'),
   maxBlocksPerQuery: parseInt(process.env.MAX_BLOCKS_PER_QUERY || '500'),
+  minBlocksPerQuery: parseInt(process.env.MIN_BLOCKS_PER_QUERY || '1'),
+  blockRangeGrowAfter: parseInt(process.env.BLOCK_RANGE_GROW_AFTER || '3'),
   catchUpPollInterval: parseInt(process.env.CATCH_UP_POLL_INTERVAL || '1000'),
   realtimeEnabled: process.env.REALTIME_ENABLED !== 'false',
   startBlockBsc: process.env.START_BLOCK_BSC || 'latest',
   startBlockUc: process.env.START_BLOCK_UC || 'latest',
 
+  // Background sweeper for deposits/burns the frontend never reported
+  sweeperEnabled: process.env.SWEEPER_ENABLED !== 'false',
+  sweeperInterval: parseInt(process.env.SWEEPER_INTERVAL || '60000'),
+
+  // Transfer job queue
+  jobPollInterval: parseInt(process.env.JOB_POLL_INTERVAL || '5000'),
+  jobMaxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '8'),
+  jobRetryBaseDelay: parseInt(process.env.JOB_RETRY_BASE_DELAY || '15000'),
+  jobRetryMaxDelay: parseInt(process.env.JOB_RETRY_MAX_DELAY || '1800000'),
+
+  // Transfers still failing this long after they were queued are refunded (ms; 0 = never)
+  transferExpiry: parseInt(process.env.TRANSFER_EXPIRY || '86400000'),
+  expiryCheckInterval: parseInt(process.env.EXPIRY_CHECK_INTERVAL || '300000'),
+
+  // Supply reconciliation: BSC bridge balance vs UC supply (ms; 0 = never)
+  reconciliationInterval: parseInt(process.env.RECONCILIATION_INTERVAL || '600000'),
+  reconciliationTolerance: process.env.RECONCILIATION_TOLERANCE || '1', // USDT
+  reconciliationOffset: process.env.RECONCILIATION_OFFSET || '0', // USDT, added to the expected backing
+  reconciliationReportDir: process.env.RECONCILIATION_REPORT_DIR || 'reconciliation-reports',
+
+  // Independent RPC agreement on source receipts of large transfers
+  quorumMinAmount: process.env.QUORUM_MIN_AMOUNT || null, // USDT; unset = disabled
+  quorumEndpoints: parseInt(process.env.QUORUM_ENDPOINTS || '3'),
+  quorumThreshold: parseInt(process.env.QUORUM_THRESHOLD || '2'),
+
+  // Bridge fees per direction. Amounts are in USDT; unset = none
+  feeBscToUcBps: parseInt(process.env.FEE_BSC_TO_UC_BPS || '100'),
+  feeBscToUcFlat: process.env.FEE_BSC_TO_UC_FLAT || null,
+  feeBscToUcMin: process.env.FEE_BSC_TO_UC_MIN || null,
+  feeBscToUcMax: process.env.FEE_BSC_TO_UC_MAX || null,
+  feeBscToUcTiers: parseFeeTiers(process.env.FEE_BSC_TO_UC_TIERS),
+  feeUcToBscBps: parseInt(process.env.FEE_UC_TO_BSC_BPS || '100'),
+  feeUcToBscFlat: process.env.FEE_UC_TO_BSC_FLAT || null,
+  feeUcToBscMin: process.env.FEE_UC_TO_BSC_MIN || null,
+  feeUcToBscMax: process.env.FEE_UC_TO_BSC_MAX || null,
+  feeUcToBscTiers: parseFeeTiers(process.env.FEE_UC_TO_BSC_TIERS),
+
+  // Transfer limits shown in quotes; transfers outside them are refunded (USDT; unset = none)
+  transferMinAmount: process.env.TRANSFER_MIN_AMOUNT || null,
+  transferMaxAmount: process.env.TRANSFER_MAX_AMOUNT || null,
+
+  // Velocity limits, enforced before signing (USDT; unset = no limit)
+  velocityMaxTransfer: process.env.VELOCITY_MAX_TRANSFER || null,
+  velocitySenderCap: process.env.VELOCITY_SENDER_CAP || null,
+  velocityDestinationCap: process.env.VELOCITY_DESTINATION_CAP || null,
+  velocityAddressWindow: parseInt(process.env.VELOCITY_ADDRESS_WINDOW || '86400000'),
+  velocityHourlyCapBscToUc: process.env.VELOCITY_HOURLY_CAP_BSC_TO_UC || null,
+  velocityDailyCapBscToUc: process.env.VELOCITY_DAILY_CAP_BSC_TO_UC || null,
+  velocityHourlyCapUcToBsc: process.env.VELOCITY_HOURLY_CAP_UC_TO_BSC || null,
+  velocityDailyCapUcToBsc: process.env.VELOCITY_DAILY_CAP_UC_TO_BSC || null,
+
+  // Transfers at or above this amount wait for an operator (USDT; unset = never)
+  approvalThreshold: process.env.APPROVAL_THRESHOLD || null,
+
+  // Local deny lists (JSON or CSV paths), re-read when they change
+  screeningLists: parseList(process.env.SCREENING_LISTS),
+  screeningReloadInterval: parseInt(process.env.SCREENING_RELOAD_INTERVAL || '10000'),
+
+  // Admin API credentials: "operator:token,..." (unset = admin API disabled)
+  adminTokens: parseAdminTokens(process.env.ADMIN_TOKENS),
+
+  // Circuit breaker: stops all signing until an operator resumes it
+  circuitBreakerTriggers: parseList(process.env.CIRCUIT_BREAKER_TRIGGERS, [
+    'supply_drift',
+    'velocity_limit',
+    'verification_mismatch',
+    'ownership_transferred'
+  ]),
+  circuitBreakerPauseOnChain: process.env.CIRCUIT_BREAKER_PAUSE_ON_CHAIN === 'true',
+  circuitBreakerKillSwitch: process.env.CIRCUIT_BREAKER_KILL_SWITCH || 'KILL_SWITCH', // file path
+  circuitBreakerCheckInterval: parseInt(process.env.CIRCUIT_BREAKER_CHECK_INTERVAL || '10000'),
+  circuitBreakerMismatchThreshold: parseInt(process.env.CIRCUIT_BREAKER_MISMATCH_THRESHOLD || '3'),
+  circuitBreakerMismatchWindow: parseInt(process.env.CIRCUIT_BREAKER_MISMATCH_WINDOW || '3600000'),
+  circuitBreakerMismatchReasons: parseList(process.env.CIRCUIT_BREAKER_MISMATCH_REASONS, [
+    'WRONG_CHAIN',
+    'UNEXPECTED_TX_TARGET',
+    'FOREIGN_EVENT_EMITTER',
+    'RECEIPT_MISMATCH'
+  ]),
+  bridgeOwners: parseList(process.env.BRIDGE_OWNERS), // Expected owners besides the relayer
+
+  // Watchtower mode (`node src/index.js --watchtower`): independent check of
+  // every mint/unlock against its source. It only alerts unless
+  // WATCHTOWER_PAUSE is set; the key is only used for pause().
+  watchtowerMode: process.argv.includes('--watchtower'),
+  watchtowerPrivateKey: process.env.WATCHTOWER_PRIVATE_KEY || null,
+  watchtowerPause: process.env.WATCHTOWER_PAUSE === 'true',
+  watchtowerPollInterval: parseInt(process.env.WATCHTOWER_POLL_INTERVAL || '15000'),
+  watchtowerGracePeriod: parseInt(process.env.WATCHTOWER_GRACE_PERIOD || '172800000'), // ms after first start in which an unknown source may predate it
+  watchtowerRetention: parseInt(process.env.WATCHTOWER_RETENTION || '604800000'), // ms settled transfers are kept in the state file
+
+  // Operator alerts (always logged; also POSTed here when set)
+  alertWebhookUrl: process.env.ALERT_WEBHOOK_URL || null,
+
+  // Gas pricing and stuck transaction replacement
+  bscGasMode: process.env.BSC_GAS_MODE || 'legacy', // 'legacy' or 'eip1559'
+  ucGasMode: process.env.UC_GAS_MODE || 'legacy',
+  gasBumpPercent: parseInt(process.env.GAS_BUMP_PERCENT || '20'),
+  maxGasPriceGwei: process.env.MAX_GAS_PRICE_GWEI ? parseInt(process.env.MAX_GAS_PRICE_GWEI) : null,
+  stuckTxTimeout: parseInt(process.env.STUCK_TX_TIMEOUT || '90000'),
+  maxGasBumps: parseInt(process.env.MAX_GAS_BUMPS || '5'),
+
   // Logging
   logLevel: process.env.LOG_LEVEL || 'info'
 };
 
+config.bscRpcUrls = parseList(process.env.BSC_RPC_URLS, [
+  config.bscRpcUrl,
+  config.bscRpcUrlBackup,
+  config.bscRpcUrlBackup2,
+  config.bscRpcUrlBackup3
+]);
+config.ucRpcUrls = parseList(process.env.UC_RPC_URLS, [config.ucRpcUrl]);
+
 // Validate required config
-if (!config.relayerPrivateKey) {
+if (!config.relayerPrivateKey && !config.watchtowerMode) {
   console.error('ERROR: RELAYER_PRIVATE_KEY is required in .env file');
   process.exit(1);
 }
+if (config.watchtowerMode && config.watchtowerPause && !config.watchtowerPrivateKey) {
+  console.error('ERROR: WATCHTOWER_PAUSE requires WATCHTOWER_PRIVATE_KEY');
+  process.exit(1);
+}
+// Quorum votes come from endpoints other than the one that served the receipt
+if (config.quorumMinAmount && !config.watchtowerMode) {
+  for (const [chain, urls] of [['BSC', config.bscRpcUrls], ['UC', config.ucRpcUrls]]) {
+    const voters = Math.min(urls.length - 1, config.quorumEndpoints);
+    if (voters < config.quorumThreshold) {
+      console.error(`ERROR: QUORUM_THRESHOLD=${config.quorumThreshold} needs ${config.quorumThreshold + 1} ${chain} RPC endpoints and QUORUM_ENDPOINTS >= ${config.quorumThreshold}`);
+      process.exit(1);
+    }
+  }
+}
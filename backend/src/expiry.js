@@ -0,0 +1,38 @@
+import { config } from './config.js';
+import logger from './logger.js';
+import { sendAlert } from './alerts.js';
+import { recordAudit } from './audit.js';
+
+// Only transfers are refunded; other jobs (status updates) keep retrying
+const TRANSFER_JOB_TYPES = ['deposit', 'burn'];
+
+/**
+ * Switch transfers that are still failing TRANSFER_EXPIRY ms after they were
+ * queued over to a refund. The job is resubmitted with `expired` set, and the
+ * processor refunds the sender on the source chain instead of retrying the
+ * mint/unlock. Held jobs wait for an operator and never expire, and nothing
+ * expires while the queue is paused by the circuit breaker.
+ * @returns {Promise<Array>} IDs of the jobs that expired
+ */
+export async function expireStaleJobs(jobQueue) {
+  if (!config.transferExpiry || jobQueue.paused) {
+    return [];
+  }
+
+  const stale = jobQueue.getStaleJobs(config.transferExpiry)
+    .filter(job => TRANSFER_JOB_TYPES.includes(job.type) && !job.payload.expired);
+  for (const job of stale) {
+    const { id, attempts, lastError, createdAt } = job;
+    jobQueue.resubmit(id, { expired: true, expiredAt: Date.now() });
+
+    logger.warn('⌛ Transfer expired, refunding sender', { jobId: id, attempts, lastError });
+    recordAudit('expire', 'relayer', { jobId: id, attempts, lastError });
+    await sendAlert('TRANSFER_EXPIRED', `Job ${id} expired after ${attempts} failed attempt(s); refunding the sender`, {
+      jobId: id,
+      lastError,
+      queuedAt: new Date(createdAt).toISOString()
+    });
+  }
+
+  return stale.map(job => job.id);
+}
@@ -0,0 +1,148 @@
+import { config } from './config.js';
+import { tokenRegistry } from './tokens.js';
+
+const BPS_DENOMINATOR = 10000n;
+
+// Fee settings per direction, as configured (amounts in USDT)
+const FEE_POLICIES = {
+  'bsc-to-uc': {
+    sourceChain: 'BSC',
+    destChain: 'UC',
+    bps: config.feeBscToUcBps,
+    flatFee: config.feeBscToUcFlat,
+    minFee: config.feeBscToUcMin,
+    maxFee: config.feeBscToUcMax,
+    tiers: config.feeBscToUcTiers
+  },
+  'uc-to-bsc': {
+    sourceChain: 'UC',
+    destChain: 'BSC',
+    bps: config.feeUcToBscBps,
+    flatFee: config.feeUcToBscFlat,
+    minFee: config.feeUcToBscMin,
+    maxFee: config.feeUcToBscMax,
+    tiers: config.feeUcToBscTiers
+  }
+};
+
+export const FEE_DIRECTIONS = Object.keys(FEE_POLICIES);
+
+export function getFeePolicy(direction) {
+  const policy = FEE_POLICIES[direction];
+  if (!policy) {
+    throw new Error(`Unknown bridge direction: ${direction}`);
+  }
+  return policy;
+}
+
+// Percentage for this amount: the highest tier it reaches, else the base rate
+function getBps(policy, amount) {
+  let bps = policy.bps;
+  for (const tier of policy.tiers) {
+    if (amount >= tokenRegistry.parse(policy.sourceChain, tier.minAmount)) {
+      bps = tier.bps;
+    }
+  }
+  return bps;
+}
+
+/**
+ * Work out the fee for a transfer and the amount to mint/unlock.
+ * All fee parts are in source chain units; netAmount is in destination units.
+ * Dust the destination token cannot represent is added to the fee.
+ * @param {string} direction - 'bsc-to-uc' or 'uc-to-bsc'
+ * @param {bigint} amount - Gross amount deposited/burned on the source chain
+ */
+export function calculateFee(direction, amount) {
+  const policy = getFeePolicy(direction);
+  const { sourceChain, destChain } = policy;
+  const parse = value => (value ? tokenRegistry.parse(sourceChain, value) : null);
+
+  const bps = getBps(policy, amount);
+  const percentFee = (amount * BigInt(bps)) / BPS_DENOMINATOR;
+  const flatFee = parse(policy.flatFee) ?? 0n;
+  const minFee = parse(policy.minFee);
+  const maxFee = parse(policy.maxFee);
+
+  let fee = percentFee + flatFee;
+  if (minFee !== null && fee < minFee) {
+    fee = minFee;
+  }
+  if (maxFee !== null && fee > maxFee) {
+    fee = maxFee;
+  }
+  if (fee > amount) {
+    fee = amount;
+  }
+
+  const { amount: netAmount, remainder: dust } = tokenRegistry.convert(amount - fee, sourceChain, destChain);
+
+  return {
+    direction,
+    sourceChain,
+    destChain,
+    grossAmount: amount,
+    bps,
+    percentFee,
+    flatFee,
+    limitAdjustment: fee - percentFee - flatFee, // raised to minFee / capped at maxFee
+    dust,
+    totalFee: fee + dust,
+    netAmount
+  };
+}
+
+const FEE_AMOUNTS = ['grossAmount', 'percentFee', 'flatFee', 'limitAdjustment', 'dust', 'totalFee', 'netAmount'];
+
+// Raw fee with its amounts as strings, for the job payload (see restoreFee)
+export function storeFee(fee) {
+  return { ...fee, ...Object.fromEntries(FEE_AMOUNTS.map(key => [key, fee[key].toString()])) };
+}
+
+export function restoreFee(stored) {
+  return { ...stored, ...Object.fromEntries(FEE_AMOUNTS.map(key => [key, BigInt(stored[key])])) };
+}
+
+// Fee breakdown as stored in state and returned over the API
+export function serializeFee(fee) {
+  const source = amount => tokenRegistry.format(fee.sourceChain, amount);
+  return {
+    direction: fee.direction,
+    bps: fee.bps,
+    grossAmount: source(fee.grossAmount),
+    percentFee: source(fee.percentFee),
+    flatFee: source(fee.flatFee),
+    limitAdjustment: source(fee.limitAdjustment),
+    dust: source(fee.dust),
+    totalFee: source(fee.totalFee),
+    netAmount: tokenRegistry.format(fee.destChain, fee.netAmount),
+    grossAmountRaw: fee.grossAmount.toString(),
+    totalFeeRaw: fee.totalFee.toString(),
+    netAmountRaw: fee.netAmount.toString()
+  };
+}
+
+// Configured fee schedule for the frontend
+export function getFeeSchedule() {
+  return Object.fromEntries(FEE_DIRECTIONS.map(direction => {
+    const { sourceChain, destChain, bps, flatFee, minFee, maxFee, tiers } = getFeePolicy(direction);
+    return [direction, { sourceChain, destChain, bps, flatFee, minFee, maxFee, tiers }];
+  }));
+}
+
+// Transfer limits for a source chain, in its token units (null = none)
+export function getTransferLimits(chain) {
+  return {
+    minAmount: config.transferMinAmount ? tokenRegistry.parse(chain, config.transferMinAmount) : null,
+    maxAmount: config.transferMaxAmount ? tokenRegistry.parse(chain, config.transferMaxAmount) : null
+  };
+}
+
+// Which transfer limit an amount falls outside of: 'below_minimum',
+// 'above_maximum', or null when it is within both
+export function checkTransferLimits(chain, amount) {
+  const { minAmount, maxAmount } = getTransferLimits(chain);
+  if (minAmount !== null && amount < minAmount) return 'below_minimum';
+  if (maxAmount !== null && amount > maxAmount) return 'above_maximum';
+  return null;
+}
@@ -0,0 +1,73 @@
+import logger from './logger.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const describe = finality => (typeof finality === 'number' ? `${finality} confirmations` : `'${finality}' block`);
+
+/**
+ * Poll until a source block is final according to the chain's setting:
+ * a confirmation count, or the 'finalized' / 'safe' block tag.
+ * @param {Object} provider - Source chain provider
+ * @param {number} blockNumber - Block containing the source transaction
+ * @param {Object} options - { chainName, finality, pollInterval, timeout }
+ * @returns {Promise<number>} Confirmations at the time finality was reached
+ */
+export async function waitForFinality(provider, blockNumber, { chainName, finality, pollInterval, timeout }) {
+  const deadline = Date.now() + timeout;
+  let logged = false;
+
+  while (true) {
+    const currentBlock = await provider.getBlockNumber();
+    const confirmations = currentBlock - blockNumber;
+
+    let isFinal;
+    if (typeof finality === 'number') {
+      isFinal = confirmations >= finality;
+    } else {
+      const finalBlock = await provider.getBlock(finality);
+      isFinal = Boolean(finalBlock) && finalBlock.number >= blockNumber;
+    }
+
+    if (isFinal) {
+      return confirmations;
+    }
+
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for ${describe(finality)} on ${chainName} (block ${blockNumber}, ${confirmations} confirmations)`);
+    }
+
+    if (!logged) {
+      logger.info(`⏳ Waiting for ${describe(finality)} on ${chainName}`, {
+        blockNumber,
+        currentConfirmations: confirmations
+      });
+      logged = true;
+    }
+
+    await sleep(pollInterval);
+  }
+}
+
+// Highest block that is final according to the chain's setting
+export async function getFinalizedBlockNumber(provider, finality) {
+  if (typeof finality === 'number') {
+    return Math.max(0, (await provider.getBlockNumber()) - finality);
+  }
+  const finalBlock = await provider.getBlock(finality);
+  return finalBlock ? finalBlock.number : 0;
+}
+
+// Make sure the block holding the source transaction is still canonical.
+// Called right before signing so a reorged deposit/burn is never bridged.
+export async function assertBlockUnchanged(provider, receipt, chainName) {
+  const block = await provider.getBlock(receipt.blockNumber);
+  if (!block || block.hash !== receipt.blockHash) {
+    logger.error(`❌ ${chainName} block reorged after verification`, {
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      expectedHash: receipt.blockHash,
+      currentHash: block?.hash || null
+    });
+    throw new Error(`${chainName} block ${receipt.blockNumber} was reorged; source transaction must be re-verified`);
+  }
+}
@@ -0,0 +1,72 @@
+import { config } from './config.js';
+
+// Nodes refuse a same-nonce replacement unless every fee field rises by at least 10%
+const MIN_REPLACEMENT_BUMP = 10n;
+
+export function getGasMode(chain) {
+  return chain === 'BSC' ? config.bscGasMode : config.ucGasMode;
+}
+
+const applyCap = (value) => {
+  if (!config.maxGasPriceGwei) {
+    return value;
+  }
+  const cap = BigInt(config.maxGasPriceGwei) * 1_000_000_000n;
+  return value > cap ? cap : value;
+};
+
+/**
+ * Current fee fields for a chain: { gasPrice } in legacy mode, or
+ * { maxFeePerGas, maxPriorityFeePerGas } in eip1559 mode.
+ */
+export async function getFees(provider, chain) {
+  const feeData = await provider.getFeeData();
+
+  if (getGasMode(chain) === 'eip1559' && feeData.maxFeePerGas) {
+    return {
+      type: 2,
+      maxFeePerGas: applyCap(feeData.maxFeePerGas),
+      maxPriorityFeePerGas: applyCap(feeData.maxPriorityFeePerGas)
+    };
+  }
+
+  return { type: 0, gasPrice: applyCap(feeData.gasPrice) };
+}
+
+// A cap below the node minimum would only produce a replacement the node rejects
+const bump = (previous, current, percent) => {
+  const bumped = previous + (previous * percent) / 100n;
+  const value = applyCap(current > bumped ? current : bumped);
+  if (value < previous + (previous * MIN_REPLACEMENT_BUMP) / 100n) {
+    throw new Error(`MAX_GAS_PRICE_GWEI (${config.maxGasPriceGwei} gwei) is below the ${MIN_REPLACEMENT_BUMP}% bump a replacement needs`);
+  }
+  return value;
+};
+
+/**
+ * Fees for a same-nonce replacement: the previous fees raised by
+ * GAS_BUMP_PERCENT (never less than the node minimum), or the current network
+ * fees if those are higher already. Throws when MAX_GAS_PRICE_GWEI leaves no
+ * room for the minimum bump.
+ */
+export async function getReplacementFees(provider, chain, previous) {
+  const current = await getFees(provider, chain);
+  const percent = BigInt(Math.max(config.gasBumpPercent, Number(MIN_REPLACEMENT_BUMP)));
+
+  if (previous.type === 2) {
+    return {
+      type: 2,
+      maxFeePerGas: bump(BigInt(previous.maxFeePerGas), current.maxFeePerGas ?? 0n, percent),
+      maxPriorityFeePerGas: bump(BigInt(previous.maxPriorityFeePerGas), current.maxPriorityFeePerGas ?? 0n, percent)
+    };
+  }
+
+  return { type: 0, gasPrice: bump(BigInt(previous.gasPrice), current.gasPrice ?? 0n, percent) };
+}
+
+// Fee fields as strings, for the JSON state file
+export function serializeFees(fees) {
+  return Object.fromEntries(
+    Object.entries(fees).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  );
+}
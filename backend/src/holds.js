@@ -0,0 +1,217 @@
+import { config } from './config.js';
+import logger from './logger.js';
+import { tokenRegistry } from './tokens.js';
+import { jobQueue } from './job-queue.js';
+import { sendAlert } from './alerts.js';
+import { recordAudit } from './audit.js';
+import { checkVelocity, recordVolume } from './velocity.js';
+import { addressScreener } from './screening.js';
+import { queueStatusUpdate, getSourceChain, TX_STATUS } from './source-status.js';
+import { circuitBreaker } from './circuit-breaker.js';
+
+// Hold lifecycle: pending_review | awaiting_approval | quarantined
+//                  -> approved (job resubmitted, checks skipped)
+//                  -> rejected (never signed)
+export const HOLD_STATUS = {
+  PENDING_REVIEW: 'pending_review',
+  AWAITING_APPROVAL: 'awaiting_approval',
+  QUARANTINED: 'quarantined',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const OPEN_STATUSES = [HOLD_STATUS.PENDING_REVIEW, HOLD_STATUS.AWAITING_APPROVAL, HOLD_STATUS.QUARANTINED];
+
+// Velocity limits for a whole direction; breaching one trips the circuit breaker
+const GLOBAL_CAPS = ['hourly_cap', 'daily_cap'];
+
+/**
+ * Decide whether a verified transfer may be signed now. Transfers from or to
+ * a screened address are quarantined; transfers at or over APPROVAL_THRESHOLD
+ * wait for an operator; transfers over a velocity limit are held for review
+ * instead of failing. Everything else is counted against the limits. Check
+ * and record happen without awaiting in between, so concurrent jobs cannot
+ * both squeeze under a cap.
+ * @param {Object} transfer - { id, type, direction, sourceChain, sourceTxHash, sender, recipient, amount }
+ * @returns {Promise<Object|null>} The hold record, or null to go ahead
+ */
+export async function admitTransfer(stateManager, transfer) {
+  const existing = stateManager.getHold(transfer.id);
+  if (existing && existing.status !== HOLD_STATUS.APPROVED) {
+    return existing;
+  }
+
+  // Lists change, so only an approved quarantine skips screening
+  if (existing?.code !== 'ADDRESS_BLOCKED') {
+    const matches = addressScreener.screen({ sender: transfer.sender, destination: transfer.recipient });
+    if (matches.length > 0) {
+      const hold = holdTransfer(stateManager, transfer, HOLD_STATUS.QUARANTINED, 'address_screening', 'ADDRESS_BLOCKED', { matches });
+      await sendAlert('ADDRESS_BLOCKED', `Transfer ${transfer.id} quarantined: ${matches.map(m => `${m.role} on ${m.list}`).join(', ')}`, {
+        id: transfer.id,
+        direction: transfer.direction,
+        sourceTxHash: transfer.sourceTxHash,
+        matches
+      });
+      return hold;
+    }
+  }
+
+  // An approved transfer was reviewed already; it is only counted
+  if (!existing) {
+    const violations = checkVelocity(stateManager, transfer);
+    const needsApproval = config.approvalThreshold
+      && transfer.amount >= tokenRegistry.parse(transfer.sourceChain, config.approvalThreshold);
+
+    if (needsApproval) {
+      const hold = holdTransfer(stateManager, transfer, HOLD_STATUS.AWAITING_APPROVAL, 'approval_threshold', 'AWAITING_APPROVAL', { violations });
+      await sendAlert('APPROVAL_REQUIRED', `Transfer ${transfer.id} of ${hold.amount} USDT awaits approval`, {
+        id: transfer.id,
+        direction: transfer.direction,
+        sourceTxHash: transfer.sourceTxHash
+      });
+      await tripOnCapBreach(transfer, violations);
+      return hold;
+    }
+
+    if (violations.length > 0) {
+      const hold = holdTransfer(stateManager, transfer, HOLD_STATUS.PENDING_REVIEW, 'velocity_limit', 'VELOCITY_LIMIT', { violations });
+      await sendAlert('VELOCITY_LIMIT', `Transfer ${transfer.id} held: ${violations.map(v => v.limit).join(', ')} exceeded`, {
+        id: transfer.id,
+        direction: transfer.direction,
+        sourceTxHash: transfer.sourceTxHash,
+        violations
+      });
+      await tripOnCapBreach(transfer, violations);
+      return hold;
+    }
+  }
+
+  recordVolume(stateManager, transfer);
+  return null;
+}
+
+// Called once the transfer is held, so nothing is awaited between check and record
+async function tripOnCapBreach(transfer, violations) {
+  const breaches = violations.filter(v => GLOBAL_CAPS.includes(v.limit));
+  if (breaches.length > 0) {
+    await circuitBreaker.trip('velocity_limit', `Transfer ${transfer.id} exceeds the ${breaches.map(v => v.limit).join(', ')}`, {
+      id: transfer.id,
+      direction: transfer.direction,
+      violations: breaches
+    });
+  }
+}
+
+// Process API fields for a transfer admitTransfer stopped
+export function describeHold(hold) {
+  if (hold.status === HOLD_STATUS.REJECTED) {
+    return {
+      success: false,
+      rejected: true,
+      reason: 'operator_rejected',
+      error: `Rejected by ${hold.decision.operator}: ${hold.decision.reason}`
+    };
+  }
+  return {
+    success: false,
+    held: true,
+    holdStatus: hold.status,
+    reason: hold.reason,
+    code: hold.code,
+    message: `Transfer held: ${hold.reason}`
+  };
+}
+
+// code is what the process API returns for the transfer
+function holdTransfer(stateManager, transfer, status, reason, code, details) {
+  const { id, type, direction, sourceChain, sourceTxHash, sender, recipient, amount } = transfer;
+  const record = {
+    id,
+    type,
+    direction,
+    jobId: `${type}:${sourceTxHash.toLowerCase()}`,
+    sourceTxHash,
+    sender,
+    recipient,
+    amount: tokenRegistry.format(sourceChain, amount),
+    amountRaw: amount.toString(),
+    status,
+    reason,
+    code,
+    ...details,
+    heldAt: Date.now()
+  };
+
+  stateManager.setHold(id, record);
+  recordAudit('hold', 'relayer', { id, jobId: record.jobId, status, reason, amount: record.amount, direction });
+  logger.warn(`⏸️ Transfer held (${reason})`, { id, direction, sourceTxHash, status });
+  return stateManager.getHold(id);
+}
+
+// Apply an operator decision to an open hold
+function decide(stateManager, id, status, { operator, reason }) {
+  const hold = stateManager.getHold(id);
+  if (!hold || !OPEN_STATUSES.includes(hold.status)) {
+    return null;
+  }
+
+  stateManager.updateHold(id, {
+    status,
+    decision: { operator, reason, previousStatus: hold.status, decidedAt: Date.now() }
+  });
+  recordAudit(status === HOLD_STATUS.APPROVED ? 'approve' : 'reject', operator, {
+    id,
+    jobId: hold.jobId,
+    reason,
+    previousStatus: hold.status,
+    holdReason: hold.reason,
+    amount: hold.amount,
+    direction: hold.direction
+  });
+  return stateManager.getHold(id);
+}
+
+/**
+ * Let a held transfer through: it resumes the normal pipeline (its job is
+ * resubmitted) without being held again.
+ * @returns {Object|null} The updated hold, or null if it is not open
+ */
+export function approveHold(stateManager, id, decision) {
+  const hold = decide(stateManager, id, HOLD_STATUS.APPROVED, decision);
+  if (hold) {
+    jobQueue.resubmit(hold.jobId);
+    logger.info('▶️ Held transfer approved', { id, jobId: hold.jobId, operator: decision.operator });
+  }
+  return hold;
+}
+
+/**
+ * Refuse a held transfer; it is never minted/unlocked and its source bridge
+ * record becomes Failed. When no other transfer of the same source transaction
+ * is still waiting, the job is resubmitted so it settles (rejected, or
+ * completed for the transfers that went through).
+ * @returns {Object|null} The updated hold, or null if it is not open
+ */
+export function rejectHold(stateManager, id, decision) {
+  const hold = decide(stateManager, id, HOLD_STATUS.REJECTED, decision);
+  if (!hold) {
+    return null;
+  }
+
+  queueStatusUpdate(id, [
+    { chain: getSourceChain(hold.type), txHash: hold.sourceTxHash, linkedId: id, status: TX_STATUS.FAILED }
+  ]);
+
+  const stillOpen = getHolds(stateManager).some(other => other.jobId === hold.jobId && OPEN_STATUSES.includes(other.status));
+  if (!stillOpen) {
+    jobQueue.resubmit(hold.jobId);
+  }
+  logger.warn('⛔ Held transfer rejected', { id, jobId: hold.jobId, operator: decision.operator, reason: decision.reason });
+  return hold;
+}
+
+export function getHolds(stateManager, status = null) {
+  return Object.values(stateManager.getAllHolds())
+    .filter(hold => !status || hold.status === status)
+    .sort((a, b) => a.heldAt - b.heldAt);
+}
@@ -1,12 +1,251 @@
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
+import { ethers } from 'ethers';
 import BridgeRelayer from './relayer.js';
-import { processDepositByTxHash } from './process-deposit.js';
-import { processWithdrawalByTxHash } from './process-withdrawal.js';
+import { jobQueue, JOB_STATUS } from './job-queue.js';
+import { getRelayerSigner, getSignerStats } from './signer.js';
+import { replaceInFlight, getInFlightChain } from './inflight.js';
+import { getRpcPoolStats } from './rpc-pool.js';
+import { getRecentAlerts } from './alerts.js';
+import { tokenRegistry } from './tokens.js';
+import { getFeeSchedule } from './fees.js';
+import { getQuote, QuoteError } from './quote.js';
+import { getVelocityUsage } from './velocity.js';
+import { getHolds, approveHold, rejectHold } from './holds.js';
+import { authenticateAdmin, getAuditTrail, recordAudit } from './audit.js';
+import { addressScreener } from './screening.js';
+import { getRefunds, findRefund } from './refunds.js';
+import { runReconciliation, getLatestReconciliation } from './reconciliation.js';
+import { Watchtower } from './watchtower.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { bridgeStatus } from './bridge-status.js';
+import { config } from './config.js';
 import logger from './logger.js';
 
+// Enqueue a transfer job for a source tx and run it immediately.
+// Failed jobs stay queued and are retried by the relayer's job worker.
+async function runTransferJob(type, txHash) {
+  const { job } = jobQueue.enqueue(type, txHash.toLowerCase(), {
+    txHash,
+    source: 'api'
+  });
+
+  // Dead-lettered (possibly cancelled) and held jobs wait for an operator;
+  // posting the tx again only reports them
+  let result;
+  if (job.status === JOB_STATUS.HELD) {
+    result = job.result;
+  } else if (job.status === JOB_STATUS.DEAD) {
+    result = { success: false, deadLettered: true, error: job.lastError || 'Job is dead-lettered' };
+  } else {
+    result = await jobQueue.execute(job.id);
+  }
+  return {
+    ...result,
+    jobId: job.id,
+    jobStatus: job.status,
+    attempts: job.attempts,
+    nextAttemptAt: job.status === JOB_STATUS.PENDING ? new Date(job.nextAttemptAt).toISOString() : null
+  };
+}
+
+// Read a JSON request body ({} when empty)
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk.toString();
+    });
+    req.on('end', () => {
+      try {
+        resolve(body.trim() ? JSON.parse(body) : {});
+      } catch (error) {
+        reject(new Error('Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Authenticated operator endpoints under /api/admin/
+async function handleAdminRequest(req, res, relayer) {
+  if (config.adminTokens.length === 0) {
+    sendJson(res, 403, { error: 'Admin API disabled: set ADMIN_TOKENS' });
+    return;
+  }
+
+  const operator = authenticateAdmin(req);
+  if (!operator) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const holdAction = /^\/api\/admin\/holds\/([^/]+)\/(approve|reject)$/.exec(pathname);
+  const jobRetry = /^\/api\/admin\/jobs\/([^/]+)\/retry$/.exec(pathname);
+  const inFlightAction = /^\/api\/admin\/inflight\/([^/]+)\/(speedup|cancel)$/.exec(pathname);
+
+  try {
+    if (pathname === '/api/admin/alerts' && req.method === 'GET') {
+      // Most recent operator alerts, newest first; they name matched deny-list entries
+      sendJson(res, 200, getRecentAlerts());
+    } else if (pathname === '/api/admin/jobs' && req.method === 'GET') {
+      // Job queue overview
+      sendJson(res, 200, { stats: jobQueue.getStats(), jobs: Object.values(jobQueue.jobs) });
+    } else if (pathname === '/api/admin/jobs/dead-letter' && req.method === 'GET') {
+      // Jobs that exhausted their retries
+      sendJson(res, 200, jobQueue.getDeadLetters());
+    } else if (pathname === '/api/admin/inflight' && req.method === 'GET') {
+      // Transactions broadcast but not yet confirmed, with every replacement
+      sendJson(res, 200, relayer.stateManager.getAllInFlight());
+    } else if (pathname === '/api/admin/holds' && req.method === 'GET') {
+      // Held transfers; ?status=awaiting_approval to filter
+      sendJson(res, 200, getHolds(relayer.stateManager, searchParams.get('status')));
+    } else if (holdAction && req.method === 'POST') {
+      // POST /api/admin/holds/<id>/approve|reject with { "reason": "..." }
+      const [, id, action] = holdAction;
+      const { reason } = await readJsonBody(req);
+      if (!reason || typeof reason !== 'string') {
+        sendJson(res, 400, { error: 'A reason is required' });
+        return;
+      }
+
+      const decide = action === 'approve' ? approveHold : rejectHold;
+      const hold = decide(relayer.stateManager, decodeURIComponent(id), { operator, reason });
+      if (hold) {
+        sendJson(res, 200, hold);
+      } else {
+        sendJson(res, 404, { error: 'No open hold for this transfer' });
+      }
+    } else if (jobRetry && req.method === 'POST') {
+      // Resubmit a dead-lettered job, e.g. one whose mint/unlock was cancelled
+      const jobId = decodeURIComponent(jobRetry[1]);
+      if (jobQueue.getJob(jobId)?.status !== JOB_STATUS.DEAD) {
+        sendJson(res, 404, { error: 'No dead-lettered job with this ID' });
+        return;
+      }
+      const job = jobQueue.resubmit(jobId);
+      recordAudit('retry', operator, { jobId });
+      sendJson(res, 200, job);
+    } else if (inFlightAction && req.method === 'POST') {
+      // Speed up or cancel a stuck mint/unlock/status update: POST /api/admin/inflight/<id>/speedup|cancel
+      const [, encodedId, action] = inFlightAction;
+      const id = decodeURIComponent(encodedId);
+      const entry = relayer.stateManager.getInFlight(id);
+      if (!entry) {
+        sendJson(res, 404, { error: 'In-flight transfer not found' });
+        return;
+      }
+      if (action === 'speedup' && !config.maxGasPriceGwei) {
+        // Every speed-up raises the fee; without a ceiling there is no bound
+        sendJson(res, 409, { error: 'Speed-ups need a gas ceiling: set MAX_GAS_PRICE_GWEI' });
+        return;
+      }
+
+      const signer = getRelayerSigner(getInFlightChain(entry));
+      const hash = await replaceInFlight(relayer.stateManager, signer, id, action);
+      recordAudit(action, operator, { id, replaces: entry.destTxHash, hash });
+      sendJson(res, 200, { success: true, action, hash });
+    } else if (pathname === '/api/admin/reconciliation' && req.method === 'POST') {
+      // Run the supply reconciliation now instead of waiting for the schedule
+      sendJson(res, 200, await runReconciliation(relayer.stateManager));
+    } else if (pathname === '/api/admin/circuit-breaker/trip' && req.method === 'POST') {
+      // Stop all signing now; { "reason": "..." }
+      const { reason } = await readJsonBody(req);
+      if (!reason || typeof reason !== 'string') {
+        sendJson(res, 400, { error: 'A reason is required' });
+        return;
+      }
+      await circuitBreaker.trip('admin', reason, {}, operator);
+      sendJson(res, 200, circuitBreaker.getStatus());
+    } else if (pathname === '/api/admin/circuit-breaker/resume' && req.method === 'POST') {
+      // The only way to resume after a trip; { "reason": "..." }
+      const { reason } = await readJsonBody(req);
+      if (!reason || typeof reason !== 'string') {
+        sendJson(res, 400, { error: 'A reason is required' });
+        return;
+      }
+      const resumed = await circuitBreaker.resume(operator, reason);
+      if (resumed) {
+        sendJson(res, 200, resumed);
+      } else {
+        sendJson(res, 409, { error: 'Circuit breaker is not tripped' });
+      }
+    } else if (pathname === '/api/admin/audit' && req.method === 'GET') {
+      // Operator decisions, newest first
+      sendJson(res, 200, getAuditTrail(parseInt(searchParams.get('limit') || '100')));
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  } catch (error) {
+    logger.error('Error handling admin request', { url: req.url, operator, error: error.message });
+    sendJson(res, 400, { error: error.message });
+  }
+}
+
+// `--watchtower`: verify mints/unlocks independently instead of relaying
+async function runWatchtower() {
+  logger.info('=== USDT Bridge Watchtower ===');
+
+  try {
+    const watchtower = new Watchtower();
+    await watchtower.initialize();
+    watchtower.start();
+
+    const PORT = process.env.PORT || 3001;
+    const server = http.createServer((req, res) => {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+
+      if (req.url === '/health' || req.url === '/') {
+        sendJson(res, 200, {
+          status: 'ok',
+          service: 'USDT Bridge Watchtower',
+          uptime: process.uptime(),
+          watchtower: watchtower.getStatus(),
+          rpc: getRpcPoolStats(),
+          timestamp: new Date().toISOString()
+        });
+      } else if (req.url === '/api/watchtower/findings' && req.method === 'GET') {
+        // Invalid mints/unlocks, newest first
+        sendJson(res, 200, watchtower.getFindings());
+      } else if (req.url === '/api/alerts' && req.method === 'GET') {
+        sendJson(res, 200, getRecentAlerts());
+      } else {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    });
+
+    server.listen(PORT, () => {
+      logger.info(`Watchtower listening on port ${PORT}`);
+    });
+
+    const shutdown = () => {
+      logger.info('Shutting down watchtower...');
+      server.close();
+      watchtower.stop();
+      process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    logger.error('Failed to start watchtower', { error: error.message });
+    process.exit(1);
+  }
+}
+
 async function main() {
+  if (config.watchtowerMode) {
+    await runWatchtower();
+    return;
+  }
+
   logger.info('=== USDT Bridge Relayer Service ===');
   logger.info('Initializing...');
 
@@ -21,8 +260,8 @@ async function main() {
     const server = http.createServer((req, res) => {
       // Enable CORS
       res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-      res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
 
       if (req.method === 'OPTIONS') {
         res.writeHead(200);
@@ -36,6 +275,11 @@ async function main() {
           status: 'ok',
           service: 'USDT Bridge Relayer',
           uptime: process.uptime(),
+          signers: getSignerStats(),
+          rpc: getRpcPoolStats(),
+          screening: addressScreener.getStats(),
+          circuitBreaker: circuitBreaker.getStatus(),
+          bridges: bridgeStatus.getStatus(),
           timestamp: new Date().toISOString()
         }));
       } else if (req.url.startsWith('/api/tx-hashes/')) {
@@ -48,7 +292,8 @@ async function main() {
           return;
         }
 
-        const txHashes = relayer.stateManager.getTransactionHashes(txId);
+        // A refund's own bridge record links to its refund ID; answer with the refunded transfer
+        const txHashes = relayer.stateManager.getTransactionHashes(txId) || findRefund(relayer.stateManager, txId);
 
         if (txHashes) {
           res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -57,24 +302,6 @@ async function main() {
           res.writeHead(404, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ error: 'Transaction not found' }));
         }
-      } else if (req.url === '/api/test-body' && req.method === 'POST') {
-        // Debug endpoint to see raw body
-        let body = '';
-        req.on('data', chunk => {
-          body += chunk.toString();
-        });
-
-        req.on('end', () => {
-          console.log('=== RAW BODY RECEIVED ===');
-          console.log('Length:', body.length);
-          console.log('Body:', body);
-          console.log('Body bytes:', body.split('').map(c => c.charCodeAt(0)));
-          console.log('========================');
-
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ received: body, length: body.length }));
-        });
-        return;
       } else if (req.url === '/api/process-deposit' && req.method === 'POST') {
         // Process deposit by transaction hash
         let body = '';
@@ -84,9 +311,7 @@ async function main() {
 
         req.on('end', async () => {
           try {
-            console.log('=== PROCESS DEPOSIT REQUEST ===');
-            console.log('Raw body:', body);
-            console.log('Body length:', body.length);
+            logger.debug('Process deposit request body', { body, length: body.length });
 
             // Try to extract txHash from the body - handle different formats
             let txHash = null;
@@ -108,38 +333,44 @@ async function main() {
               // First try proper JSON parsing
               const parsed = JSON.parse(cleanBody);
               txHash = parsed.txHash;
-              console.log('JSON parsed txHash:', txHash);
             } catch (jsonError) {
               // Fallback to manual extraction for malformed JSON
-              console.log('JSON parsing failed, trying manual extraction');
+              logger.debug('Request body is not JSON, trying manual extraction');
               if (cleanBody.includes('txHash:') && cleanBody.includes('0x')) {
                 // Remove braces and extract the value after txHash:
                 const withoutBraces = cleanBody.replace(/[{}]/g, '');
                 const parts = withoutBraces.split(':');
                 if (parts.length >= 2) {
                   txHash = parts[1].trim();
-                  console.log('Manually extracted txHash:', txHash);
+                  logger.debug('Manually extracted txHash', { txHash });
                 }
               }
             }
 
-            if (!txHash) {
-              console.log('Could not extract txHash from body:', cleanBody);
-            }
-
-            if (!txHash) {
+            // Only a 32-byte hash becomes a job
+            if (!ethers.isHexString(txHash, 32)) {
+              logger.debug('No valid txHash in request body', { body: cleanBody });
               res.writeHead(400, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify({ error: 'Transaction hash required' }));
+              res.end(JSON.stringify({ error: 'A 32-byte transaction hash (0x...) is required' }));
               return;
             }
 
             logger.info('Processing deposit request', { txHash });
 
-            const result = await processDepositByTxHash(txHash);
+            const result = await runTransferJob('deposit', txHash);
 
-            if (result.success) {
+            if (result.success || result.refunded) {
+              // Refunded: undeliverable, the amount went back to the sender
               res.writeHead(200, { 'Content-Type': 'application/json' });
               res.end(JSON.stringify(result));
+            } else if (result.paused) {
+              // Circuit breaker tripped; the job runs once an operator resumes
+              res.writeHead(503, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify(result));
+            } else if (result.held) {
+              // Waiting for review, or for the destination bridge to be unpaused
+              res.writeHead(result.code === 'ADDRESS_BLOCKED' ? 403 : 202, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify(result));
             } else {
               res.writeHead(400, { 'Content-Type': 'application/json' });
               res.end(JSON.stringify(result));
@@ -159,9 +390,7 @@ async function main() {
 
         req.on('end', async () => {
           try {
-            console.log('=== PROCESS WITHDRAWAL REQUEST ===');
-            console.log('Raw body:', body);
-            console.log('Body length:', body.length);
+            logger.debug('Process withdrawal request body', { body, length: body.length });
 
             // Try to extract txHash from the body - handle different formats
             let txHash = null;
@@ -183,37 +412,44 @@ async function main() {
               // First try proper JSON parsing
               const parsed = JSON.parse(cleanBody);
               txHash = parsed.txHash;
-              console.log('JSON parsed txHash:', txHash);
             } catch (jsonError) {
               // Fallback to manual extraction for malformed JSON
-              console.log('JSON parsing failed, trying manual extraction');
+              logger.debug('Request body is not JSON, trying manual extraction');
               if (cleanBody.includes('txHash:') && cleanBody.includes('0x')) {
                 // Remove braces and extract the value after txHash:
                 const withoutBraces = cleanBody.replace(/[{}]/g, '');
                 const parts = withoutBraces.split(':');
                 if (parts.length >= 2) {
                   txHash = parts[1].trim();
-                  console.log('Manually extracted txHash:', txHash);
+                  logger.debug('Manually extracted txHash', { txHash });
                 }
               }
             }
 
-            if (!txHash) {
-              console.log('Could not extract txHash from body:', cleanBody);
+            // Only a 32-byte hash becomes a job
+            if (!ethers.isHexString(txHash, 32)) {
+              logger.debug('No valid txHash in request body', { body: cleanBody });
               res.writeHead(400, { 'Content-Type': 'application/json' });
-              res.end(JSON.stringify({ error: 'Transaction hash required' }));
+              res.end(JSON.stringify({ error: 'A 32-byte transaction hash (0x...) is required' }));
               return;
             }
 
             logger.info('Processing withdrawal request', { txHash });
 
-            // Process UC withdrawal using the relayer's handleUcBurn method
-            // We need to create a mock event object from the transaction hash
-            const result = await processWithdrawalByTxHash(txHash);
+            const result = await runTransferJob('burn', txHash);
 
-            if (result.success) {
+            if (result.success || result.refunded) {
+              // Refunded: undeliverable, the amount went back to the sender
               res.writeHead(200, { 'Content-Type': 'application/json' });
               res.end(JSON.stringify(result));
+            } else if (result.paused) {
+              // Circuit breaker tripped; the job runs once an operator resumes
+              res.writeHead(503, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify(result));
+            } else if (result.held) {
+              // Waiting for review, or for the destination bridge to be unpaused
+              res.writeHead(result.code === 'ADDRESS_BLOCKED' ? 403 : 202, { 'Content-Type': 'application/json' });
+              res.end(JSON.stringify(result));
             } else {
               res.writeHead(400, { 'Content-Type': 'application/json' });
               res.end(JSON.stringify(result));
@@ -224,6 +460,54 @@ async function main() {
             res.end(JSON.stringify({ error: 'Internal server error' }));
           }
         });
+      } else if (req.url === '/api/tokens' && req.method === 'GET') {
+        // USDT address and decimals per chain, as used by the relayer
+        tokenRegistry.load()
+          .then(tokens => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(tokens));
+          })
+          .catch(error => {
+            res.writeHead(503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+          });
+      } else if (req.url === '/api/fees' && req.method === 'GET') {
+        // Fee schedule per direction, so the frontend shows the real fee
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getFeeSchedule()));
+      } else if (req.url.startsWith('/api/quote') && req.method === 'GET') {
+        // Fee, net amount, limits, liquidity and ETA for a transfer the user is about to send
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        getQuote(searchParams.get('direction'), searchParams.get('amount'), {
+          sender: searchParams.get('sender'),
+          destination: searchParams.get('destination')
+        })
+          .then(quote => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(quote));
+          })
+          .catch(error => {
+            const status = !(error instanceof QuoteError) ? 503 : error.code === 'ADDRESS_BLOCKED' ? 403 : 400;
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message, code: error.code || 'QUOTE_UNAVAILABLE' }));
+          });
+      } else if (req.url.startsWith('/api/velocity') && req.method === 'GET') {
+        // Velocity limit usage; ?address=0x... adds that address's sender/destination usage
+        const { searchParams } = new URL(req.url, 'http://localhost');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getVelocityUsage(relayer.stateManager, searchParams.get('address'))));
+      } else if (req.url.startsWith('/api/admin/')) {
+        // Operator actions; require an ADMIN_TOKENS bearer token
+        handleAdminRequest(req, res, relayer);
+      } else if (req.url === '/api/refunds' && req.method === 'GET') {
+        // Transfers refunded to their sender, with the reason and refund tx
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(getRefunds(relayer.stateManager)));
+      } else if (req.url === '/api/reconciliation' && req.method === 'GET') {
+        // Latest supply reconciliation report
+        const report = getLatestReconciliation();
+        res.writeHead(report ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(report || { error: 'No reconciliation has run yet' }));
       } else if (req.url === '/api/tx-hashes') {
         // Get all transaction hashes
         const allHashes = relayer.stateManager.getAllTransactionHashes();
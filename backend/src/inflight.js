@@ -0,0 +1,412 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import logger from './logger.js';
+import { getFees, getReplacementFees, serializeFees } from './gas.js';
+import { queueStatusUpdate, getSourceChain, getDestChain, TX_STATUS } from './source-status.js';
+import { circuitBreaker } from './circuit-breaker.js';
+
+// Key used by the bridge contracts' processedMints / processedWithdrawals
+// mappings: keccak256(abi.encodePacked(user, amount, sourceId))
+export function getProcessedKey(recipient, amount, sourceId) {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'uint256', 'bytes32'],
+    [recipient, amount, sourceId]
+  );
+}
+
+// Ask the destination bridge whether this mint (UC) or unlock (BSC) already happened
+export async function isProcessedOnChain(bridge, type, recipient, amount, sourceId) {
+  const processedKey = getProcessedKey(recipient, amount, sourceId);
+  return type === 'deposit'
+    ? await bridge.processedMints(processedKey)
+    : await bridge.processedWithdrawals(processedKey);
+}
+
+// Chain an in-flight record is signed on: a mint ('deposit') goes to UC, an
+// unlock ('burn') to BSC, and a bridge record update ('status') or the
+// circuit breaker's pause()/unpause() ('pause') names its chain
+export const getInFlightChain = entry => entry.chain || getDestChain(entry.type);
+
+// The circuit breaker's own pause()/unpause() is sent while it is tripped
+const signsWhileTripped = entry => entry.type === 'pause';
+
+// Did some other tx already do what the record was sent for?
+async function isDoneOnChain(bridge, idStr, entry) {
+  if (entry.type === 'status') {
+    const record = await bridge.getTransaction(entry.transactionId);
+    return Number(record.status) === entry.recordStatus;
+  }
+  if (entry.type === 'pause') {
+    return (await bridge.paused()) === entry.paused;
+  }
+  return isProcessedOnChain(bridge, entry.type, entry.recipient, entry.amount, entry.sourceId || idStr);
+}
+
+export class TransferCancelledError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TransferCancelledError';
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Every transaction signed for an in-flight nonce (original, speed-ups, cancel)
+const getAttempts = entry => entry.attempts || [{ hash: entry.destTxHash, kind: 'original' }];
+
+/**
+ * Sign a bridge call, persist the intent together with its tx hash, then broadcast.
+ * A crash at any point leaves a record that reconcileInFlight can resolve
+ * without sending a second mint/unlock. Runs through the shared signer so the
+ * nonce is never handed out twice. Nothing but the circuit breaker's own
+ * pause()/unpause() is signed while the breaker is tripped.
+ */
+export async function sendWithIntent(stateManager, signer, id, intent, contract, method, args) {
+  const txRequest = await contract[method].populateTransaction(...args);
+
+  return signer.submit(async (nonce) => {
+    if (!signsWhileTripped(intent)) {
+      circuitBreaker.assertClosed();
+    }
+    const wallet = signer.wallet;
+    const fees = await getFees(signer.provider, signer.chainName);
+    const populated = await wallet.populateTransaction({ ...txRequest, ...fees, nonce });
+    const signedTx = await wallet.signTransaction(populated);
+    const destTxHash = ethers.Transaction.from(signedTx).hash;
+    const now = Date.now();
+
+    stateManager.setInFlight(id, {
+      ...intent,
+      method,
+      destTxHash,
+      signedTx,
+      nonce: populated.nonce,
+      fees: serializeFees(fees),
+      attempts: [{ hash: destTxHash, kind: 'original', fees: serializeFees(fees), sentAt: now }],
+      status: 'signed',
+      createdAt: now,
+      lastBroadcastAt: now
+    });
+
+    logger.info('📝 Write-ahead record saved, broadcasting', { id: id.toString(), method, destTxHash });
+
+    const tx = await wallet.provider.broadcastTransaction(signedTx);
+    stateManager.updateInFlight(id, { status: 'broadcast' });
+    return tx;
+  });
+}
+
+/**
+ * Re-sign an in-flight transaction with the same nonce and higher fees.
+ * kind 'speedup' resends the latest transaction; kind 'cancel' replaces it
+ * with a zero-value transfer to the relayer itself. Replacements queue on the
+ * shared signer like any submission; a speed-up re-sends a mint/unlock, so it
+ * is refused while the circuit breaker is tripped (unless it is the breaker's
+ * own pause), while a cancel only withdraws one.
+ * @returns {Promise<string|null>} Hash of the replacement, or null if there is nothing in flight
+ */
+export async function replaceInFlight(stateManager, signer, id, kind = 'speedup') {
+  const idStr = id.toString();
+  if (!stateManager.getInFlight(idStr)) {
+    return null;
+  }
+
+  return signer.replace(async () => {
+    const entry = stateManager.getInFlight(idStr);
+    if (!entry) {
+      return null;
+    }
+    if (kind === 'speedup' && !signsWhileTripped(entry)) {
+      circuitBreaker.assertClosed();
+    }
+
+    const previous = ethers.Transaction.from(entry.signedTx);
+    const previousFees = previous.type === 2
+      ? { type: 2, maxFeePerGas: previous.maxFeePerGas, maxPriorityFeePerGas: previous.maxPriorityFeePerGas }
+      : { type: 0, gasPrice: previous.gasPrice };
+    const fees = await getReplacementFees(signer.provider, signer.chainName, previousFees);
+
+    const base = kind === 'cancel'
+      ? { to: signer.wallet.address, value: 0n, data: '0x', gasLimit: 21000n }
+      : { to: previous.to, value: previous.value, data: previous.data, gasLimit: previous.gasLimit };
+
+    const signedTx = await signer.wallet.signTransaction({
+      ...base,
+      ...fees,
+      nonce: previous.nonce,
+      chainId: previous.chainId
+    });
+    const hash = ethers.Transaction.from(signedTx).hash;
+    const now = Date.now();
+
+    // Write-ahead again: the replacement may be the one that lands
+    stateManager.updateInFlight(idStr, {
+      destTxHash: hash,
+      signedTx,
+      fees: serializeFees(fees),
+      attempts: [...getAttempts(entry), { hash, kind, fees: serializeFees(fees), sentAt: now }],
+      status: kind === 'cancel' ? 'cancelling' : 'broadcast',
+      lastBroadcastAt: now
+    });
+
+    logger.warn(kind === 'cancel' ? '🛑 Cancelling in-flight transaction' : '⛽ Speeding up stuck transaction', {
+      id: idStr,
+      nonce: previous.nonce,
+      replaces: entry.destTxHash,
+      hash,
+      fees: serializeFees(fees)
+    });
+
+    try {
+      await signer.provider.broadcastTransaction(signedTx);
+    } catch (error) {
+      // Usually an earlier attempt was mined meanwhile; the next receipt check will tell
+      logger.warn('Replacement broadcast failed', { id: idStr, hash, error: error.message });
+    }
+
+    return hash;
+  });
+}
+
+// Receipt of whichever signed attempt was mined, if any
+async function findLandedAttempt(provider, entry) {
+  for (const attempt of getAttempts(entry)) {
+    const receipt = await provider.getTransactionReceipt(attempt.hash);
+    if (receipt) {
+      return { attempt, receipt };
+    }
+  }
+  return null;
+}
+
+/**
+ * Wait for an in-flight mint/unlock to be mined, speeding it up with bumped
+ * fees every STUCK_TX_TIMEOUT ms (up to MAX_GAS_BUMPS times).
+ * @returns {Promise<Object>} Receipt of the transaction that landed
+ */
+export async function waitForInFlight(stateManager, signer, id) {
+  const idStr = id.toString();
+  const pollInterval = signer.chainName === 'BSC' ? config.bscBlockTime : config.ucBlockTime;
+
+  while (true) {
+    const entry = stateManager.getInFlight(idStr);
+    if (!entry) {
+      throw new Error(`No in-flight record for ${idStr}`);
+    }
+
+    const landed = await findLandedAttempt(signer.provider, entry);
+    if (landed?.attempt.kind === 'cancel') {
+      stateManager.clearInFlight(idStr);
+      logger.warn('🛑 In-flight transaction cancelled', { id: idStr, cancelTxHash: landed.attempt.hash });
+      throw new TransferCancelledError(`${entry.method} was cancelled (cancel tx ${landed.attempt.hash})`);
+    }
+    if (landed && landed.receipt.status === 1) {
+      return landed.receipt;
+    }
+    if (landed) {
+      stateManager.clearInFlight(idStr);
+      throw new Error(`${entry.method} transaction reverted: ${landed.attempt.hash}`);
+    }
+
+    if (Date.now() - (entry.lastBroadcastAt || entry.createdAt) >= config.stuckTxTimeout) {
+      const bumps = getAttempts(entry).length - 1;
+      if (bumps >= config.maxGasBumps) {
+        // Record stays in flight; the next job attempt picks it up again
+        throw new Error(`${entry.method} still pending after ${bumps} fee bump(s): ${entry.destTxHash}`);
+      }
+      await replaceInFlight(stateManager, signer, idStr, 'speedup');
+    }
+
+    await sleep(pollInterval);
+  }
+}
+
+// Record a landed mint/unlock (or refund) as processed, keeping the hashes it
+// replaced. A landed status update or pause has nothing to record.
+export function completeInFlight(stateManager, id, destTxHash) {
+  const idStr = id.toString();
+  const entry = stateManager.getInFlight(idStr);
+  if (!entry) {
+    return;
+  }
+
+  if (entry.type === 'status' || entry.type === 'pause') {
+    stateManager.clearInFlight(idStr);
+    return;
+  }
+
+  if (entry.refundOf) {
+    // A refund settles the original transfer, which is never delivered afterwards
+    const { id: originalId, type } = entry.refundOf;
+    if (type === 'deposit') {
+      stateManager.addProcessedDeposit(originalId);
+    } else {
+      stateManager.addProcessedBurn(originalId);
+    }
+    const refund = stateManager.getTransactionHashes(originalId)?.refund;
+    stateManager.updateTransfer(originalId, {
+      status: 'refunded',
+      refund: {
+        ...refund,
+        status: 'completed',
+        txHash: destTxHash,
+        replacedTxHashes: getAttempts(entry).map(a => a.hash).filter(hash => hash !== destTxHash),
+        completedAt: Date.now()
+      }
+    });
+    stateManager.clearInFlight(idStr);
+    logger.info('↩️ Refund confirmed', { id: originalId, refundTxHash: destTxHash });
+    return;
+  }
+
+  if (entry.type === 'deposit') {
+    stateManager.addProcessedDeposit(idStr);
+    stateManager.addDepositTxHashes(idStr, entry.sourceTxHash, destTxHash);
+  } else {
+    stateManager.addProcessedBurn(idStr);
+    stateManager.addBurnTxHashes(idStr, entry.sourceTxHash, destTxHash);
+  }
+
+  if (entry.fee) {
+    stateManager.updateTransfer(idStr, { fee: entry.fee });
+  }
+
+  // Both bridge records of the transfer become Completed
+  queueStatusUpdate(idStr, [
+    { chain: getSourceChain(entry.type), txHash: entry.sourceTxHash, linkedId: idStr, status: TX_STATUS.COMPLETED },
+    { chain: getDestChain(entry.type), txHash: destTxHash, linkedId: idStr, status: TX_STATUS.COMPLETED }
+  ]);
+
+  const attempts = getAttempts(entry);
+  if (attempts.length > 1) {
+    stateManager.updateTransfer(idStr, {
+      replacedTxHashes: attempts.filter(a => a.hash !== destTxHash).map(a => a.hash)
+    });
+    logger.info('Replacement landed', { id: idStr, landedTxHash: destTxHash, attempts: attempts.length });
+  }
+
+  stateManager.clearInFlight(idStr);
+}
+
+// The node has the transaction already, e.g. from an earlier broadcast
+const isAlreadyKnown = error => /already known|known transaction|already imported/i.test(error.message);
+
+// Has a transaction with the record's nonce been mined (ours or any other)?
+async function isNonceUsed(provider, entry, error) {
+  if (error.code === 'NONCE_EXPIRED' || /nonce too low/i.test(error.message)) {
+    return true;
+  }
+  const { from } = ethers.Transaction.from(entry.signedTx);
+  return (await provider.getTransactionCount(from, 'latest')) > entry.nonce;
+}
+
+// Steps 1 and 2 of reconcileInFlight: the outcome if something landed, else null
+async function resolveLanded(stateManager, idStr, entry, provider, bridge) {
+  // 1. Did one of our signed txs land?
+  const landed = await findLandedAttempt(provider, entry);
+  if (landed?.attempt.kind === 'cancel') {
+    stateManager.clearInFlight(idStr);
+    logger.warn('🛑 In-flight transaction was cancelled', { id: idStr, cancelTxHash: landed.attempt.hash });
+    return { status: 'cancelled', destTxHash: landed.attempt.hash };
+  }
+  if (landed && landed.receipt.status === 1) {
+    completeInFlight(stateManager, idStr, landed.attempt.hash);
+    logger.info('✅ In-flight transfer already confirmed', { id: idStr, destTxHash: landed.attempt.hash });
+    return { status: 'completed', destTxHash: landed.attempt.hash };
+  }
+
+  // 2. Was the transfer processed (or the record updated) by some other tx?
+  if (await isDoneOnChain(bridge, idStr, entry)) {
+    completeInFlight(stateManager, idStr, null);
+    logger.info('✅ In-flight transfer found processed on-chain', { id: idStr });
+    return { status: 'completed', destTxHash: null };
+  }
+
+  if (landed) {
+    stateManager.clearInFlight(idStr);
+    logger.warn('In-flight transaction reverted, safe to resend', { id: idStr, destTxHash: landed.attempt.hash });
+    return { status: 'failed', destTxHash: landed.attempt.hash };
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an in-flight mint/unlock (or bridge record update) against the
+ * chain it was sent to.
+ * Returns { status: 'none' | 'completed' | 'pending' | 'failed' | 'cancelled', destTxHash }
+ * - completed: the transfer landed (receipt or contract mapping)
+ * - pending:   a signed tx is still in (or was re-sent to) the mempool
+ * - failed:    nothing landed and its nonce was used by another tx, or it
+ *              reverted; the record was cleared and it is safe to resend
+ * - cancelled: an operator cancel took the nonce; the record was cleared
+ * Throws when the outcome cannot be told (e.g. a re-broadcast timed out);
+ * the record is kept and the job retries.
+ */
+export async function reconcileInFlight(stateManager, id, provider, bridge) {
+  const entry = stateManager.getInFlight(id);
+  if (!entry) {
+    return { status: 'none' };
+  }
+
+  const idStr = id.toString();
+  logger.info('🔎 Reconciling in-flight transfer', {
+    id: idStr,
+    type: entry.type,
+    destTxHash: entry.destTxHash
+  });
+
+  const resolved = await resolveLanded(stateManager, idStr, entry, provider, bridge);
+  if (resolved) {
+    return resolved;
+  }
+
+  // 3. Still waiting in the mempool?
+  for (const attempt of getAttempts(entry)) {
+    if (await provider.getTransaction(attempt.hash)) {
+      logger.info('⏳ In-flight transaction still pending', { id: idStr, destTxHash: attempt.hash });
+      return { status: 'pending', destTxHash: attempt.hash };
+    }
+  }
+
+  // 4. Never reached the network - re-send the latest signed tx (same nonce,
+  //    so it can never produce a second transfer)
+  try {
+    await provider.broadcastTransaction(entry.signedTx);
+    stateManager.updateInFlight(idStr, { status: 'broadcast', lastBroadcastAt: Date.now() });
+    logger.info('📡 Re-broadcast in-flight transaction', { id: idStr, destTxHash: entry.destTxHash });
+    return { status: 'pending', destTxHash: entry.destTxHash };
+  } catch (error) {
+    if (isAlreadyKnown(error)) {
+      stateManager.updateInFlight(idStr, { status: 'broadcast', lastBroadcastAt: Date.now() });
+      logger.info('⏳ In-flight transaction already known to the node', { id: idStr, destTxHash: entry.destTxHash });
+      return { status: 'pending', destTxHash: entry.destTxHash };
+    }
+
+    // Anything but a used nonce (timeouts, failover, ...) leaves the signed
+    // tx valid, so the record has to stay
+    if (!(await isNonceUsed(provider, entry, error))) {
+      logger.warn('Re-broadcast of in-flight transaction failed, keeping the record', {
+        id: idStr,
+        destTxHash: entry.destTxHash,
+        error: error.message
+      });
+      throw error;
+    }
+
+    // The nonce is taken; one of our attempts may have been mined since step 1
+    const resolvedLate = await resolveLanded(stateManager, idStr, entry, provider, bridge);
+    if (resolvedLate) {
+      return resolvedLate;
+    }
+
+    // Another tx used the nonce: ours can never be mined
+    stateManager.clearInFlight(idStr);
+    logger.warn('In-flight transaction dropped, safe to resend', {
+      id: idStr,
+      destTxHash: entry.destTxHash,
+      error: error.message
+    });
+    return { status: 'failed', destTxHash: entry.destTxHash };
+  }
+}
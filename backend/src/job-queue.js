@@ -0,0 +1,359 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import logger from './logger.js';
+
+const JOBS_FILE = path.join(process.cwd(), 'relayer-jobs.json');
+
+// Job lifecycle: pending -> running -> completed
+//                                   -> pending (retry with backoff)
+//                                   -> dead (max attempts reached or transfer cancelled)
+//                                   -> rejected (source tx failed verification)
+//                                   -> held (a transfer waits for review or a paused bridge; resubmitted on release)
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+  REJECTED: 'rejected',
+  HELD: 'held'
+};
+
+export class JobQueue {
+  constructor() {
+    this.jobs = this.loadJobs();
+    this.handlers = new Map();
+    this.active = new Map(); // jobId -> in-flight promise
+    this.isRunning = false;
+    this.paused = null; // Reason while the circuit breaker is tripped
+  }
+
+  // An unreadable file is never replaced by an empty queue: the relayer
+  // refuses to start until an operator fixes or moves it
+  loadJobs() {
+    if (!fs.existsSync(JOBS_FILE)) {
+      return {};
+    }
+
+    let jobs;
+    try {
+      jobs = JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+    } catch (error) {
+      logger.error('Error loading job queue file', { file: JOBS_FILE, error: error.message });
+      throw new Error(`Job queue file ${JOBS_FILE} is unreadable (${error.message}); fix or move it before starting`);
+    }
+
+    // Jobs that were running when the process died are retried
+    let interrupted = 0;
+    for (const job of Object.values(jobs)) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        job.status = JOB_STATUS.PENDING;
+        job.nextAttemptAt = Date.now();
+        interrupted++;
+      }
+    }
+
+    logger.info('Loaded job queue from file', {
+      jobs: Object.keys(jobs).length,
+      interrupted
+    });
+    return jobs;
+  }
+
+  // Write a temp file and rename it over the queue, so a crash mid-write
+  // leaves the previous file intact
+  saveJobs() {
+    const tmpFile = `${JOBS_FILE}.tmp`;
+    try {
+      fs.writeFileSync(tmpFile, JSON.stringify(this.jobs, null, 2));
+      fs.renameSync(tmpFile, JOBS_FILE);
+    } catch (error) {
+      logger.error('Error saving job queue file', { error: error.message });
+    }
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Add a job for a source transaction. Re-enqueueing a known job is a no-op
+  // and returns the existing record with created: false.
+  enqueue(type, key, payload = {}) {
+    const id = `${type}:${key}`;
+    if (this.jobs[id]) {
+      return { job: this.jobs[id], created: false };
+    }
+
+    const now = Date.now();
+    this.jobs[id] = {
+      id,
+      type,
+      key,
+      payload,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts: config.jobMaxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.saveJobs();
+    logger.info('📥 Job enqueued', { jobId: id, type });
+    return { job: this.jobs[id], created: true };
+  }
+
+  getJob(id) {
+    return this.jobs[id] || null;
+  }
+
+  // A value worked out once for a job and reused by every retry (e.g. the fee
+  // a transfer was first priced at). Without a known job it is computed fresh.
+  pin(id, key, compute) {
+    const job = this.jobs[id];
+    if (!job) {
+      return compute();
+    }
+
+    job.payload.pinned = job.payload.pinned || {};
+    if (!(key in job.payload.pinned)) {
+      job.payload.pinned[key] = compute();
+      this.saveJobs();
+    }
+    return job.payload.pinned[key];
+  }
+
+  // Run a job now. Concurrent callers for the same job share one execution.
+  execute(id) {
+    if (this.active.has(id)) {
+      return this.active.get(id);
+    }
+
+    const promise = this.runJob(id).finally(() => this.active.delete(id));
+    this.active.set(id, promise);
+    return promise;
+  }
+
+  async runJob(id) {
+    const job = this.jobs[id];
+    if (!job) {
+      throw new Error(`Unknown job: ${id}`);
+    }
+
+    if (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.REJECTED) {
+      return job.result;
+    }
+
+    if (this.paused) {
+      return { success: false, paused: true, error: `Processing paused: ${this.paused}` };
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    job.status = JOB_STATUS.RUNNING;
+    job.attempts++;
+    job.updatedAt = Date.now();
+    this.saveJobs();
+
+    let result;
+    try {
+      result = await handler(job);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result && (result.success || result.alreadyProcessed || result.refunded)) {
+      this.markCompleted(job, result);
+    } else if (result?.rejected) {
+      this.markRejected(job, result);
+    } else if (result?.held) {
+      this.markHeld(job, result);
+    } else if (this.paused) {
+      // Tripped while the job ran; the attempt does not count
+      this.markPaused(job, result);
+    } else if (result?.cancelled) {
+      // An operator cancelled the mint/unlock; wait for an explicit retry
+      this.markFailed(job, result.error, { final: true });
+    } else {
+      this.markFailed(job, result?.error || result?.message || 'Unknown error');
+    }
+
+    return result;
+  }
+
+  markCompleted(job, result) {
+    job.status = JOB_STATUS.COMPLETED;
+    job.result = result;
+    job.lastError = null;
+    job.completedAt = Date.now();
+    job.updatedAt = job.completedAt;
+    this.saveJobs();
+    logger.info('✅ Job completed', { jobId: job.id, attempts: job.attempts });
+  }
+
+  // Verification rejections are final - retrying the same source tx cannot help
+  markRejected(job, result) {
+    job.status = JOB_STATUS.REJECTED;
+    job.result = result;
+    job.lastError = result.error;
+    job.nextAttemptAt = null;
+    job.updatedAt = Date.now();
+    this.saveJobs();
+    logger.warn('🚫 Job rejected', { jobId: job.id, reason: result.reason, error: result.error });
+  }
+
+  // Not retried on its own; releasing the hold (or unpausing the bridge) resubmits the job
+  markHeld(job, result) {
+    job.status = JOB_STATUS.HELD;
+    job.result = result;
+    job.lastError = null;
+    job.nextAttemptAt = null;
+    job.updatedAt = Date.now();
+    this.saveJobs();
+    logger.warn('⏸️ Job held', { jobId: job.id, reason: result.reason });
+  }
+
+  markPaused(job, result) {
+    job.status = JOB_STATUS.PENDING;
+    job.attempts = Math.max(0, job.attempts - 1);
+    job.lastError = result?.error || null;
+    job.nextAttemptAt = Date.now();
+    job.updatedAt = Date.now();
+    this.saveJobs();
+    logger.warn('⏸️ Job interrupted by pause, will run on resume', { jobId: job.id });
+  }
+
+  markFailed(job, errorMessage, { final = false } = {}) {
+    job.lastError = errorMessage;
+    job.updatedAt = Date.now();
+
+    if (final || job.attempts >= job.maxAttempts) {
+      job.status = JOB_STATUS.DEAD;
+      job.nextAttemptAt = null;
+      logger.error('💀 Job moved to dead-letter list', {
+        jobId: job.id,
+        attempts: job.attempts,
+        error: errorMessage
+      });
+    } else {
+      const delay = this.getRetryDelay(job.attempts);
+      job.status = JOB_STATUS.PENDING;
+      job.nextAttemptAt = Date.now() + delay;
+      logger.warn(`🔁 Job failed, retrying in ${Math.round(delay / 1000)}s`, {
+        jobId: job.id,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        error: errorMessage
+      });
+    }
+
+    this.saveJobs();
+  }
+
+  getRetryDelay(attempts) {
+    return Math.min(config.jobRetryBaseDelay * Math.pow(2, attempts - 1), config.jobRetryMaxDelay);
+  }
+
+  getDueJobs(now = Date.now()) {
+    return Object.values(this.jobs)
+      .filter(job => job.status === JOB_STATUS.PENDING && job.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+  }
+
+  getDeadLetters() {
+    return Object.values(this.jobs).filter(job => job.status === JOB_STATUS.DEAD);
+  }
+
+  getHeldJobs() {
+    return Object.values(this.jobs).filter(job => job.status === JOB_STATUS.HELD);
+  }
+
+  // Jobs that have failed at least once and were queued more than maxAge ms ago,
+  // whether still retrying or dead-lettered
+  getStaleJobs(maxAge, now = Date.now()) {
+    return Object.values(this.jobs)
+      .filter(job => [JOB_STATUS.PENDING, JOB_STATUS.DEAD].includes(job.status))
+      .filter(job => job.attempts > 0 && now - job.createdAt >= maxAge);
+  }
+
+  // Jobs of these types that have not settled yet (pending, running, held or dead)
+  getUnsettledJobs(types) {
+    return Object.values(this.jobs)
+      .filter(job => types.includes(job.type))
+      .filter(job => ![JOB_STATUS.COMPLETED, JOB_STATUS.REJECTED].includes(job.status));
+  }
+
+  // Put a dead (or pending) job back on the queue with a fresh attempt budget.
+  // payloadChanges are merged into the job payload first.
+  resubmit(id, payloadChanges = {}) {
+    const job = this.jobs[id];
+    if (!job || [JOB_STATUS.COMPLETED, JOB_STATUS.RUNNING, JOB_STATUS.REJECTED].includes(job.status)) {
+      return null;
+    }
+
+    job.payload = { ...job.payload, ...payloadChanges };
+    job.status = JOB_STATUS.PENDING;
+    job.attempts = 0;
+    job.nextAttemptAt = Date.now();
+    job.updatedAt = Date.now();
+    this.saveJobs();
+    logger.info('♻️ Job resubmitted', { jobId: id });
+    return job;
+  }
+
+  // Stop running jobs (the circuit breaker); queued jobs wait for resume()
+  pause(reason) {
+    this.paused = reason;
+    logger.warn('⏸️ Job queue paused', { reason });
+  }
+
+  resume() {
+    this.paused = null;
+    logger.info('▶️ Job queue resumed');
+  }
+
+  getStats() {
+    const stats = { total: 0 };
+    for (const status of Object.values(JOB_STATUS)) {
+      stats[status] = 0;
+    }
+    for (const job of Object.values(this.jobs)) {
+      stats.total++;
+      stats[job.status]++;
+    }
+    stats.paused = this.paused;
+    return stats;
+  }
+
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info('Job queue worker started', this.getStats());
+
+    while (this.isRunning) {
+      for (const job of this.paused ? [] : this.getDueJobs()) {
+        if (!this.isRunning) break;
+        try {
+          await this.execute(job.id);
+        } catch (error) {
+          logger.error('Error running job', { jobId: job.id, error: error.message });
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, config.jobPollInterval));
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+}
+
+// Shared queue for the relayer loops and the HTTP API
+export const jobQueue = new JobQueue();
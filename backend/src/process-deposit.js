@@ -9,27 +9,53 @@ import { ethers } from 'ethers';
 import { config } from './config.js';
 import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
 import logger, { transactionLogger } from './logger.js';
-import { StateManager } from './state.js';
+import { stateManager } from './state.js';
+import {
+  sendWithIntent,
+  waitForInFlight,
+  completeInFlight,
+  reconcileInFlight,
+  isProcessedOnChain,
+  TransferCancelledError
+} from './inflight.js';
+import { verifyChainId, verifySourceReceipt, normalizeDestination, RejectionError } from './verify.js';
+import { waitForFinality, assertBlockUnchanged } from './finality.js';
+import { getRelayerSigner } from './signer.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { requiresQuorum, verifyReceiptQuorum } from './quorum.js';
+import { tokenRegistry } from './tokens.js';
+import { calculateFee, serializeFee, storeFee, restoreFee, checkTransferLimits } from './fees.js';
+import { admitTransfer, describeHold } from './holds.js';
+import { refundTransfer } from './refunds.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { jobQueue } from './job-queue.js';
 
-const stateManager = new StateManager();
-
-export async function processDepositByTxHash(bscTxHash) {
+/**
+ * Process every Deposit in a BSC transaction. A single transaction can carry
+ * several deposits (batching contracts, smart wallets); each is deduped by its
+ * own depositId and minted separately.
+ */
+export async function processDepositByTxHash(bscTxHash, { expired = false, countMismatches = false, jobId = null } = {}) {
   const startTime = Date.now();
 
   try {
     logger.info('🎯 Processing BSC deposit by transaction hash', { bscTxHash });
 
     // Setup providers
-    const bscProvider = new ethers.JsonRpcProvider(config.bscRpcUrl);
-    const ucProvider = new ethers.JsonRpcProvider(config.ucRpcUrl);
-    const relayerWallet = new ethers.Wallet(config.relayerPrivateKey);
-    const ucWallet = relayerWallet.connect(ucProvider);
+    const bscProvider = getPooledProvider('BSC');
+    const ucSigner = getRelayerSigner('UC');
+    const ucProvider = ucSigner.provider;
 
     // Setup contracts
     const bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, bscProvider);
-    const ucBridge = new ethers.Contract(config.ucBridgeAddress, UC_BRIDGE_ABI, ucWallet);
+    const ucBridge = new ethers.Contract(config.ucBridgeAddress, UC_BRIDGE_ABI, ucSigner.wallet);
+
+    // Token decimals for both chains (read once, then cached)
+    await tokenRegistry.load();
+
+    // STEP 1: Get transaction receipt from the expected chain
+    await verifyChainId(bscProvider, config.bscChainId, 'BSC');
 
-    // STEP 1: Get transaction receipt
     logger.info('🔍 Fetching transaction receipt...', { bscTxHash });
     const receipt = await bscProvider.getTransactionReceipt(bscTxHash);
 
@@ -37,64 +63,153 @@ export async function processDepositByTxHash(bscTxHash) {
       throw new Error('Transaction receipt not found');
     }
 
-    if (receipt.status !== 1) {
-      throw new Error('Transaction failed on BSC');
-    }
+    // STEP 2: Verify the receipt and parse every Deposit event emitted by the bridge
+    logger.info('📋 Parsing deposit events from transaction logs...');
+    const depositEvents = verifySourceReceipt(receipt, {
+      bridge: bscBridge,
+      bridgeAddress: config.bscBridgeAddress,
+      allowedTargets: config.bscAllowedTxTargets,
+      eventName: 'Deposit',
+      chainName: 'BSC'
+    });
 
-    // STEP 2: Parse Deposit event from logs
-    logger.info('📋 Parsing deposit event from transaction logs...');
-    const depositEvent = receipt.logs
-      .map(log => {
-        try {
-          return bscBridge.interface.parseLog(log);
-        } catch {
-          return null;
-        }
-      })
-      .find(e => e && e.name === 'Deposit');
-
-    if (!depositEvent) {
-      throw new Error('Deposit event not found in transaction');
-    }
+    logger.info(`✅ Found ${depositEvents.length} deposit event(s)`, {
+      bscTxHash,
+      depositIds: depositEvents.map(e => e.args.depositId.toString()),
+      blockNumber: receipt.blockNumber
+    });
 
-    const { user, amount, depositId, destinationAddress } = depositEvent.args;
-    const depositIdStr = depositId.toString();
+    // STEP 3: Wait until the source block is final
+    const confirmations = await waitForFinality(bscProvider, receipt.blockNumber, {
+      chainName: 'BSC',
+      finality: config.bscFinality,
+      pollInterval: config.bscBlockTime,
+      timeout: config.finalityTimeout
+    });
 
-    logger.info('✅ Deposit event parsed', {
-      user,
-      amount: ethers.formatUnits(amount, 18),
-      depositId: depositIdStr,
-      destinationAddress,
+    logger.info('✅ Transaction confirmed on BSC', {
+      confirmations,
       blockNumber: receipt.blockNumber
     });
 
-    // STEP 3: Check if already processed
-    if (stateManager.isDepositProcessed(depositIdStr)) {
-      logger.warn('Deposit already processed', { depositId: depositIdStr });
-      return { success: false, message: 'Deposit already processed' };
+    // Large transfers must be confirmed by several independent RPC endpoints
+    if (requiresQuorum('BSC', depositEvents)) {
+      await verifyReceiptQuorum('BSC', receipt, {
+        bridge: bscBridge,
+        bridgeAddress: config.bscBridgeAddress,
+        eventName: 'Deposit'
+      });
+    }
+
+    // STEP 4: Mint each deposit separately
+    const transfers = [];
+    for (const depositEvent of depositEvents) {
+      transfers.push(await processDeposit(depositEvent.args, {
+        bscTxHash,
+        receipt,
+        confirmations,
+        bscProvider,
+        ucProvider,
+        ucSigner,
+        ucBridge,
+        expired,
+        jobId,
+        startTime
+      }));
     }
 
-    // STEP 4: Wait for confirmations
-    const requiredConfirmations = 6;
-    let currentBlock = await bscProvider.getBlockNumber();
-    let confirmations = currentBlock - receipt.blockNumber;
+    const totalTime = Date.now() - startTime;
+    const completed = transfers.filter(t => t.success);
+    const held = transfers.filter(t => t.held);
+    const rejected = transfers.filter(t => t.rejected);
+    const refunded = transfers.filter(t => t.refunded);
+    const failed = transfers.filter(t => !t.success && !t.alreadyProcessed && !t.held && !t.rejected && !t.refunded);
 
-    if (confirmations < requiredConfirmations) {
-      const blocksToWait = requiredConfirmations - confirmations;
-      const waitTime = blocksToWait * 3000; // 3 seconds per BSC block
+    return {
+      ...(completed[0] || failed[0] || held[0] || refunded[0] || transfers[0]),
+      success: completed.length > 0 && failed.length === 0 && held.length === 0,
+      alreadyProcessed: completed.length === 0 && failed.length === 0 && held.length === 0 && refunded.length === 0 && rejected.length < transfers.length,
+      held: held.length > 0 && failed.length === 0,
+      rejected: rejected.length === transfers.length,
+      refunded: refunded.length > 0 && failed.length === 0 && held.length === 0,
+      error: failed.length > 0
+        ? `${failed.length} of ${transfers.length} deposit(s) failed: ${failed[0].error}`
+        : rejected[0]?.error,
+      cancelled: failed.length > 0 && failed.every(t => t.cancelled),
+      bscTxHash,
+      transferCount: transfers.length,
+      transfers,
+      totalTime: `${(totalTime/1000).toFixed(1)}s`
+    };
 
-      logger.info(`⏳ Waiting for ${blocksToWait} more confirmations (~${waitTime/1000}s)`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  } catch (error) {
+    logger.error('❌ Error processing deposit by hash', {
+      error: error.message,
+      stack: error.stack,
+      bscTxHash,
+      timeElapsed: `${(Date.now() - startTime)/1000}s`
+    });
 
-      currentBlock = await bscProvider.getBlockNumber();
-      confirmations = currentBlock - receipt.blockNumber;
+    // Only events the relayer found itself count towards the breaker; anyone
+    // can post a foreign or wrong-chain tx to the process API
+    if (error instanceof RejectionError && countMismatches) {
+      await circuitBreaker.recordMismatch(error.reason, { bscTxHash });
     }
 
-    logger.info('✅ Transaction confirmed on BSC', {
-      confirmations,
-      blockNumber: receipt.blockNumber
+    transactionLogger.error('BSC -> UC Transfer Failed (by hash)', {
+      direction: 'BSC -> UC',
+      sourceChain: 'BSC',
+      destinationChain: 'UC',
+      bscTxHash,
+      error: error.message,
+      status: error instanceof RejectionError ? 'rejected' : 'failed',
+      failedAt: new Date().toISOString()
     });
 
+    return {
+      success: false,
+      error: error.message,
+      rejected: error instanceof RejectionError,
+      reason: error instanceof RejectionError ? error.reason : null,
+      bscTxHash
+    };
+  }
+}
+
+// Mint a single verified deposit on UC
+async function processDeposit(depositArgs, { bscTxHash, receipt, confirmations, bscProvider, ucProvider, ucSigner, ucBridge, expired, jobId, startTime }) {
+  const { user, amount, depositId, destinationAddress } = depositArgs;
+  const depositIdStr = depositId.toString();
+
+  try {
+    // Check if already processed
+    if (stateManager.isDepositProcessed(depositIdStr)) {
+      logger.warn('Deposit already processed', { depositId: depositIdStr });
+      return { success: false, alreadyProcessed: true, depositId: depositIdStr, message: 'Deposit already processed' };
+    }
+
+    // Resolve a mint left in flight by a crash or an earlier attempt
+    const inFlight = await reconcileInFlight(stateManager, depositIdStr, ucProvider, ucBridge);
+    if (inFlight.status === 'completed') {
+      return { success: false, alreadyProcessed: true, depositId: depositIdStr, message: 'Deposit already processed', ucTxHash: inFlight.destTxHash };
+    }
+    if (inFlight.status === 'cancelled') {
+      return { success: false, cancelled: true, depositId: depositIdStr, error: 'Mint was cancelled by an operator', ucTxHash: inFlight.destTxHash };
+    }
+    if (inFlight.status === 'pending') {
+      // Keep watching (and speeding up) the mint sent by an earlier attempt
+      const ucReceipt = await waitForInFlight(stateManager, ucSigner, depositIdStr);
+      completeInFlight(stateManager, depositIdStr, ucReceipt.hash);
+      return {
+        success: true,
+        depositId: depositIdStr,
+        bscTxHash,
+        ucTxHash: ucReceipt.hash,
+        recipient: destinationAddress,
+        totalTime: `${((Date.now() - startTime)/1000).toFixed(1)}s`
+      };
+    }
+
     // STEP 5: Log verified transaction
     transactionLogger.info('BSC Deposit Verified (by hash)', {
       direction: 'BSC -> UC',
@@ -102,7 +217,7 @@ export async function processDepositByTxHash(bscTxHash) {
       destinationChain: 'UC',
       user,
       destinationAddress,
-      amount: ethers.formatUnits(amount, 18),
+      amount: tokenRegistry.format('BSC', amount),
       amountRaw: amount.toString(),
       depositId: depositIdStr,
       bscTxHash,
@@ -111,38 +226,98 @@ export async function processDepositByTxHash(bscTxHash) {
       status: 'verified'
     });
 
-    // STEP 6: Calculate 1% fee and net amount
+    // Mint to the checksummed destination; anything undeliverable goes back to the depositor
+    const recipient = normalizeDestination(destinationAddress);
+    if (!recipient) {
+      return await refundDeposit(depositArgs, 'invalid_destination', { bscTxHash, receipt, bscProvider, startTime });
+    }
+
+    // STEP 6: Calculate bridge fee and net amount (see fees.js). The fee is
+    // pinned to the job on the first attempt: the UC bridge dedupes on
+    // (recipient, amount, ID), so a retry after a fee change must pay the same amount
     const originalAmount = amount;
-    const feeAmount = originalAmount / 100n; // 1% fee
-    const netAmount = originalAmount - feeAmount; // 99% to user
+    const fee = restoreFee(jobQueue.pin(jobId, `fee:${depositIdStr}`, () => storeFee(calculateFee('bsc-to-uc', originalAmount))));
+    const { netAmount } = fee;
+    const feeAmount = fee.totalFee; // in BSC units, including conversion dust
 
-    logger.info('💰 Applying 1% bridge fee...', {
+    logger.info(`💰 Applying bridge fee (${fee.bps} bps)...`, {
       depositId: depositIdStr,
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      netAmount: ethers.formatUnits(netAmount, 18)
+      originalAmount: tokenRegistry.format('BSC', originalAmount),
+      feeAmount: tokenRegistry.format('BSC', feeAmount),
+      netAmount: tokenRegistry.format('UC', netAmount)
+    });
+
+    // Check the UC bridge has not already handled this ID. Local state only
+    // keeps the most recent IDs, so the contract mapping is the source of truth.
+    if (await isProcessedOnChain(ucBridge, 'deposit', recipient, netAmount, depositId)) {
+      logger.warn('Deposit already minted on UC, recording in local state', { depositId: depositIdStr });
+      stateManager.addProcessedDeposit(depositIdStr);
+      if (!stateManager.getTransactionHashes(depositIdStr)) {
+        stateManager.addDepositTxHashes(depositIdStr, bscTxHash, null);
+      }
+      return { success: false, alreadyProcessed: true, depositId: depositIdStr, message: 'Deposit already processed on-chain' };
+    }
+
+    // Past TRANSFER_EXPIRY: give up on the mint and refund the depositor
+    if (expired) {
+      return await refundDeposit(depositArgs, 'expired', { bscTxHash, receipt, bscProvider, startTime });
+    }
+
+    // Outside TRANSFER_MIN_AMOUNT / TRANSFER_MAX_AMOUNT: refund the depositor in full
+    const outsideLimits = checkTransferLimits('BSC', amount);
+    if (outsideLimits) {
+      return await refundDeposit(depositArgs, outsideLimits, { bscTxHash, receipt, bscProvider, startTime });
+    }
+
+    if (netAmount === 0n) {
+      throw new Error('Amount does not cover the bridge fee');
+    }
+
+    // Screened addresses, large transfers and transfers over a velocity limit wait for an operator
+    const hold = await admitTransfer(stateManager, {
+      id: depositIdStr,
+      type: 'deposit',
+      direction: 'bsc-to-uc',
+      sourceChain: 'BSC',
+      sourceTxHash: bscTxHash,
+      sender: user,
+      recipient,
+      amount: originalAmount
     });
+    if (hold) {
+      return { ...describeHold(hold), depositId: depositIdStr, bscTxHash };
+    }
 
-    // STEP 7: Mint on UC with net amount (after 1% fee)
+    // Re-check the source block right before signing
+    await assertBlockUnchanged(bscProvider, receipt, 'BSC');
+
+    // STEP 7: Mint on UC with net amount (after bridge fee)
     logger.info('🔐 Minting USDT on UC chain...', {
-      recipient: destinationAddress,
-      netAmount: ethers.formatUnits(netAmount, 18),
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
+      recipient,
+      netAmount: tokenRegistry.format('UC', netAmount),
+      originalAmount: tokenRegistry.format('BSC', originalAmount),
+      feeAmount: tokenRegistry.format('BSC', feeAmount),
       bscAmountRaw: amount.toString(),
       ucAmountRaw: netAmount.toString()
     });
 
-    const mintTx = await ucBridge.mint(
-      destinationAddress,  // user address
-      netAmount,           // net amount (after 1% fee)
+    const mintTx = await sendWithIntent(stateManager, ucSigner, depositIdStr, {
+      type: 'deposit',
+      sourceTxHash: bscTxHash,
+      recipient,
+      amount: netAmount.toString(),
+      fee: serializeFee(fee)
+    }, ucBridge, 'mint', [
+      recipient,           // checksummed destination address
+      netAmount,           // net amount (after bridge fee)
       depositId            // depositId
-    );
+    ]);
 
     logger.info('✅ Mint transaction submitted', { ucTxHash: mintTx.hash });
 
     // STEP 7: Wait for UC confirmation
-    const ucReceipt = await mintTx.wait();
+    // Bumps fees if the transaction sits in the mempool past STUCK_TX_TIMEOUT
+    const ucReceipt = await waitForInFlight(stateManager, ucSigner, depositIdStr);
 
     logger.info('✅ Mint transaction confirmed', {
       ucTxHash: ucReceipt.hash,
@@ -151,8 +326,7 @@ export async function processDepositByTxHash(bscTxHash) {
     });
 
     // STEP 8: Mark as processed and save state
-    stateManager.addProcessedDeposit(depositIdStr);
-    stateManager.addDepositTxHashes(depositIdStr, bscTxHash, ucReceipt.hash);
+    completeInFlight(stateManager, depositIdStr, ucReceipt.hash);
 
     const totalTime = Date.now() - startTime;
 
@@ -163,9 +337,9 @@ export async function processDepositByTxHash(bscTxHash) {
       destinationChain: 'UC',
       user,
       destinationAddress,
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      netAmount: ethers.formatUnits(netAmount, 18),
+      originalAmount: tokenRegistry.format('BSC', originalAmount),
+      feeAmount: tokenRegistry.format('BSC', feeAmount),
+      netAmount: tokenRegistry.format('UC', netAmount),
       amountRaw: amount.toString(),
       depositId: depositIdStr,
       bscTxHash,
@@ -183,9 +357,9 @@ export async function processDepositByTxHash(bscTxHash) {
       depositId: depositIdStr,
       bscTx: bscTxHash,
       ucTx: ucReceipt.hash,
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      netAmount: ethers.formatUnits(netAmount, 18)
+      originalAmount: tokenRegistry.format('BSC', originalAmount),
+      feeAmount: tokenRegistry.format('BSC', feeAmount),
+      netAmount: tokenRegistry.format('UC', netAmount)
     });
 
     return {
@@ -193,29 +367,30 @@ export async function processDepositByTxHash(bscTxHash) {
       depositId: depositIdStr,
       bscTxHash,
       ucTxHash: ucReceipt.hash,
-      amount: ethers.formatUnits(netAmount, 18), // Return net amount received
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      recipient: destinationAddress,
+      amount: tokenRegistry.format('UC', netAmount), // Return net amount received
+      originalAmount: tokenRegistry.format('BSC', originalAmount),
+      feeAmount: tokenRegistry.format('BSC', feeAmount),
+      fee: serializeFee(fee),
+      recipient,
       totalTime: `${(totalTime/1000).toFixed(1)}s`
     };
 
   } catch (error) {
-    logger.error('❌ Error processing deposit by hash', {
+    logger.error('❌ Error minting deposit', {
       error: error.message,
       stack: error.stack,
-      bscTxHash,
-      timeElapsed: `${(Date.now() - startTime)/1000}s`
+      depositId: depositIdStr,
+      bscTxHash
     });
 
     transactionLogger.error('BSC -> UC Transfer Failed (by hash)', {
       direction: 'BSC -> UC',
       sourceChain: 'BSC',
       destinationChain: 'UC',
-      user: event?.args?.user || 'unknown',
-      destinationAddress: event?.args?.destinationAddress || 'unknown',
-      amount: event?.args ? ethers.formatUnits(event.args.amount, 18) : 'unknown',
-      depositId: event?.args?.depositId.toString() || 'unknown',
+      user,
+      destinationAddress,
+      amount: tokenRegistry.format('BSC', amount),
+      depositId: depositIdStr,
       bscTxHash,
       error: error.message,
       status: 'failed',
@@ -224,12 +399,87 @@ export async function processDepositByTxHash(bscTxHash) {
 
     return {
       success: false,
-      error: error.message,
-      bscTxHash
+      cancelled: error instanceof TransferCancelledError,
+      depositId: depositIdStr,
+      error: error.message
     };
   }
 }
 
+const REFUND_MESSAGES = {
+  invalid_destination: destinationAddress => `Destination ${destinationAddress} is not a valid address`,
+  expired: () => 'Transfer could not be completed in time',
+  below_minimum: () => `Amount is below the ${config.transferMinAmount} USDT minimum`,
+  above_maximum: () => `Amount is above the ${config.transferMaxAmount} USDT maximum`
+};
+
+// Refund a deposit that cannot be minted: unlock the full amount back to the
+// depositor on BSC. reason is a REFUND_MESSAGES key.
+async function refundDeposit({ user, amount, depositId, destinationAddress }, reason, { bscTxHash, receipt, bscProvider, startTime }) {
+  const depositIdStr = depositId.toString();
+  logger.warn(`⚠️ Refunding depositor (${reason})`, {
+    depositId: depositIdStr,
+    destinationAddress,
+    user
+  });
+
+  // Refunds are screened and counted like any other unlock, so against the
+  // UC -> BSC limits: that is the direction the USDT leaves the bridge in
+  const hold = await admitTransfer(stateManager, {
+    id: depositIdStr,
+    type: 'deposit',
+    direction: 'uc-to-bsc',
+    sourceChain: 'BSC',
+    sourceTxHash: bscTxHash,
+    sender: user,
+    recipient: user,
+    amount
+  });
+  if (hold) {
+    return { ...describeHold(hold), depositId: depositIdStr, bscTxHash };
+  }
+
+  await assertBlockUnchanged(bscProvider, receipt, 'BSC');
+
+  const refund = await refundTransfer(stateManager, {
+    id: depositIdStr,
+    type: 'deposit',
+    sourceTxHash: bscTxHash,
+    user,
+    amount,
+    destinationAddress
+  }, reason);
+
+  const totalTime = Date.now() - startTime;
+  transactionLogger.info('BSC -> UC Transfer Refunded (by hash)', {
+    direction: 'BSC -> UC',
+    sourceChain: 'BSC',
+    destinationChain: 'UC',
+    user,
+    destinationAddress,
+    amount: refund.amount,
+    depositId: depositIdStr,
+    bscTxHash,
+    refundTxHash: refund.txHash,
+    reason: refund.reason,
+    status: 'refunded',
+    refundedAt: new Date().toISOString()
+  });
+
+  return {
+    success: false,
+    refunded: true,
+    reason,
+    depositId: depositIdStr,
+    bscTxHash,
+    refundTxHash: refund.txHash,
+    amount: refund.amount,
+    recipient: user,
+    message: `${REFUND_MESSAGES[reason](destinationAddress)}; ${refund.amount} USDT refunded to ${user} on BSC`,
+    totalTime: `${(totalTime/1000).toFixed(1)}s`
+  };
+}
+
 // CLI usage for testing
 if (import.meta.url === `file://${process.argv[1]}`) {
   const txHash = process.argv[2];
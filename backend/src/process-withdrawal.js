@@ -9,27 +9,53 @@ import { ethers } from 'ethers';
 import { config } from './config.js';
 import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
 import logger, { transactionLogger } from './logger.js';
-import { StateManager } from './state.js';
+import { stateManager } from './state.js';
+import {
+  sendWithIntent,
+  waitForInFlight,
+  completeInFlight,
+  reconcileInFlight,
+  isProcessedOnChain,
+  TransferCancelledError
+} from './inflight.js';
+import { verifyChainId, verifySourceReceipt, normalizeDestination, RejectionError } from './verify.js';
+import { waitForFinality, assertBlockUnchanged } from './finality.js';
+import { getRelayerSigner } from './signer.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { requiresQuorum, verifyReceiptQuorum } from './quorum.js';
+import { tokenRegistry } from './tokens.js';
+import { calculateFee, serializeFee, storeFee, restoreFee, checkTransferLimits } from './fees.js';
+import { admitTransfer, describeHold } from './holds.js';
+import { refundTransfer } from './refunds.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { jobQueue } from './job-queue.js';
 
-const stateManager = new StateManager();
-
-export async function processWithdrawalByTxHash(ucTxHash) {
+/**
+ * Process every Burn in a UC transaction. A single transaction can carry
+ * several burns (batching contracts, smart wallets); each is deduped by its
+ * own burnId and unlocked separately.
+ */
+export async function processWithdrawalByTxHash(ucTxHash, { expired = false, countMismatches = false, jobId = null } = {}) {
   const startTime = Date.now();
 
   try {
     logger.info('🎯 Processing UC withdrawal by transaction hash', { ucTxHash });
 
     // Setup providers
-    const bscProvider = new ethers.JsonRpcProvider(config.bscRpcUrl);
-    const ucProvider = new ethers.JsonRpcProvider(config.ucRpcUrl);
-    const relayerWallet = new ethers.Wallet(config.relayerPrivateKey);
-    const bscWallet = relayerWallet.connect(bscProvider);
+    const bscSigner = getRelayerSigner('BSC');
+    const bscProvider = bscSigner.provider;
+    const ucProvider = getPooledProvider('UC');
 
     // Setup contracts
-    const bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, bscWallet);
+    const bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, bscSigner.wallet);
     const ucBridge = new ethers.Contract(config.ucBridgeAddress, UC_BRIDGE_ABI, ucProvider);
 
-    // STEP 1: Get transaction receipt
+    // Token decimals for both chains (read once, then cached)
+    await tokenRegistry.load();
+
+    // STEP 1: Get transaction receipt from the expected chain
+    await verifyChainId(ucProvider, config.ucChainId, 'UC');
+
     logger.info('🔍 Fetching transaction receipt...', { ucTxHash });
     const receipt = await ucProvider.getTransactionReceipt(ucTxHash);
 
@@ -37,64 +63,153 @@ export async function processWithdrawalByTxHash(ucTxHash) {
       throw new Error('Transaction receipt not found');
     }
 
-    if (receipt.status !== 1) {
-      throw new Error('Transaction failed on UC');
-    }
+    // STEP 2: Verify the receipt and parse every Burn event emitted by the bridge
+    logger.info('📋 Parsing burn events from transaction logs...');
+    const burnEvents = verifySourceReceipt(receipt, {
+      bridge: ucBridge,
+      bridgeAddress: config.ucBridgeAddress,
+      allowedTargets: config.ucAllowedTxTargets,
+      eventName: 'Burn',
+      chainName: 'UC'
+    });
 
-    // STEP 2: Parse Burn event from logs
-    logger.info('📋 Parsing burn event from transaction logs...');
-    const burnEvent = receipt.logs
-      .map(log => {
-        try {
-          return ucBridge.interface.parseLog(log);
-        } catch {
-          return null;
-        }
-      })
-      .find(e => e && e.name === 'Burn');
-
-    if (!burnEvent) {
-      throw new Error('Burn event not found in transaction');
-    }
+    logger.info(`✅ Found ${burnEvents.length} burn event(s)`, {
+      ucTxHash,
+      burnIds: burnEvents.map(e => e.args.burnId.toString()),
+      blockNumber: receipt.blockNumber
+    });
 
-    const { user, amount, burnId, destinationAddress } = burnEvent.args;
-    const burnIdStr = burnId.toString();
+    // STEP 3: Wait until the source block is final
+    const confirmations = await waitForFinality(ucProvider, receipt.blockNumber, {
+      chainName: 'UC',
+      finality: config.ucFinality,
+      pollInterval: config.ucBlockTime,
+      timeout: config.finalityTimeout
+    });
 
-    logger.info('✅ Burn event parsed', {
-      user,
-      amount: ethers.formatUnits(amount, 18),
-      burnId: burnIdStr,
-      destinationAddress,
+    logger.info('✅ Transaction confirmed on UC', {
+      confirmations,
       blockNumber: receipt.blockNumber
     });
 
-    // STEP 3: Check if already processed
-    if (stateManager.isBurnProcessed(burnIdStr)) {
-      logger.warn('Burn already processed', { burnId: burnIdStr });
-      return { success: false, message: 'Withdrawal already processed' };
+    // Large transfers must be confirmed by several independent RPC endpoints
+    if (requiresQuorum('UC', burnEvents)) {
+      await verifyReceiptQuorum('UC', receipt, {
+        bridge: ucBridge,
+        bridgeAddress: config.ucBridgeAddress,
+        eventName: 'Burn'
+      });
+    }
+
+    // STEP 4: Unlock each burn separately
+    const transfers = [];
+    for (const burnEvent of burnEvents) {
+      transfers.push(await processBurn(burnEvent.args, {
+        ucTxHash,
+        receipt,
+        confirmations,
+        ucProvider,
+        bscProvider,
+        bscSigner,
+        bscBridge,
+        expired,
+        jobId,
+        startTime
+      }));
     }
 
-    // STEP 4: Wait for confirmations
-    const requiredConfirmations = 6;
-    let currentBlock = await ucProvider.getBlockNumber();
-    let confirmations = currentBlock - receipt.blockNumber;
+    const totalTime = Date.now() - startTime;
+    const completed = transfers.filter(t => t.success);
+    const held = transfers.filter(t => t.held);
+    const rejected = transfers.filter(t => t.rejected);
+    const refunded = transfers.filter(t => t.refunded);
+    const failed = transfers.filter(t => !t.success && !t.alreadyProcessed && !t.held && !t.rejected && !t.refunded);
 
-    if (confirmations < requiredConfirmations) {
-      const blocksToWait = requiredConfirmations - confirmations;
-      const waitTime = blocksToWait * 5000; // 5 seconds per UC block
+    return {
+      ...(completed[0] || failed[0] || held[0] || refunded[0] || transfers[0]),
+      success: completed.length > 0 && failed.length === 0 && held.length === 0,
+      alreadyProcessed: completed.length === 0 && failed.length === 0 && held.length === 0 && refunded.length === 0 && rejected.length < transfers.length,
+      held: held.length > 0 && failed.length === 0,
+      rejected: rejected.length === transfers.length,
+      refunded: refunded.length > 0 && failed.length === 0 && held.length === 0,
+      error: failed.length > 0
+        ? `${failed.length} of ${transfers.length} withdrawal(s) failed: ${failed[0].error}`
+        : rejected[0]?.error,
+      cancelled: failed.length > 0 && failed.every(t => t.cancelled),
+      ucTxHash,
+      transferCount: transfers.length,
+      transfers,
+      totalTime: `${(totalTime/1000).toFixed(1)}s`
+    };
 
-      logger.info(`⏳ Waiting for ${blocksToWait} more confirmations (~${waitTime/1000}s)`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+  } catch (error) {
+    logger.error('❌ Error processing withdrawal by hash', {
+      error: error.message,
+      stack: error.stack,
+      ucTxHash,
+      timeElapsed: `${(Date.now() - startTime)/1000}s`
+    });
 
-      currentBlock = await ucProvider.getBlockNumber();
-      confirmations = currentBlock - receipt.blockNumber;
+    // Only events the relayer found itself count towards the breaker; anyone
+    // can post a foreign or wrong-chain tx to the process API
+    if (error instanceof RejectionError && countMismatches) {
+      await circuitBreaker.recordMismatch(error.reason, { ucTxHash });
     }
 
-    logger.info('✅ Transaction confirmed on UC', {
-      confirmations,
-      blockNumber: receipt.blockNumber
+    transactionLogger.error('UC -> BSC Transfer Failed (by hash)', {
+      direction: 'UC -> BSC',
+      sourceChain: 'UC',
+      destinationChain: 'BSC',
+      ucTxHash,
+      error: error.message,
+      status: error instanceof RejectionError ? 'rejected' : 'failed',
+      failedAt: new Date().toISOString()
     });
 
+    return {
+      success: false,
+      error: error.message,
+      rejected: error instanceof RejectionError,
+      reason: error instanceof RejectionError ? error.reason : null,
+      ucTxHash
+    };
+  }
+}
+
+// Unlock a single verified burn on BSC
+async function processBurn(burnArgs, { ucTxHash, receipt, confirmations, ucProvider, bscProvider, bscSigner, bscBridge, expired, jobId, startTime }) {
+  const { user, amount, burnId, destinationAddress } = burnArgs;
+  const burnIdStr = burnId.toString();
+
+  try {
+    // Check if already processed
+    if (stateManager.isBurnProcessed(burnIdStr)) {
+      logger.warn('Burn already processed', { burnId: burnIdStr });
+      return { success: false, alreadyProcessed: true, burnId: burnIdStr, message: 'Withdrawal already processed' };
+    }
+
+    // Resolve an unlock left in flight by a crash or an earlier attempt
+    const inFlight = await reconcileInFlight(stateManager, burnIdStr, bscProvider, bscBridge);
+    if (inFlight.status === 'completed') {
+      return { success: false, alreadyProcessed: true, burnId: burnIdStr, message: 'Withdrawal already processed', bscTxHash: inFlight.destTxHash };
+    }
+    if (inFlight.status === 'cancelled') {
+      return { success: false, cancelled: true, burnId: burnIdStr, error: 'Unlock was cancelled by an operator', bscTxHash: inFlight.destTxHash };
+    }
+    if (inFlight.status === 'pending') {
+      // Keep watching (and speeding up) the unlock sent by an earlier attempt
+      const bscReceipt = await waitForInFlight(stateManager, bscSigner, burnIdStr);
+      completeInFlight(stateManager, burnIdStr, bscReceipt.hash);
+      return {
+        success: true,
+        burnId: burnIdStr,
+        ucTxHash,
+        bscTxHash: bscReceipt.hash,
+        recipient: destinationAddress,
+        totalTime: `${((Date.now() - startTime)/1000).toFixed(1)}s`
+      };
+    }
+
     // STEP 5: Log verified transaction
     transactionLogger.info('UC Burn Verified (by hash)', {
       direction: 'UC -> BSC',
@@ -102,7 +217,7 @@ export async function processWithdrawalByTxHash(ucTxHash) {
       destinationChain: 'BSC',
       user,
       destinationAddress,
-      amount: ethers.formatUnits(amount, 18),
+      amount: tokenRegistry.format('UC', amount),
       amountRaw: amount.toString(),
       burnId: burnIdStr,
       ucTxHash,
@@ -111,38 +226,98 @@ export async function processWithdrawalByTxHash(ucTxHash) {
       status: 'verified'
     });
 
-    // STEP 6: Calculate 1% fee and net amount
+    // Unlock to the checksummed destination; anything undeliverable is minted back to the sender
+    const recipient = normalizeDestination(destinationAddress);
+    if (!recipient) {
+      return await refundBurn(burnArgs, 'invalid_destination', { ucTxHash, receipt, ucProvider, startTime });
+    }
+
+    // STEP 6: Calculate bridge fee and net amount (see fees.js). The fee is
+    // pinned to the job on the first attempt: the BSC bridge dedupes on
+    // (recipient, amount, ID), so a retry after a fee change must pay the same amount
     const originalAmount = amount;
-    const feeAmount = originalAmount / 100n; // 1% fee
-    const netAmount = originalAmount - feeAmount; // 99% to user
+    const fee = restoreFee(jobQueue.pin(jobId, `fee:${burnIdStr}`, () => storeFee(calculateFee('uc-to-bsc', originalAmount))));
+    const { netAmount } = fee;
+    const feeAmount = fee.totalFee; // in UC units, including conversion dust
 
-    logger.info('💰 Applying 1% bridge fee...', {
+    logger.info(`💰 Applying bridge fee (${fee.bps} bps)...`, {
       burnId: burnIdStr,
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      netAmount: ethers.formatUnits(netAmount, 18)
+      originalAmount: tokenRegistry.format('UC', originalAmount),
+      feeAmount: tokenRegistry.format('UC', feeAmount),
+      netAmount: tokenRegistry.format('BSC', netAmount)
+    });
+
+    // Check the BSC bridge has not already handled this ID. Local state only
+    // keeps the most recent IDs, so the contract mapping is the source of truth.
+    if (await isProcessedOnChain(bscBridge, 'burn', recipient, netAmount, burnId)) {
+      logger.warn('Withdrawal already unlocked on BSC, recording in local state', { burnId: burnIdStr });
+      stateManager.addProcessedBurn(burnIdStr);
+      if (!stateManager.getTransactionHashes(burnIdStr)) {
+        stateManager.addBurnTxHashes(burnIdStr, ucTxHash, null);
+      }
+      return { success: false, alreadyProcessed: true, burnId: burnIdStr, message: 'Withdrawal already processed on-chain' };
+    }
+
+    // Past TRANSFER_EXPIRY: give up on the unlock and refund the sender
+    if (expired) {
+      return await refundBurn(burnArgs, 'expired', { ucTxHash, receipt, ucProvider, startTime });
+    }
+
+    // Outside TRANSFER_MIN_AMOUNT / TRANSFER_MAX_AMOUNT: refund the sender in full
+    const outsideLimits = checkTransferLimits('UC', amount);
+    if (outsideLimits) {
+      return await refundBurn(burnArgs, outsideLimits, { ucTxHash, receipt, ucProvider, startTime });
+    }
+
+    if (netAmount === 0n) {
+      throw new Error('Amount does not cover the bridge fee');
+    }
+
+    // Screened addresses, large transfers and transfers over a velocity limit wait for an operator
+    const hold = await admitTransfer(stateManager, {
+      id: burnIdStr,
+      type: 'burn',
+      direction: 'uc-to-bsc',
+      sourceChain: 'UC',
+      sourceTxHash: ucTxHash,
+      sender: user,
+      recipient,
+      amount: originalAmount
     });
+    if (hold) {
+      return { ...describeHold(hold), burnId: burnIdStr, ucTxHash };
+    }
 
-    // STEP 7: Unlock on BSC with net amount (after 1% fee)
+    // Re-check the source block right before signing
+    await assertBlockUnchanged(ucProvider, receipt, 'UC');
+
+    // STEP 7: Unlock on BSC with net amount (after bridge fee)
     logger.info('🔐 Unlocking USDT on BSC chain...', {
-      recipient: destinationAddress,
-      netAmount: ethers.formatUnits(netAmount, 18),
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
+      recipient,
+      netAmount: tokenRegistry.format('BSC', netAmount),
+      originalAmount: tokenRegistry.format('UC', originalAmount),
+      feeAmount: tokenRegistry.format('UC', feeAmount),
       ucAmountRaw: amount.toString(),
       bscAmountRaw: netAmount.toString()
     });
 
-    const unlockTx = await bscBridge.unlock(
-      destinationAddress,  // recipient address
-      netAmount,           // net amount (after 1% fee)
+    const unlockTx = await sendWithIntent(stateManager, bscSigner, burnIdStr, {
+      type: 'burn',
+      sourceTxHash: ucTxHash,
+      recipient,
+      amount: netAmount.toString(),
+      fee: serializeFee(fee)
+    }, bscBridge, 'unlock', [
+      recipient,           // checksummed recipient address
+      netAmount,           // net amount (after bridge fee)
       burnId               // burnId
-    );
+    ]);
 
     logger.info('✅ Unlock transaction submitted', { bscTxHash: unlockTx.hash });
 
     // STEP 7: Wait for BSC confirmation
-    const bscReceipt = await unlockTx.wait();
+    // Bumps fees if the transaction sits in the mempool past STUCK_TX_TIMEOUT
+    const bscReceipt = await waitForInFlight(stateManager, bscSigner, burnIdStr);
 
     logger.info('✅ Unlock transaction confirmed', {
       bscTxHash: bscReceipt.hash,
@@ -151,8 +326,7 @@ export async function processWithdrawalByTxHash(ucTxHash) {
     });
 
     // STEP 8: Mark as processed and save state
-    stateManager.addProcessedBurn(burnIdStr);
-    stateManager.addBurnTxHashes(burnIdStr, ucTxHash, bscReceipt.hash);
+    completeInFlight(stateManager, burnIdStr, bscReceipt.hash);
 
     const totalTime = Date.now() - startTime;
 
@@ -163,9 +337,9 @@ export async function processWithdrawalByTxHash(ucTxHash) {
       destinationChain: 'BSC',
       user,
       destinationAddress,
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      netAmount: ethers.formatUnits(netAmount, 18),
+      originalAmount: tokenRegistry.format('UC', originalAmount),
+      feeAmount: tokenRegistry.format('UC', feeAmount),
+      netAmount: tokenRegistry.format('BSC', netAmount),
       amountRaw: amount.toString(),
       burnId: burnIdStr,
       ucTxHash,
@@ -183,9 +357,9 @@ export async function processWithdrawalByTxHash(ucTxHash) {
       burnId: burnIdStr,
       ucTx: ucTxHash,
       bscTx: bscReceipt.hash,
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      netAmount: ethers.formatUnits(netAmount, 18)
+      originalAmount: tokenRegistry.format('UC', originalAmount),
+      feeAmount: tokenRegistry.format('UC', feeAmount),
+      netAmount: tokenRegistry.format('BSC', netAmount)
     });
 
     return {
@@ -193,25 +367,30 @@ export async function processWithdrawalByTxHash(ucTxHash) {
       burnId: burnIdStr,
       ucTxHash,
       bscTxHash: bscReceipt.hash,
-      amount: ethers.formatUnits(netAmount, 18), // Return net amount received
-      originalAmount: ethers.formatUnits(originalAmount, 18),
-      feeAmount: ethers.formatUnits(feeAmount, 18),
-      recipient: destinationAddress,
+      amount: tokenRegistry.format('BSC', netAmount), // Return net amount received
+      originalAmount: tokenRegistry.format('UC', originalAmount),
+      feeAmount: tokenRegistry.format('UC', feeAmount),
+      fee: serializeFee(fee),
+      recipient,
       totalTime: `${(totalTime/1000).toFixed(1)}s`
     };
 
   } catch (error) {
-    logger.error('❌ Error processing withdrawal by hash', {
+    logger.error('❌ Error unlocking withdrawal', {
       error: error.message,
       stack: error.stack,
-      ucTxHash,
-      timeElapsed: `${(Date.now() - startTime)/1000}s`
+      burnId: burnIdStr,
+      ucTxHash
     });
 
     transactionLogger.error('UC -> BSC Transfer Failed (by hash)', {
       direction: 'UC -> BSC',
       sourceChain: 'UC',
       destinationChain: 'BSC',
+      user,
+      destinationAddress,
+      amount: tokenRegistry.format('UC', amount),
+      burnId: burnIdStr,
       ucTxHash,
       error: error.message,
       status: 'failed',
@@ -220,12 +399,87 @@ export async function processWithdrawalByTxHash(ucTxHash) {
 
     return {
       success: false,
-      error: error.message,
-      ucTxHash
+      cancelled: error instanceof TransferCancelledError,
+      burnId: burnIdStr,
+      error: error.message
     };
   }
 }
 
+const REFUND_MESSAGES = {
+  invalid_destination: destinationAddress => `Destination ${destinationAddress} is not a valid address`,
+  expired: () => 'Withdrawal could not be completed in time',
+  below_minimum: () => `Amount is below the ${config.transferMinAmount} USDT minimum`,
+  above_maximum: () => `Amount is above the ${config.transferMaxAmount} USDT maximum`
+};
+
+// Refund a burn that cannot be unlocked: mint the full amount back to the
+// sender on UC. reason is a REFUND_MESSAGES key.
+async function refundBurn({ user, amount, burnId, destinationAddress }, reason, { ucTxHash, receipt, ucProvider, startTime }) {
+  const burnIdStr = burnId.toString();
+  logger.warn(`⚠️ Refunding sender (${reason})`, {
+    burnId: burnIdStr,
+    destinationAddress,
+    user
+  });
+
+  // Refunds are screened and counted like any other mint, so against the
+  // BSC -> UC limits: that is the direction the USDT leaves the bridge in
+  const hold = await admitTransfer(stateManager, {
+    id: burnIdStr,
+    type: 'burn',
+    direction: 'bsc-to-uc',
+    sourceChain: 'UC',
+    sourceTxHash: ucTxHash,
+    sender: user,
+    recipient: user,
+    amount
+  });
+  if (hold) {
+    return { ...describeHold(hold), burnId: burnIdStr, ucTxHash };
+  }
+
+  await assertBlockUnchanged(ucProvider, receipt, 'UC');
+
+  const refund = await refundTransfer(stateManager, {
+    id: burnIdStr,
+    type: 'burn',
+    sourceTxHash: ucTxHash,
+    user,
+    amount,
+    destinationAddress
+  }, reason);
+
+  const totalTime = Date.now() - startTime;
+  transactionLogger.info('UC -> BSC Transfer Refunded (by hash)', {
+    direction: 'UC -> BSC',
+    sourceChain: 'UC',
+    destinationChain: 'BSC',
+    user,
+    destinationAddress,
+    amount: refund.amount,
+    burnId: burnIdStr,
+    ucTxHash,
+    refundTxHash: refund.txHash,
+    reason: refund.reason,
+    status: 'refunded',
+    refundedAt: new Date().toISOString()
+  });
+
+  return {
+    success: false,
+    refunded: true,
+    reason,
+    burnId: burnIdStr,
+    ucTxHash,
+    refundTxHash: refund.txHash,
+    amount: refund.amount,
+    recipient: user,
+    message: `${REFUND_MESSAGES[reason](destinationAddress)}; ${refund.amount} USDT refunded to ${user} on UC`,
+    totalTime: `${(totalTime/1000).toFixed(1)}s`
+  };
+}
+
 // CLI usage for testing
 if (import.meta.url === `file://${process.argv[1]}`) {
   const txHash = process.argv[2];
@@ -0,0 +1,106 @@
+import { config } from './config.js';
+import logger from './logger.js';
+import { getRpcPool } from './rpc-pool.js';
+import { sendAlert } from './alerts.js';
+import { tokenRegistry } from './tokens.js';
+import { circuitBreaker } from './circuit-breaker.js';
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// What the endpoints must agree on: block hash, status and the decoded bridge events
+function fingerprint(receipt, { bridge, bridgeAddress, eventName }) {
+  const events = [];
+  for (const log of receipt.logs) {
+    if (!sameAddress(log.address, bridgeAddress)) {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = bridge.interface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (parsed?.name === eventName) {
+      events.push(parsed.args.toArray().map(value => value.toString().toLowerCase()));
+    }
+  }
+
+  return JSON.stringify({
+    blockHash: receipt.blockHash,
+    status: receipt.status,
+    events
+  });
+}
+
+// True when any bridged amount in the transaction reaches QUORUM_MIN_AMOUNT (in USDT)
+export function requiresQuorum(chain, events) {
+  if (!config.quorumMinAmount) {
+    return false;
+  }
+  const minAmount = tokenRegistry.parse(chain, config.quorumMinAmount);
+  return events.some(event => event.args.amount >= minAmount);
+}
+
+/**
+ * Re-fetch a source receipt from several independent RPC endpoints and check
+ * that at least QUORUM_THRESHOLD of them agree with the receipt the relayer
+ * is about to act on. The endpoint that served that receipt does not vote.
+ * Throws (and alerts) when they do not agree.
+ * @param {string} chain - 'BSC' or 'UC'
+ * @param {Object} receipt - Receipt the transfer was verified against
+ * @param {Object} options - { bridge, bridgeAddress, eventName }
+ */
+export async function verifyReceiptQuorum(chain, receipt, options) {
+  const pool = getRpcPool(chain);
+  const origin = pool.getReceiptSource(receipt.hash);
+  const candidates = pool.endpoints
+    .filter(endpoint => !endpoint.wrongChain && endpoint.url !== origin)
+    .sort((a, b) => Number(b.healthy) - Number(a.healthy))
+    .slice(0, config.quorumEndpoints);
+
+  if (candidates.length < config.quorumThreshold) {
+    throw new Error(
+      `${chain} quorum needs ${config.quorumThreshold} endpoints besides ${origin || 'the one that served the receipt'}, only ${candidates.length} available`
+    );
+  }
+
+  const expected = fingerprint(receipt, options);
+
+  const votes = await Promise.all(candidates.map(async endpoint => {
+    try {
+      const other = await endpoint.provider.getTransactionReceipt(receipt.hash);
+      if (!other) {
+        return { url: endpoint.url, vote: 'missing' };
+      }
+      return { url: endpoint.url, vote: fingerprint(other, options) === expected ? 'agree' : 'disagree' };
+    } catch (error) {
+      return { url: endpoint.url, vote: 'error', error: error.message };
+    }
+  }));
+
+  const agreeing = votes.filter(v => v.vote === 'agree').length;
+  const disagreeing = votes.filter(v => v.vote === 'disagree');
+
+  if (disagreeing.length > 0) {
+    // A node returning a different receipt is never just lag - always alert
+    await sendAlert('RECEIPT_MISMATCH', `${chain} endpoints disagree on source receipt ${receipt.hash}`, {
+      txHash: receipt.hash,
+      blockHash: receipt.blockHash,
+      disagreeing: disagreeing.map(v => v.url),
+      votes
+    });
+    await circuitBreaker.recordMismatch('RECEIPT_MISMATCH', { chain, txHash: receipt.hash });
+  }
+
+  if (agreeing < config.quorumThreshold) {
+    if (disagreeing.length === 0) {
+      logger.warn(`${chain} receipt quorum not reached yet`, { txHash: receipt.hash, agreeing, votes });
+    }
+    throw new Error(
+      `${chain} receipt quorum not reached: ${agreeing} of ${candidates.length} endpoints agree (need ${config.quorumThreshold})`
+    );
+  }
+
+  logger.info(`✅ ${chain} receipt confirmed by ${agreeing} of ${candidates.length} endpoints`, { txHash: receipt.hash });
+  return { agreeing, votes };
+}
@@ -0,0 +1,147 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI, USDT_ABI } from './abis.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { tokenRegistry } from './tokens.js';
+import { calculateFee, serializeFee, getFeePolicy, getTransferLimits, checkTransferLimits, FEE_DIRECTIONS } from './fees.js';
+import { addressScreener } from './screening.js';
+
+// Invalid quote request; code is returned to the caller as-is
+export class QuoteError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'QuoteError';
+    this.code = code;
+  }
+}
+
+const CHAINS = {
+  BSC: {
+    bridgeAddress: () => config.bscBridgeAddress,
+    abi: BSC_BRIDGE_ABI,
+    finality: () => config.bscFinality,
+    blockTime: () => config.bscBlockTime
+  },
+  UC: {
+    bridgeAddress: () => config.ucBridgeAddress,
+    abi: UC_BRIDGE_ABI,
+    finality: () => config.ucFinality,
+    blockTime: () => config.ucBlockTime
+  }
+};
+
+const getBridge = chain => new ethers.Contract(CHAINS[chain].bridgeAddress(), CHAINS[chain].abi, getPooledProvider(chain));
+
+// USDT the destination bridge can pay out. UC USDT is minted on demand (null = no limit);
+// BSC unlocks come out of the USDT locked in the BSC bridge.
+async function getDestinationLiquidity(destChain) {
+  if (destChain === 'UC') {
+    return null;
+  }
+  const token = tokenRegistry.get(destChain);
+  const usdt = new ethers.Contract(token.address, USDT_ABI, getPooledProvider(destChain));
+  return usdt.balanceOf(token.bridge);
+}
+
+// Blocks the relayer waits for on the source chain. For the 'safe' /
+// 'finalized' tags, use how far that tag currently trails the head.
+async function getFinalityBlocks(chain) {
+  const finality = CHAINS[chain].finality();
+  if (typeof finality === 'number') {
+    return finality;
+  }
+  const provider = getPooledProvider(chain);
+  const [latest, final] = await Promise.all([provider.getBlockNumber(), provider.getBlock(finality)]);
+  return Math.max(0, latest - (final?.number ?? latest));
+}
+
+// Source inclusion + finality wait + destination inclusion and confirmation
+async function estimateCompletionMs(sourceChain, destChain) {
+  const finalityBlocks = await getFinalityBlocks(sourceChain);
+  return (finalityBlocks + 1) * CHAINS[sourceChain].blockTime() + 2 * CHAINS[destChain].blockTime();
+}
+
+/**
+ * Quote a transfer before the user sends it: fee breakdown, net amount,
+ * limits, destination liquidity and pause state, and an ETA.
+ * @param {string} direction - 'bsc-to-uc' or 'uc-to-bsc'
+ * @param {string} amount - Gross amount in USDT, e.g. "250.5"
+ * @param {Object} addresses - Optional { sender, destination } to screen
+ */
+export async function getQuote(direction, amount, { sender = null, destination = null } = {}) {
+  if (!FEE_DIRECTIONS.includes(direction)) {
+    throw new QuoteError('INVALID_DIRECTION', `direction must be one of: ${FEE_DIRECTIONS.join(', ')}`);
+  }
+
+  // Same code the process API returns, without revealing which list matched
+  if (addressScreener.screen({ sender, destination }).length > 0) {
+    throw new QuoteError('ADDRESS_BLOCKED', 'This address cannot use the bridge');
+  }
+
+  await tokenRegistry.load();
+  const { sourceChain, destChain } = getFeePolicy(direction);
+
+  let grossAmount;
+  try {
+    grossAmount = tokenRegistry.parse(sourceChain, amount);
+  } catch {
+    throw new QuoteError('INVALID_AMOUNT', `Invalid amount: ${amount}`);
+  }
+  if (grossAmount <= 0n) {
+    throw new QuoteError('INVALID_AMOUNT', 'Amount must be greater than zero');
+  }
+
+  const fee = calculateFee(direction, grossAmount);
+  const { minAmount, maxAmount } = getTransferLimits(sourceChain);
+  const outsideLimits = checkTransferLimits(sourceChain, grossAmount);
+
+  const [sourcePaused, destinationPaused, liquidity, etaMs] = await Promise.all([
+    getBridge(sourceChain).paused(),
+    getBridge(destChain).paused(),
+    getDestinationLiquidity(destChain),
+    estimateCompletionMs(sourceChain, destChain)
+  ]);
+
+  const warnings = [];
+  if (fee.netAmount === 0n) {
+    warnings.push('AMOUNT_BELOW_FEE');
+  }
+  if (outsideLimits === 'below_minimum') {
+    warnings.push('AMOUNT_BELOW_MINIMUM');
+  }
+  if (outsideLimits === 'above_maximum') {
+    warnings.push('AMOUNT_ABOVE_MAXIMUM');
+  }
+  if (liquidity !== null && fee.netAmount > liquidity) {
+    warnings.push('INSUFFICIENT_LIQUIDITY');
+  }
+  if (sourcePaused) {
+    warnings.push('SOURCE_PAUSED');
+  }
+  if (destinationPaused) {
+    warnings.push('DESTINATION_PAUSED');
+  }
+
+  return {
+    direction,
+    sourceChain,
+    destChain,
+    grossAmount: tokenRegistry.format(sourceChain, grossAmount),
+    fee: serializeFee(fee),
+    netAmount: tokenRegistry.format(destChain, fee.netAmount),
+    limits: {
+      minAmount: minAmount === null ? null : tokenRegistry.format(sourceChain, minAmount),
+      maxAmount: maxAmount === null ? null : tokenRegistry.format(sourceChain, maxAmount)
+    },
+    destination: {
+      liquidity: liquidity === null ? null : tokenRegistry.format(destChain, liquidity),
+      paused: destinationPaused
+    },
+    sourcePaused,
+    estimatedTimeSec: Math.ceil(etaMs / 1000),
+    estimatedCompletionAt: new Date(Date.now() + etaMs).toISOString(),
+    warnings,
+    ok: warnings.length === 0,
+    quotedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,239 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI, USDT_ABI } from './abis.js';
+import logger from './logger.js';
+import { tokenRegistry } from './tokens.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { jobQueue } from './job-queue.js';
+import { HOLD_STATUS } from './holds.js';
+import { sendAlert } from './alerts.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { isProcessedOnChain } from './inflight.js';
+import { getRefundKey } from './refunds.js';
+
+// Source event of each transfer job type
+const SOURCES = {
+  deposit: { chain: 'BSC', abi: BSC_BRIDGE_ABI, bridgeAddress: () => config.bscBridgeAddress, eventName: 'Deposit', idField: 'depositId' },
+  burn: { chain: 'UC', abi: UC_BRIDGE_ABI, bridgeAddress: () => config.ucBridgeAddress, eventName: 'Burn', idField: 'burnId' }
+};
+
+// Destination bridge of each in-flight record type (mints on UC, unlocks on BSC)
+const DESTINATIONS = {
+  deposit: { chain: 'UC', abi: UC_BRIDGE_ABI, bridgeAddress: () => config.ucBridgeAddress },
+  burn: { chain: 'BSC', abi: BSC_BRIDGE_ABI, bridgeAddress: () => config.bscBridgeAddress }
+};
+
+let latestReport = null;
+let running = null;
+
+// Any amount -> BSC units, the unit the backing is measured in
+const toBsc = (chain, amount) => (chain === 'BSC' ? amount : tokenRegistry.convert(amount, chain, 'BSC').amount);
+
+const isProcessed = (stateManager, type, id) => (type === 'deposit'
+  ? stateManager.isDepositProcessed(id)
+  : stateManager.isBurnProcessed(id));
+
+const serializeAmount = amount => ({ amount: tokenRegistry.format('BSC', amount), raw: amount.toString() });
+
+// Bridge fees kept on completed transfers; transfers settled before fees
+// were recorded have none and are only counted
+function sumRetainedFees(stateManager) {
+  let fees = 0n;
+  let completed = 0;
+  let withoutFee = 0;
+
+  for (const transfer of Object.values(stateManager.getAllTransactionHashes())) {
+    if (!transfer.destTxHash) {
+      continue;
+    }
+    completed++;
+    if (!transfer.fee) {
+      withoutFee++;
+      continue;
+    }
+    fees += toBsc(transfer.sourceChain, BigInt(transfer.fee.totalFeeRaw));
+  }
+
+  return { fees, completed, withoutFee };
+}
+
+// Deposits stay locked and burned USDT is never unlocked when a hold is rejected
+function sumRejected(stateManager) {
+  const rejected = Object.values(stateManager.getAllHolds()).filter(hold => hold.status === HOLD_STATUS.REJECTED);
+  const total = rejected.reduce((sum, hold) => sum + toBsc(SOURCES[hold.type].chain, BigInt(hold.amountRaw)), 0n);
+  return { total, count: rejected.length };
+}
+
+// The mint/unlock (or refund) of a transfer already landed on-chain, but
+// completeInFlight has not recorded it as processed yet
+async function hasLandedPayout(stateManager, id) {
+  for (const key of [id, getRefundKey(id)]) {
+    const entry = stateManager.getInFlight(key);
+    if (!entry) {
+      continue;
+    }
+    const destination = DESTINATIONS[entry.type];
+    const bridge = new ethers.Contract(destination.bridgeAddress(), destination.abi, getPooledProvider(destination.chain));
+    if (await isProcessedOnChain(bridge, entry.type, entry.recipient, entry.amount, entry.sourceId || key)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Deposits/burns seen on their source chain but not minted/unlocked yet,
+// read from the source receipts of the unsettled transfer jobs
+async function sumPending(stateManager) {
+  let total = 0n;
+  let count = 0;
+
+  for (const job of jobQueue.getUnsettledJobs(Object.keys(SOURCES))) {
+    const source = SOURCES[job.type];
+    const bridge = new ethers.Contract(source.bridgeAddress(), source.abi, getPooledProvider(source.chain));
+    const receipt = await getPooledProvider(source.chain).getTransactionReceipt(job.payload.txHash);
+    if (!receipt || receipt.status !== 1) {
+      continue;
+    }
+
+    for (const log of receipt.logs) {
+      if (log.address.toLowerCase() !== source.bridgeAddress().toLowerCase()) {
+        continue;
+      }
+      let parsed;
+      try {
+        parsed = bridge.interface.parseLog(log);
+      } catch {
+        parsed = null;
+      }
+      if (parsed?.name !== source.eventName) {
+        continue;
+      }
+
+      const id = parsed.args[source.idField].toString();
+      if (isProcessed(stateManager, job.type, id) || stateManager.getHold(id)?.status === HOLD_STATUS.REJECTED) {
+        continue;
+      }
+      if (await hasLandedPayout(stateManager, id)) {
+        continue;
+      }
+      total += toBsc(source.chain, parsed.args.amount);
+      count++;
+    }
+  }
+
+  return { total, count };
+}
+
+function saveReport(report) {
+  const dir = path.resolve(process.cwd(), config.reconciliationReportDir);
+  const file = path.join(dir, `reconciliation-${report.timestamp.replace(/[:.]/g, '-')}.json`);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(report, null, 2));
+  } catch (error) {
+    logger.error('Error saving reconciliation report', { error: error.message, file });
+    return null;
+  }
+  return file;
+}
+
+/**
+ * Check that the USDT locked in the BSC bridge backs the USDT circulating on
+ * UC. Every USDT that entered the bridge is either circulating on UC, kept as
+ * a fee, stuck behind a rejected hold, or on its way (deposited but not yet
+ * minted, burned but not yet unlocked):
+ *
+ *   expected = UC totalSupply + fees + rejected + pending + RECONCILIATION_OFFSET
+ *   drift    = BSC bridge balance - expected
+ *
+ * A negative drift means the bridge holds less than it owes. The report is
+ * written to RECONCILIATION_REPORT_DIR and kept as the latest result; a drift
+ * beyond RECONCILIATION_TOLERANCE raises a SUPPLY_DRIFT alert, and trips the
+ * circuit breaker when the bridge is short. Concurrent callers share the run
+ * in progress.
+ * @returns {Promise<Object>} The report
+ */
+export function runReconciliation(stateManager) {
+  if (!running) {
+    running = reconcile(stateManager).finally(() => {
+      running = null;
+    });
+  }
+  return running;
+}
+
+async function reconcile(stateManager) {
+  await tokenRegistry.load();
+  const bscToken = tokenRegistry.get('BSC');
+  const ucToken = tokenRegistry.get('UC');
+
+  // STEP 1: On-chain balances
+  const [bridgeBalance, ucSupply] = await Promise.all([
+    new ethers.Contract(bscToken.address, USDT_ABI, getPooledProvider('BSC')).balanceOf(config.bscBridgeAddress),
+    new ethers.Contract(ucToken.address, USDT_ABI, getPooledProvider('UC')).totalSupply()
+  ]);
+
+  // STEP 2: What the relayer's records say the bridge should hold on top of the UC supply
+  const retained = sumRetainedFees(stateManager);
+  const rejected = sumRejected(stateManager);
+  const pending = await sumPending(stateManager);
+  const offset = tokenRegistry.parse('BSC', config.reconciliationOffset);
+
+  // STEP 3: Expected vs actual backing
+  const circulating = toBsc('UC', ucSupply);
+  const expected = circulating + retained.fees + rejected.total + pending.total + offset;
+  const drift = bridgeBalance - expected;
+  const tolerance = tokenRegistry.parse('BSC', config.reconciliationTolerance);
+  const withinTolerance = (drift < 0n ? -drift : drift) <= tolerance;
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    status: withinTolerance ? 'ok' : 'drift',
+    bsc: { bridge: config.bscBridgeAddress, token: bscToken.address, bridgeBalance: serializeAmount(bridgeBalance) },
+    uc: { token: ucToken.address, totalSupply: serializeAmount(circulating) },
+    accounting: {
+      fees: serializeAmount(retained.fees),
+      rejected: serializeAmount(rejected.total),
+      pending: serializeAmount(pending.total),
+      offset: serializeAmount(offset),
+      completedTransfers: retained.completed,
+      transfersWithoutFee: retained.withoutFee,
+      rejectedTransfers: rejected.count,
+      pendingTransfers: pending.count
+    },
+    expectedBacking: serializeAmount(expected),
+    actualBacking: serializeAmount(bridgeBalance),
+    drift: serializeAmount(drift),
+    tolerance: serializeAmount(tolerance),
+    withinTolerance
+  };
+  report.file = saveReport(report);
+  latestReport = report;
+
+  if (withinTolerance) {
+    logger.info('⚖️ Supply reconciled', { drift: report.drift.amount, expected: report.expectedBacking.amount });
+  } else {
+    const direction = drift < 0n ? 'short of' : 'above';
+    await sendAlert('SUPPLY_DRIFT', `BSC bridge balance is ${report.drift.amount.replace('-', '')} USDT ${direction} the expected backing`, {
+      bridgeBalance: report.actualBacking.amount,
+      expectedBacking: report.expectedBacking.amount,
+      drift: report.drift.amount,
+      tolerance: report.tolerance.amount,
+      report: report.file
+    });
+    if (drift < 0n) {
+      await circuitBreaker.trip('supply_drift', `BSC bridge is ${report.drift.amount.replace('-', '')} USDT short of the expected backing`, {
+        drift: report.drift.amount,
+        report: report.file
+      });
+    }
+  }
+
+  return report;
+}
+
+export function getLatestReconciliation() {
+  return latestReport;
+}
@@ -0,0 +1,181 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
+import logger from './logger.js';
+import { tokenRegistry } from './tokens.js';
+import { getRelayerSigner } from './signer.js';
+import {
+  sendWithIntent,
+  waitForInFlight,
+  completeInFlight,
+  reconcileInFlight,
+  isProcessedOnChain,
+  TransferCancelledError
+} from './inflight.js';
+import { queueStatusUpdate, TX_STATUS } from './source-status.js';
+import { sendAlert } from './alerts.js';
+import { recordAudit } from './audit.js';
+
+// A refund goes back to the sender on the source chain: a BSC deposit is
+// unlocked on BSC, a UC burn is minted back on UC. `inFlightType` is the type
+// of the bridge call ('deposit' = mint on UC, 'burn' = unlock on BSC), which
+// is what in-flight reconciliation and the speed-up/cancel API go by.
+const REFUND_ROUTES = {
+  deposit: {
+    chain: 'BSC',
+    method: 'unlock',
+    inFlightType: 'burn',
+    bridgeAddress: () => config.bscBridgeAddress,
+    abi: BSC_BRIDGE_ABI
+  },
+  burn: {
+    chain: 'UC',
+    method: 'mint',
+    inFlightType: 'deposit',
+    bridgeAddress: () => config.ucBridgeAddress,
+    abi: UC_BRIDGE_ABI
+  }
+};
+
+// In-flight key of the refund for a transfer
+export const getRefundKey = id => `refund:${id}`;
+
+// Source ID the refund is processed under on-chain. Derived from the original
+// ID, so a refund can be recognised again but never collides with a transfer.
+export const getRefundId = (type, id) => ethers.solidityPackedKeccak256(['string', 'string', 'bytes32'], ['refund', type, id]);
+
+const getTransfer = (stateManager, id) => stateManager.getTransactionHashes(id);
+
+/**
+ * Return the full source amount of a transfer that cannot be delivered to
+ * its original sender on the source chain. Safe to call again for the same
+ * transfer: a refund already in flight is reconciled and waited on, and one
+ * already on-chain is recorded instead of being sent twice. Completing the
+ * refund marks the original transfer processed, so it is never delivered,
+ * and queues setting the source bridge's record of the transfer to Failed.
+ * @param {Object} transfer - { id, type ('deposit'|'burn'), sourceTxHash, user, amount, destinationAddress }
+ * @param {string} reason - Why the transfer is refunded: 'invalid_destination', 'expired', 'below_minimum' or 'above_maximum'
+ * @returns {Promise<Object>} The refund record stored on the transfer
+ */
+export async function refundTransfer(stateManager, transfer, reason) {
+  const { id, type, sourceTxHash, user, amount, destinationAddress } = transfer;
+  const route = REFUND_ROUTES[type];
+  const key = getRefundKey(id);
+  const refundId = getRefundId(type, id);
+  const signer = getRelayerSigner(route.chain);
+  const bridge = new ethers.Contract(route.bridgeAddress(), route.abi, signer.wallet);
+
+  // Track the refund on the transfer history before anything is signed
+  if (!getTransfer(stateManager, id)) {
+    if (type === 'deposit') {
+      stateManager.addDepositTxHashes(id, sourceTxHash, null);
+    } else {
+      stateManager.addBurnTxHashes(id, sourceTxHash, null);
+    }
+  }
+  const previous = getTransfer(stateManager, id).refund;
+  if (previous?.status === 'completed') {
+    return previous;
+  }
+
+  stateManager.updateTransfer(id, {
+    status: 'refunding',
+    refund: {
+      status: 'pending',
+      reason,
+      chain: route.chain,
+      method: route.method,
+      recipient: user,
+      destinationAddress,
+      amount: tokenRegistry.format(route.chain, amount),
+      amountRaw: amount.toString(),
+      refundId,
+      txHash: null,
+      requestedAt: previous?.requestedAt || Date.now()
+    }
+  });
+
+  const inFlight = await reconcileInFlight(stateManager, key, signer.provider, bridge);
+  if (inFlight.status === 'cancelled') {
+    throw new TransferCancelledError(`Refund was cancelled by an operator (cancel tx ${inFlight.destTxHash})`);
+  }
+
+  if (inFlight.status !== 'completed' && inFlight.status !== 'pending') {
+    if (await isProcessedOnChain(bridge, route.inFlightType, user, amount, refundId)) {
+      // Landed, but the local record was lost
+      stateManager.updateTransfer(id, { refund: { ...getTransfer(stateManager, id).refund, status: 'completed', completedAt: Date.now() } });
+      markRefunded(stateManager, id, type);
+      queueRefundStatus(id, sourceTxHash, getTransfer(stateManager, id).refund);
+      return getTransfer(stateManager, id).refund;
+    }
+
+    logger.info(`↩️ Refunding ${route.method} on ${route.chain}...`, {
+      id,
+      recipient: user,
+      amount: tokenRegistry.format(route.chain, amount),
+      reason
+    });
+
+    await sendWithIntent(stateManager, signer, key, {
+      type: route.inFlightType,
+      refundOf: { id, type },
+      sourceId: refundId,
+      sourceTxHash,
+      recipient: user,
+      amount: amount.toString(),
+      reason
+    }, bridge, route.method, [
+      user,      // original sender
+      amount,    // full source amount, no fee
+      refundId   // refund source ID
+    ]);
+  }
+
+  if (inFlight.status !== 'completed') {
+    const refundReceipt = await waitForInFlight(stateManager, signer, key);
+    completeInFlight(stateManager, key, refundReceipt.hash);
+  }
+
+  const refund = getTransfer(stateManager, id).refund;
+  queueRefundStatus(id, sourceTxHash, refund);
+  recordAudit('refund', 'relayer', { id, type, reason, chain: route.chain, recipient: user, amount: refund.amount, txHash: refund.txHash });
+  await sendAlert('TRANSFER_REFUNDED', `Transfer ${id} refunded to ${user} on ${route.chain}: ${reason}`, {
+    id,
+    sourceTxHash,
+    reason,
+    refundTxHash: refund.txHash
+  });
+  return refund;
+}
+
+// The refunded transfer's source record becomes Failed (the contracts have no
+// Cancelled status); the record the refund itself created is Completed
+function queueRefundStatus(id, sourceTxHash, refund) {
+  queueStatusUpdate(id, [
+    { chain: refund.chain, txHash: sourceTxHash, linkedId: id, status: TX_STATUS.FAILED },
+    { chain: refund.chain, txHash: refund.txHash, linkedId: refund.refundId, status: TX_STATUS.COMPLETED }
+  ]);
+}
+
+// The original transfer is settled by its refund
+export function markRefunded(stateManager, id, type) {
+  if (type === 'deposit') {
+    stateManager.addProcessedDeposit(id);
+  } else {
+    stateManager.addProcessedBurn(id);
+  }
+  stateManager.updateTransfer(id, { status: 'refunded' });
+}
+
+// Every transfer with a refund, most recent first
+export function getRefunds(stateManager) {
+  return Object.entries(stateManager.getAllTransactionHashes())
+    .filter(([, transfer]) => transfer.refund)
+    .map(([id, transfer]) => ({ id, ...transfer }))
+    .sort((a, b) => b.refund.requestedAt - a.refund.requestedAt);
+}
+
+// The transfer a refund ID belongs to (the refund's own bridge record links to it)
+export function findRefund(stateManager, refundId) {
+  return getRefunds(stateManager).find(transfer => transfer.refund.refundId === refundId) || null;
+}
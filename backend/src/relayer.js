@@ -1,65 +1,101 @@
 import { ethers } from 'ethers';
 import { config } from './config.js';
 import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
-import logger, { transactionLogger } from './logger.js';
-import { StateManager } from './state.js';
+import logger from './logger.js';
+import { stateManager } from './state.js';
+import { reconcileInFlight, getInFlightChain } from './inflight.js';
+import { AdaptiveBlockRange, isRangeTooLargeError } from './block-range.js';
+import { jobQueue } from './job-queue.js';
+import { getRelayerSigner } from './signer.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { tokenRegistry } from './tokens.js';
+import { addressScreener } from './screening.js';
+import { processDepositByTxHash } from './process-deposit.js';
+import { processWithdrawalByTxHash } from './process-withdrawal.js';
+import { expireStaleJobs } from './expiry.js';
+import { runStatusUpdate } from './source-status.js';
+import { runReconciliation } from './reconciliation.js';
+import { circuitBreaker } from './circuit-breaker.js';
+import { BridgeEventMonitor } from './bridge-events.js';
+import { bridgeStatus } from './bridge-status.js';
+
+// Job sources the relayer discovered on-chain itself (not the process API)
+const RELAYER_SOURCES = ['monitor', 'sweeper'];
 
 class BridgeRelayer {
   constructor() {
     this.processedDeposits = new Set();
     this.processedBurns = new Set();
     this.isRunning = false;
-    this.stateManager = new StateManager();
+    this.stateManager = stateManager;
+
+    // Durable transfer jobs shared with the HTTP API
+    this.jobQueue = jobQueue;
+    // Mints land on UC and unlocks on BSC; refunds go back to the source chain
+    this.jobQueue.registerHandler('deposit', job => this.runUnlessBridgeBlocked(job.payload.expired ? 'BSC' : 'UC',
+      () => processDepositByTxHash(job.payload.txHash, {
+        expired: job.payload.expired,
+        countMismatches: RELAYER_SOURCES.includes(job.payload.source),
+        jobId: job.id
+      })));
+    this.jobQueue.registerHandler('burn', job => this.runUnlessBridgeBlocked(job.payload.expired ? 'UC' : 'BSC',
+      () => processWithdrawalByTxHash(job.payload.txHash, {
+        expired: job.payload.expired,
+        countMismatches: RELAYER_SOURCES.includes(job.payload.source),
+        jobId: job.id
+      })));
+    this.jobQueue.registerHandler('status', job => this.runUnlessBridgeBlocked(null,
+      () => runStatusUpdate(this.stateManager, job.payload)));
+
+    // Admin events on both bridges
+    this.bridgeEvents = new BridgeEventMonitor(this.stateManager);
+    this.bridgeEvents.registerHandler('OwnershipTransferred', (chain, event) => this.handleOwnershipTransferred(chain, event));
+    this.bridgeEvents.registerHandler('Paused', (chain, event) => bridgeStatus.handlePaused(chain, event));
+    this.bridgeEvents.registerHandler('Unpaused', (chain, event) => bridgeStatus.handleUnpaused(chain, event));
+    this.bridgeEvents.registerHandler('BridgeAdminUpdated', (chain, event) => bridgeStatus.handleBridgeAdminUpdated(chain, event));
     
-    // RPC rotation for rate limit avoidance
-    this.bscRpcEndpoints = [
-      'https://bsc-dataseed1.binance.org',
-      'https://bsc-dataseed2.binance.org',
-      'https://bsc-dataseed3.binance.org',
-      'https://bsc-dataseed4.binance.org',
-      'https://bsc.publicnode.com',
-      'https://bsc-rpc.publicnode.com'
-    ];
-    this.currentBscRpcIndex = 0;
-    this.rpcFailCount = new Map();
-  }
-
-  getNextBscRpc() {
-    // Rotate to next RPC endpoint
-    this.currentBscRpcIndex = (this.currentBscRpcIndex + 1) % this.bscRpcEndpoints.length;
-    const rpc = this.bscRpcEndpoints[this.currentBscRpcIndex];
-    logger.info('Switching to BSC RPC', { rpc, index: this.currentBscRpcIndex });
-    return rpc;
-  }
-
-  async createBscProvider() {
-    const rpc = this.bscRpcEndpoints[this.currentBscRpcIndex];
-    return new ethers.JsonRpcProvider(rpc, undefined, {
-      staticNetwork: true,
-      batchMaxCount: 1 // Disable batching to avoid rate limits
-    });
+    // Sweeper query ranges adapt to what each RPC accepts
+    const rangeOptions = {
+      max: config.maxBlocksPerQuery,
+      min: config.minBlocksPerQuery,
+      growAfter: config.blockRangeGrowAfter
+    };
+    this.bscRange = new AdaptiveBlockRange('BSC', rangeOptions);
+    this.ucRange = new AdaptiveBlockRange('UC', rangeOptions);
   }
 
   async initialize() {
     try {
-      // Setup BSC provider with rotation
-      this.bscProvider = await this.createBscProvider();
-      this.bscWallet = new ethers.Wallet(config.relayerPrivateKey, this.bscProvider);
-      this.bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, this.bscWallet);
+      // Setup providers; both fail over across their chain's RPC pool
+      this.bscProvider = getPooledProvider('BSC');
+      this.bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, this.bscProvider);
 
       // Setup UC provider and contracts
-      this.ucProvider = new ethers.JsonRpcProvider(config.ucRpcUrl);
-      this.ucWallet = new ethers.Wallet(config.relayerPrivateKey, this.ucProvider);
-      this.ucBridge = new ethers.Contract(config.ucBridgeAddress, UC_BRIDGE_ABI, this.ucWallet);
+      this.ucProvider = getPooledProvider('UC');
+      this.ucBridge = new ethers.Contract(config.ucBridgeAddress, UC_BRIDGE_ABI, this.ucProvider);
+
+      // Relayer key is only used through the shared nonce-managed signers
+      this.bscSigner = getRelayerSigner('BSC');
+      this.ucSigner = getRelayerSigner('UC');
+
+      // Token decimals for both chains, shared with the API processors
+      await tokenRegistry.load();
+
+      // Deny lists; re-read whenever a list file changes
+      addressScreener.startWatching();
 
       // Get relayer address
-      this.relayerAddress = await this.bscWallet.getAddress();
+      this.relayerAddress = await this.bscSigner.getAddress();
+
+      // Paused flag and owner of both bridges; kept current from bridge events
+      await bridgeStatus.load(this.relayerAddress);
 
       logger.info('Relayer initialized', {
         relayerAddress: this.relayerAddress,
         bscBridge: config.bscBridgeAddress,
         ucBridge: config.ucBridgeAddress,
-        bscRpcCount: this.bscRpcEndpoints.length
+        bscRpcCount: config.bscRpcUrls.length,
+        ucRpcCount: config.ucRpcUrls.length
       });
 
       // Load state from disk
@@ -89,6 +125,9 @@ class BridgeRelayer {
         processedBurns: this.processedBurns.size
       });
 
+      // Resolve mints/unlocks that were in flight when the relayer stopped
+      await this.reconcileInFlightTransfers();
+
       return true;
     } catch (error) {
       logger.error('Failed to initialize relayer', { error: error.message });
@@ -96,6 +135,37 @@ class BridgeRelayer {
     }
   }
 
+  async reconcileInFlightTransfers() {
+    const entries = Object.entries(this.stateManager.getAllInFlight());
+    if (entries.length === 0) {
+      return;
+    }
+
+    logger.info(`🔎 Reconciling ${entries.length} in-flight transfer(s) from previous run`);
+
+    for (const [id, entry] of entries) {
+      try {
+        const result = getInFlightChain(entry) === 'UC'
+          ? await reconcileInFlight(this.stateManager, id, this.ucProvider, this.ucBridge)
+          : await reconcileInFlight(this.stateManager, id, this.bscProvider, this.bscBridge);
+        if (entry.type === 'status' || entry.type === 'pause') {
+          continue;
+        }
+
+        // A completed refund settles the transfer it refunds
+        const settled = entry.refundOf || { id, type: entry.type };
+        if (result.status === 'completed' && settled.type === 'deposit') {
+          this.processedDeposits.add(settled.id);
+        } else if (result.status === 'completed') {
+          this.processedBurns.add(settled.id);
+        }
+      } catch (error) {
+        // Record stays in place; the job retry will reconcile it again
+        logger.error('Error reconciling in-flight transfer', { id, error: error.message });
+      }
+    }
+  }
+
   async start() {
     if (this.isRunning) {
       logger.warn('Relayer is already running');
@@ -103,12 +173,41 @@ class BridgeRelayer {
     }
 
     this.isRunning = true;
-    logger.info('Starting relayer service (On-demand processing only)...');
-    logger.info('No continuous monitoring - processes transactions via API calls only');
-    logger.info('Rate limit friendly: only processes when users deposit');
+    logger.info('Starting relayer service...');
+    logger.info('Transfers are processed on demand via API calls and by the background sweeper');
+
+    // A breaker tripped before a restart keeps processing paused
+    circuitBreaker.restore();
+
+    // Retry worker for queued transfers (failed or interrupted jobs)
+    this.jobQueue.start();
+
+    // Kill-switch file and bridge ownership changes trip the circuit breaker;
+    // pause and ownership events also hold and resume transfers
+    this.monitorKillSwitch();
+    this.bridgeEvents.start();
+
+    // Refund transfers that keep failing past TRANSFER_EXPIRY
+    if (config.transferExpiry) {
+      this.monitorExpiredTransfers();
+    }
 
-    // No continuous monitoring - only API-based processing
-    // This avoids BSC RPC rate limits while maintaining functionality
+    // Check that the BSC bridge balance backs the UC supply
+    if (config.reconciliationInterval) {
+      this.monitorSupply();
+    }
+
+    // Low-frequency sweeper for deposits/burns the frontend never reported
+    if (config.sweeperEnabled) {
+      logger.info('Starting background sweeper', {
+        interval: config.sweeperInterval,
+        maxBlocksPerQuery: config.maxBlocksPerQuery
+      });
+      this.monitorBscDeposits();
+      this.monitorUcBurns();
+    } else {
+      logger.info('Background sweeper disabled - processes transactions via API calls only');
+    }
   }
 
   async startWebSocketListeners() {
@@ -120,7 +219,7 @@ class BridgeRelayer {
       wsBridge.on('Deposit', async (user, amount, depositId, destinationAddress, event) => {
         logger.info('🔔 Real-time BSC deposit detected via WebSocket!', {
           user,
-          amount: ethers.formatUnits(amount, 18),
+          amount: tokenRegistry.format('BSC', amount),
           depositId: depositId.toString(),
           destinationAddress,
           txHash: event.log.transactionHash
@@ -142,7 +241,7 @@ class BridgeRelayer {
       ucWsBridge.on('Burn', async (user, amount, burnId, destinationAddress, event) => {
         logger.info('🔔 Real-time UC burn detected via WebSocket!', {
           user,
-          amount: ethers.formatUnits(amount, 18),
+          amount: tokenRegistry.format('UC', amount),
           burnId: burnId.toString(),
           destinationAddress,
           txHash: event.log.transactionHash
@@ -161,6 +260,10 @@ class BridgeRelayer {
   // Using optimized polling instead: 5s interval with 500 blocks per query
   // This provides near real-time detection without WebSocket reliability issues
 
+  // Background sweeper: scans ranges of Deposit events and queues any that
+  // were never reported through the API. Ranges start at maxBlocksPerQuery and
+  // shrink/grow with what the RPC accepts. Catch-up queries are paced by
+  // catchUpPollInterval; once caught up it only polls every sweeperInterval.
   async monitorBscDeposits() {
     let consecutiveErrors = 0;
 
@@ -169,58 +272,51 @@ class BridgeRelayer {
         const currentBlock = await this.bscProvider.getBlockNumber();
 
         if (currentBlock > this.bscLastBlock) {
-          const blocksBehind = currentBlock - this.bscLastBlock;
-
-          // Scan only 1 block at a time for instant processing
-          const toBlock = this.bscLastBlock + 1;
+          const { fromBlock, toBlock } = this.bscRange.next(this.bscLastBlock, currentBlock);
+          const blocksBehind = currentBlock - toBlock;
 
-          if (blocksBehind > 10) {
-            logger.info(`Checking BSC block ${toBlock} (${blocksBehind} blocks behind)`);
+          if (blocksBehind > 0) {
+            logger.info(`Sweeping BSC blocks ${fromBlock}-${toBlock} (${blocksBehind} blocks behind)`);
           }
 
-          // Query Deposit events for single block
+          // Query Deposit events for the range
           const filter = this.bscBridge.filters.Deposit();
-          const events = await this.bscBridge.queryFilter(filter, toBlock, toBlock);
-
-          if (events.length > 0) {
-            logger.info(`🎯 Found ${events.length} deposit(s) in block ${toBlock}`);
-
-            for (const event of events) {
-              await this.handleBscDeposit(event);
-            }
+          const events = await this.bscBridge.queryFilter(filter, fromBlock, toBlock);
+
+          // Events the monitor or the API already queued are not counted
+          const queued = events
+            .map(event => this.queueBscDeposit(event, 'sweeper'))
+            .filter(queuedJob => queuedJob?.created);
+          if (queued.length > 0) {
+            logger.info(`🧹 Sweeper queued ${queued.length} job(s) for unreported deposits in blocks ${fromBlock}-${toBlock}`);
           }
 
+          // Checkpoint progress so a restart resumes after this range
           this.bscLastBlock = toBlock;
           this.stateManager.setLastBscBlock(toBlock);
+          this.bscRange.recordSuccess();
           consecutiveErrors = 0;
 
-          // No delay when catching up, longer delay when caught up to reduce RPC calls
-          if (blocksBehind <= 1) {
-            await this.sleep(5000); // 5 seconds instead of 1 to reduce rate limiting
-          }
+          await this.sleep(blocksBehind > 0 ? config.catchUpPollInterval : config.sweeperInterval);
         } else {
-          // Caught up, wait 5 seconds
-          await this.sleep(5000);
+          await this.sleep(config.sweeperInterval);
         }
       } catch (error) {
+        if (isRangeTooLargeError(error)) {
+          this.bscRange.shrink();
+          await this.sleep(config.catchUpPollInterval);
+          continue;
+        }
+
         consecutiveErrors++;
 
         if (error.message.includes('rate limit') || error.message.includes('429') || error.message.includes('missing response')) {
-          logger.warn('BSC RPC rate limit detected, switching endpoint...', {
+          // Every endpoint in the pool was tried already; back off
+          const waitTime = Math.min(5000 * Math.pow(2, consecutiveErrors - 1), 60000); // Up to 1 minute
+          logger.warn(`BSC RPC pool rate limited, waiting ${waitTime}ms before retry`, {
             consecutiveErrors,
-            currentRpc: this.bscRpcEndpoints[this.currentBscRpcIndex],
             error: error.message
           });
-
-          // Switch to next RPC immediately
-          const newRpc = this.getNextBscRpc();
-          this.bscProvider = await this.createBscProvider();
-          this.bscWallet = new ethers.Wallet(config.relayerPrivateKey, this.bscProvider);
-          this.bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, this.bscWallet);
-
-          // Longer wait for rate limits
-          const waitTime = Math.min(5000 * Math.pow(2, consecutiveErrors - 1), 60000); // Up to 1 minute
-          logger.info(`Rate limited, waiting ${waitTime}ms before retry`);
           await this.sleep(waitTime);
         } else if (error.message.includes('timeout') || error.message.includes('network')) {
           logger.warn('BSC network timeout, retrying...', { error: error.message });
@@ -233,45 +329,46 @@ class BridgeRelayer {
     }
   }
 
+  // Background sweeper for Burn events on UC (see monitorBscDeposits)
   async monitorUcBurns() {
     while (this.isRunning) {
       try {
         const currentBlock = await this.ucProvider.getBlockNumber();
         
         if (currentBlock > this.ucLastBlock) {
-          const blocksBehind = currentBlock - this.ucLastBlock;
-          
-          // Scan 1 block at a time for instant processing
-          const toBlock = this.ucLastBlock + 1;
+          const { fromBlock, toBlock } = this.ucRange.next(this.ucLastBlock, currentBlock);
+          const blocksBehind = currentBlock - toBlock;
           
-          if (blocksBehind > 10) {
-            logger.info(`Checking UC block ${toBlock} (${blocksBehind} blocks behind)`);
+          if (blocksBehind > 0) {
+            logger.info(`Sweeping UC blocks ${fromBlock}-${toBlock} (${blocksBehind} blocks behind)`);
           }
 
-          // Query Burn events
+          // Query Burn events for the range
           const filter = this.ucBridge.filters.Burn();
-          const events = await this.ucBridge.queryFilter(filter, toBlock, toBlock);
-
-          if (events.length > 0) {
-            logger.info(`🎯 Found ${events.length} burn(s) in block ${toBlock}`);
-            
-            for (const event of events) {
-              await this.handleUcBurn(event);
-            }
+          const events = await this.ucBridge.queryFilter(filter, fromBlock, toBlock);
+
+          // Events the monitor or the API already queued are not counted
+          const queued = events
+            .map(event => this.queueUcBurn(event, 'sweeper'))
+            .filter(queuedJob => queuedJob?.created);
+          if (queued.length > 0) {
+            logger.info(`🧹 Sweeper queued ${queued.length} job(s) for unreported burns in blocks ${fromBlock}-${toBlock}`);
           }
 
+          // Checkpoint progress so a restart resumes after this range
           this.ucLastBlock = toBlock;
           this.stateManager.setLastUcBlock(toBlock);
+          this.ucRange.recordSuccess();
           
-          // No delay when catching up, 1 second when caught up
-          if (blocksBehind <= 1) {
-            await this.sleep(1000);
-          }
+          await this.sleep(blocksBehind > 0 ? config.catchUpPollInterval : config.sweeperInterval);
         } else {
-          await this.sleep(1000);
+          await this.sleep(config.sweeperInterval);
         }
       } catch (error) {
-        if (error.message.includes('rate limit') || error.message.includes('429')) {
+        if (isRangeTooLargeError(error)) {
+          this.ucRange.shrink();
+          await this.sleep(config.catchUpPollInterval);
+        } else if (error.message.includes('rate limit') || error.message.includes('429')) {
           logger.warn('UC RPC rate limit hit, waiting 10 seconds...');
           await this.sleep(10000);
         } else if (error.message.includes('timeout') || error.message.includes('network')) {
@@ -285,398 +382,163 @@ class BridgeRelayer {
     }
   }
 
-  async handleBscDeposit(event) {
-    const startTime = Date.now();
-    try {
-      const { user, amount, depositId, destinationAddress } = event.args;
-      const depositIdStr = depositId.toString();
-      const txHash = event.transactionHash;
-
-      // Check if already processed
-      if (this.processedDeposits.has(depositIdStr)) {
-        logger.debug('Deposit already processed', { depositId: depositIdStr });
-        return;
-      }
+  // Create a job for a Deposit event unless it is already processed.
+  // Returns { job, created } (created is false for a job that already
+  // existed), or null when there is nothing to do.
+  queueBscDeposit(event, source) {
+    const txHash = event.transactionHash.toLowerCase();
+    const depositIdStr = event.args.depositId.toString();
 
-      logger.info('🔔 BSC Deposit detected, waiting for confirmations...', {
-        txHash,
-        depositId: depositIdStr,
-        amount: ethers.formatUnits(amount, 18),
-        user,
-        destinationAddress
-      });
+    if (this.processedDeposits.has(depositIdStr) || this.stateManager.isDepositProcessed(depositIdStr)) {
+      logger.debug('Deposit already processed', { depositId: depositIdStr });
+      return null;
+    }
 
-      // STEP 1: Wait for BSC confirmations (~20 seconds for 6 confirmations)
-      const requiredConfirmations = 6;
-      let currentBlock = await this.bscProvider.getBlockNumber();
-      let confirmations = currentBlock - event.blockNumber;
+    return this.jobQueue.enqueue('deposit', txHash, {
+      txHash,
+      depositId: depositIdStr,
+      blockNumber: event.blockNumber,
+      source
+    });
+  }
 
-      if (confirmations < requiredConfirmations) {
-        const blocksToWait = requiredConfirmations - confirmations;
-        const waitTime = blocksToWait * 3000; // 3 seconds per BSC block
-        
-        logger.info(`⏳ Waiting for ${blocksToWait} more confirmations (~${waitTime/1000}s)`, {
-          depositId: depositIdStr,
-          currentConfirmations: confirmations,
-          requiredConfirmations
-        });
-        
-        await this.sleep(waitTime);
-        currentBlock = await this.bscProvider.getBlockNumber();
-        confirmations = currentBlock - event.blockNumber;
-      }
+  queueUcBurn(event, source) {
+    const txHash = event.transactionHash.toLowerCase();
+    const burnIdStr = event.args.burnId.toString();
 
-      // STEP 2: Verify transaction using TX ID
-      logger.info('🔍 Verifying transaction on BSC using TX ID...', { txHash });
-      const receipt = await this.bscProvider.getTransactionReceipt(txHash);
-      
-      if (!receipt) {
-        logger.error('❌ Transaction receipt not found', { txHash });
-        return;
-      }
+    if (this.processedBurns.has(burnIdStr) || this.stateManager.isBurnProcessed(burnIdStr)) {
+      logger.debug('Burn already processed', { burnId: burnIdStr });
+      return null;
+    }
 
-      if (receipt.status !== 1) {
-        logger.error('❌ Transaction failed on BSC', { txHash, status: receipt.status });
-        return;
-      }
+    return this.jobQueue.enqueue('burn', txHash, {
+      txHash,
+      burnId: burnIdStr,
+      blockNumber: event.blockNumber,
+      source
+    });
+  }
 
-      // STEP 3: Re-extract and validate data from verified transaction
-      const verifiedEvent = receipt.logs
-        .map(log => {
-          try {
-            return this.bscBridge.interface.parseLog(log);
-          } catch {
-            return null;
-          }
-        })
-        .find(e => e && e.name === 'Deposit');
+  // Every detected deposit becomes a durable job keyed by its source tx hash.
+  // The job is executed right away; failures are retried by the queue worker.
+  async handleBscDeposit(event) {
+    const { job } = this.queueBscDeposit(event, 'monitor') || {};
+    if (!job) {
+      return;
+    }
 
-      if (!verifiedEvent) {
-        logger.error('❌ Deposit event not found in verified transaction', { txHash });
-        return;
-      }
+    logger.info('🔔 BSC Deposit detected, processing job', {
+      jobId: job.id,
+      depositId: event.args.depositId.toString(),
+      blockNumber: event.blockNumber
+    });
 
-      // Validate data matches
-      const verifiedData = verifiedEvent.args;
-      if (verifiedData.depositId.toString() !== depositIdStr) {
-        logger.error('❌ DepositId mismatch in verification', {
-          expected: depositIdStr,
-          got: verifiedData.depositId.toString()
-        });
-        return;
+    // A transaction may carry several transfers; remember each one that is done
+    const result = await this.jobQueue.execute(job.id);
+    for (const transfer of result?.transfers || []) {
+      if (transfer.success || transfer.alreadyProcessed || transfer.refunded) {
+        this.processedDeposits.add(transfer.depositId);
       }
-
-      logger.info('✅ Transaction verified on BSC', {
-        txHash,
-        confirmations,
-        depositId: depositIdStr,
-        verificationTime: `${Date.now() - startTime}ms`
-      });
-
-      // Log verified transaction
-      transactionLogger.info('BSC Deposit Verified', {
-        direction: 'BSC -> UC',
-        sourceChain: 'BSC',
-        destinationChain: 'UC',
-        user: verifiedData.user,
-        destinationAddress: verifiedData.destinationAddress,
-        amount: ethers.formatUnits(verifiedData.amount, 18),
-        amountRaw: verifiedData.amount.toString(),
-        depositId: depositIdStr,
-        bscTxHash: txHash,
-        blockNumber: receipt.blockNumber,
-        confirmations,
-        status: 'verified'
-      });
-
-      // STEP 4: Calculate 1% fee and net amount
-      const originalAmount = verifiedData.amount;
-      const feeAmount = originalAmount / 100n; // 1% fee
-      const netAmount = originalAmount - feeAmount; // 99% to user
-
-      logger.info('💰 Applying 1% bridge fee...', {
-        depositId: depositIdStr,
-        originalAmount: ethers.formatUnits(originalAmount, 6),
-        feeAmount: ethers.formatUnits(feeAmount, 6),
-        netAmount: ethers.formatUnits(netAmount, 6)
-      });
-
-      // STEP 5: Sign and submit to UCC with owner wallet (relayer key)
-      logger.info('🔐 Signing transaction with owner wallet for UCC...', {
-        depositId: depositIdStr,
-        recipient: verifiedData.destinationAddress,
-        netAmount: ethers.formatUnits(netAmount, 6)
-      });
-
-      const tx = await this.ucBridge.mint(
-        verifiedData.destinationAddress,  // user address
-        netAmount,                        // net amount (after 1% fee)
-        verifiedData.depositId             // depositId
-      );
-
-      logger.info('✅ Transaction signed and submitted to UCC', { 
-        ucTxHash: tx.hash,
-        depositId: depositIdStr
-      });
-
-      // STEP 5: Wait for UCC confirmation
-      const ucReceipt = await tx.wait();
-      
-      logger.info('✅ UCC transaction confirmed', {
-        ucTxHash: ucReceipt.hash,
-        blockNumber: ucReceipt.blockNumber,
-        gasUsed: ucReceipt.gasUsed.toString(),
-        status: ucReceipt.status === 1 ? 'Success' : 'Failed'
-      });
-
-      // Mark as processed and save to state
-      this.processedDeposits.add(depositIdStr);
-      this.stateManager.addProcessedDeposit(depositIdStr);
-      this.stateManager.addDepositTxHashes(depositIdStr, txHash, ucReceipt.hash);
-
-      const totalTime = Date.now() - startTime;
-
-      // Log completion
-      transactionLogger.info('BSC -> UC Transfer Completed', {
-        direction: 'BSC -> UC',
-        sourceChain: 'BSC',
-        destinationChain: 'UC',
-        user: verifiedData.user,
-        destinationAddress: verifiedData.destinationAddress,
-        originalAmount: ethers.formatUnits(originalAmount, 6),
-        feeAmount: ethers.formatUnits(feeAmount, 6),
-        netAmount: ethers.formatUnits(netAmount, 6),
-        amountRaw: verifiedData.amount.toString(),
-        depositId: depositIdStr,
-        bscTxHash: txHash,
-        ucTxHash: ucReceipt.hash,
-        ucBlockNumber: ucReceipt.blockNumber,
-        gasUsed: ucReceipt.gasUsed.toString(),
-        confirmations,
-        status: 'completed',
-        completedAt: new Date().toISOString(),
-        totalTimeMs: totalTime,
-        totalTimeSec: `${(totalTime/1000).toFixed(1)}s`
-      });
-
-      logger.info(`🎉 Bridge transfer completed in ${(totalTime/1000).toFixed(1)}s`, {
-        depositId: depositIdStr,
-        bscTx: txHash,
-        ucTx: ucReceipt.hash,
-        originalAmount: ethers.formatUnits(originalAmount, 6),
-        feeAmount: ethers.formatUnits(feeAmount, 6),
-        netAmount: ethers.formatUnits(netAmount, 6)
-      });
-
-    } catch (error) {
-      logger.error('❌ Error handling BSC deposit', {
-        error: error.message,
-        stack: error.stack,
-        depositId: event.args.depositId.toString(),
-        bscTxHash: event.transactionHash,
-        timeElapsed: `${(Date.now() - startTime)/1000}s`
-      });
-
-      transactionLogger.error('BSC -> UC Transfer Failed', {
-        direction: 'BSC -> UC',
-        sourceChain: 'BSC',
-        destinationChain: 'UC',
-        user: event.args.user,
-        destinationAddress: event.args.destinationAddress,
-        amount: ethers.formatUnits(event.args.amount, 18),
-        depositId: event.args.depositId.toString(),
-        bscTxHash: event.transactionHash,
-        error: error.message,
-        status: 'failed',
-        failedAt: new Date().toISOString()
-      });
     }
   }
 
+
   async handleUcBurn(event) {
-    const startTime = Date.now();
-    try {
-      const { user, amount, burnId, destinationAddress } = event.args;
-      const burnIdStr = burnId.toString();
+    const { job } = this.queueUcBurn(event, 'monitor') || {};
+    if (!job) {
+      return;
+    }
 
-      // Check if already processed
-      if (this.processedBurns.has(burnIdStr)) {
-        logger.debug('Burn already processed', { burnId: burnIdStr });
-        return;
-      }
+    logger.info('🔔 UC Burn detected, processing job', {
+      jobId: job.id,
+      burnId: event.args.burnId.toString(),
+      blockNumber: event.blockNumber
+    });
 
-      logger.info('🔔 UC Burn detected, waiting for confirmations...', {
-        txHash: event.transactionHash,
-        burnId: burnIdStr,
-        amount: ethers.formatUnits(amount, 18),
-        user,
-        destinationAddress
-      });
+    // A transaction may carry several transfers; remember each one that is done
+    const result = await this.jobQueue.execute(job.id);
+    for (const transfer of result?.transfers || []) {
+      if (transfer.success || transfer.alreadyProcessed || transfer.refunded) {
+        this.processedBurns.add(transfer.burnId);
+      }
+    }
+  }
 
-      // STEP 1: Wait for UC confirmations (~30 seconds for 6 confirmations)
-      const requiredConfirmations = 6;
-      let currentBlock = await this.ucProvider.getBlockNumber();
-      let confirmations = currentBlock - event.blockNumber;
 
-      if (confirmations < requiredConfirmations) {
-        const blocksToWait = requiredConfirmations - confirmations;
-        const waitTime = blocksToWait * 5000; // 5 seconds per UC block
-        
-        logger.info(`⏳ Waiting for ${blocksToWait} more confirmations (~${waitTime/1000}s)`, {
-          burnId: burnIdStr,
-          currentConfirmations: confirmations,
-          requiredConfirmations
-        });
-        
-        await this.sleep(waitTime);
-        currentBlock = await this.ucProvider.getBlockNumber();
-        confirmations = currentBlock - event.blockNumber;
+  async monitorExpiredTransfers() {
+    while (this.isRunning) {
+      try {
+        await expireStaleJobs(this.jobQueue);
+      } catch (error) {
+        logger.error('Error expiring stale transfers', { error: error.message });
       }
+      await this.sleep(config.expiryCheckInterval);
+    }
+  }
 
-      // STEP 2: Verify transaction using TX ID
-      logger.info('🔍 Verifying transaction on UC Chain using TX ID...', { txHash: event.transactionHash });
-      const receipt = await this.ucProvider.getTransactionReceipt(event.transactionHash);
-      
-      if (!receipt) {
-        logger.error('❌ Transaction receipt not found', { txHash: event.transactionHash });
-        return;
+  async monitorSupply() {
+    while (this.isRunning) {
+      try {
+        await runReconciliation(this.stateManager);
+      } catch (error) {
+        logger.error('Error reconciling supply', { error: error.message });
       }
+      await this.sleep(config.reconciliationInterval);
+    }
+  }
 
-      if (receipt.status !== 1) {
-        logger.error('❌ Transaction failed on UC Chain', { txHash: event.transactionHash, status: receipt.status });
-        return;
+  async monitorKillSwitch() {
+    while (this.isRunning) {
+      try {
+        await circuitBreaker.checkKillSwitch();
+      } catch (error) {
+        logger.error('Error checking kill switch', { error: error.message });
       }
+      await this.sleep(config.circuitBreakerCheckInterval);
+    }
+  }
 
-      logger.info('✅ Transaction verified on UC Chain', {
-        txHash: event.transactionHash,
-        confirmations,
-        burnId: burnIdStr,
-        verificationTime: `${Date.now() - startTime}ms`
-      });
-
-      // Log verified transaction
-      transactionLogger.info('UC Burn Verified', {
-        direction: 'UC -> BSC',
-        sourceChain: 'UC',
-        destinationChain: 'BSC',
-        user,
-        destinationAddress,
-        amount: ethers.formatUnits(amount, 18),
-        amountRaw: amount.toString(),
-        burnId: burnIdStr,
-        ucTxHash: event.transactionHash,
-        blockNumber: receipt.blockNumber,
-        confirmations,
-        status: 'verified'
-      });
-
-      // STEP 3: Calculate 1% fee and net amount
-      const originalAmount = amount;
-      const feeAmount = originalAmount / 100n; // 1% fee
-      const netAmount = originalAmount - feeAmount; // 99% to user
-
-      logger.info('💰 Applying 1% bridge fee...', {
-        burnId: burnIdStr,
-        originalAmount: ethers.formatUnits(originalAmount, 18),
-        feeAmount: ethers.formatUnits(feeAmount, 18),
-        netAmount: ethers.formatUnits(netAmount, 18)
-      });
-
-      // STEP 4: Unlock on BSC with owner wallet (relayer key)
-      logger.info('🔐 Signing transaction with owner wallet for BSC...', {
-        burnId: burnIdStr,
-        recipient: destinationAddress,
-        netAmount: ethers.formatUnits(netAmount, 18)
-      });
-
-      const tx = await this.bscBridge.unlock(
-        destinationAddress,  // recipient address
-        netAmount,           // net amount (after 1% fee)
-        burnId               // burnId
-      );
-
-      logger.info('✅ Transaction signed and submitted to BSC', { 
-        bscTxHash: tx.hash,
-        burnId: burnIdStr
-      });
-
-      // STEP 4: Wait for BSC confirmation
-      const bscReceipt = await tx.wait();
-      
-      logger.info('✅ BSC transaction confirmed', {
-        bscTxHash: bscReceipt.hash,
-        blockNumber: bscReceipt.blockNumber,
-        gasUsed: bscReceipt.gasUsed.toString(),
-        status: bscReceipt.status === 1 ? 'Success' : 'Failed'
-      });
-
-      // Mark as processed and save to state
-      this.processedBurns.add(burnIdStr);
-      this.stateManager.addProcessedBurn(burnIdStr);
-      this.stateManager.addBurnTxHashes(burnIdStr, event.transactionHash, bscReceipt.hash);
-
-      const totalTime = Date.now() - startTime;
-
-      // Log completion
-      transactionLogger.info('UC -> BSC Transfer Completed', {
-        direction: 'UC -> BSC',
-        sourceChain: 'UC',
-        destinationChain: 'BSC',
-        user,
-        destinationAddress,
-        originalAmount: ethers.formatUnits(originalAmount, 18),
-        feeAmount: ethers.formatUnits(feeAmount, 18),
-        netAmount: ethers.formatUnits(netAmount, 18),
-        amountRaw: amount.toString(),
-        burnId: burnIdStr,
-        ucTxHash: event.transactionHash,
-        bscTxHash: bscReceipt.hash,
-        bscBlockNumber: bscReceipt.blockNumber,
-        gasUsed: bscReceipt.gasUsed.toString(),
-        confirmations,
-        status: 'completed',
-        completedAt: new Date().toISOString(),
-        totalTimeMs: totalTime,
-        totalTimeSec: `${(totalTime/1000).toFixed(1)}s`
-      });
-
-      logger.info(`🎉 Bridge transfer completed in ${(totalTime/1000).toFixed(1)}s`, {
-        burnId: burnIdStr,
-        ucTx: event.transactionHash,
-        bscTx: bscReceipt.hash,
-        originalAmount: ethers.formatUnits(originalAmount, 18),
-        feeAmount: ethers.formatUnits(feeAmount, 18),
-        netAmount: ethers.formatUnits(netAmount, 18)
-      });
+  // Hold a job instead of signing on a bridge that is paused or no longer
+  // owned by the relayer; bridgeStatus resubmits it when that changes
+  async runUnlessBridgeBlocked(chain, run) {
+    const blocker = bridgeStatus.getBlocker(chain);
+    if (!blocker) {
+      return run();
+    }
+    return {
+      success: false,
+      held: true,
+      chain,
+      code: blocker.code,
+      reason: blocker.reason,
+      message: `Transfer held: ${blocker.reason}`
+    };
+  }
 
-    } catch (error) {
-      logger.error('❌ Error handling UC burn', {
-        error: error.message,
-        stack: error.stack,
-        burnId: event.args.burnId.toString(),
-        ucTxHash: event.transactionHash,
-        timeElapsed: `${(Date.now() - startTime)/1000}s`
-      });
+  // Signing stops whenever ownership leaves the relayer; moving it anywhere
+  // but the relayer or an address in BRIDGE_OWNERS also trips the breaker
+  async handleOwnershipTransferred(chain, event) {
+    await bridgeStatus.handleOwnershipTransferred(chain, event);
 
-      transactionLogger.error('UC -> BSC Transfer Failed', {
-        direction: 'UC -> BSC',
-        sourceChain: 'UC',
-        destinationChain: 'BSC',
-        user: event.args.user,
-        destinationAddress: event.args.destinationAddress,
-        amount: ethers.formatUnits(event.args.amount, 18),
-        burnId: event.args.burnId.toString(),
-        ucTxHash: event.transactionHash,
-        error: error.message,
-        status: 'failed',
-        failedAt: new Date().toISOString()
-      });
+    const { previousOwner, newOwner } = event.args;
+    const expected = [this.bscSigner.wallet.address, ...config.bridgeOwners];
+    if (expected.some(owner => owner.toLowerCase() === newOwner.toLowerCase())) {
+      return;
     }
+
+    await circuitBreaker.trip('ownership_transferred', `${chain} bridge ownership moved to ${newOwner}`, {
+      chain,
+      previousOwner,
+      newOwner,
+      txHash: event.transactionHash
+    });
   }
 
   stop() {
     logger.info('Stopping relayer service...');
     this.isRunning = false;
+    this.jobQueue.stop();
+    this.bridgeEvents.stop();
     
     // Remove WebSocket listeners
     if (this.bscBridge) {
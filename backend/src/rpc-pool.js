@@ -0,0 +1,263 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import logger from './logger.js';
+
+// JSON-RPC errors that mean "this node is struggling", not "your request is bad"
+const NODE_ERROR_PATTERNS = [
+  /rate limit/i,
+  /limit exceeded/i,
+  /too many requests/i,
+  /header not found/i,
+  /internal error/i,
+  /service unavailable/i
+];
+
+const EWMA_WEIGHT = 0.2;
+const ewma = (previous, sample) => (previous === null ? sample : previous * (1 - EWMA_WEIGHT) + sample * EWMA_WEIGHT);
+
+// Receipts whose serving endpoint is remembered (see getReceiptSource)
+const MAX_RECEIPT_SOURCES = 1000;
+
+const isNodeError = (resp) => {
+  const message = resp?.error?.message || '';
+  return NODE_ERROR_PATTERNS.some(pattern => pattern.test(message));
+};
+
+/**
+ * Set of RPC endpoints for one chain. Every request goes to the best healthy
+ * endpoint (by latency and error rate) and fails over to the next one.
+ * Endpoints with too many errors, or whose block height lags the others, are
+ * taken out of rotation until a probe finds them healthy again.
+ */
+export class RpcPool {
+  constructor(chainName, urls, chainId) {
+    this.chainName = chainName;
+    this.chainId = chainId;
+    this.endpoints = urls.map(url => {
+      const request = new ethers.FetchRequest(url);
+      request.timeout = config.rpcRequestTimeout;
+      return {
+        url,
+        provider: new ethers.JsonRpcProvider(request, chainId, { staticNetwork: true, batchMaxCount: 1 }),
+        healthy: true,
+        wrongChain: false,
+        latencyMs: null,
+        errorRate: 0,
+        consecutiveErrors: 0,
+        requests: 0,
+        errors: 0,
+        blockNumber: null,
+        blockLag: 0,
+        lastError: null,
+        lastProbeAt: null
+      };
+    });
+    this.probeTimer = null;
+    this.firstProbe = null;
+    this.receiptSources = new Map(); // tx hash -> URL that served its receipt
+  }
+
+  // Healthy endpoints first, fastest and most reliable first
+  getRotation() {
+    const score = endpoint => (endpoint.latencyMs ?? config.rpcRequestTimeout) * (1 + 4 * endpoint.errorRate);
+    const usable = this.endpoints.filter(endpoint => !endpoint.wrongChain);
+    const healthy = usable.filter(endpoint => endpoint.healthy).sort((a, b) => score(a) - score(b));
+
+    // With nothing healthy, still try the rest rather than fail outright
+    return healthy.length > 0 ? healthy : usable.sort((a, b) => score(a) - score(b));
+  }
+
+  recordSuccess(endpoint, latencyMs) {
+    endpoint.requests++;
+    endpoint.latencyMs = ewma(endpoint.latencyMs, latencyMs);
+    endpoint.errorRate = ewma(endpoint.errorRate, 0);
+    endpoint.consecutiveErrors = 0;
+  }
+
+  recordFailure(endpoint, message) {
+    endpoint.requests++;
+    endpoint.errors++;
+    endpoint.errorRate = ewma(endpoint.errorRate, 1);
+    endpoint.consecutiveErrors++;
+    endpoint.lastError = message;
+
+    if (endpoint.healthy && (endpoint.errorRate > config.rpcMaxErrorRate || endpoint.consecutiveErrors >= 3)) {
+      this.markUnhealthy(endpoint, message);
+    }
+  }
+
+  markUnhealthy(endpoint, reason) {
+    endpoint.healthy = false;
+    logger.warn(`🔌 ${this.chainName} RPC taken out of rotation`, { url: endpoint.url, reason });
+  }
+
+  // Raw JSON-RPC send with failover, used by PooledProvider
+  async send(payload) {
+    // Wait for the first probe so wrong-chain endpoints are never used
+    await this.startProbing();
+
+    let lastError;
+    for (const endpoint of this.getRotation()) {
+      const startedAt = Date.now();
+      try {
+        const result = await endpoint.provider._send(payload);
+
+        if (result.some(isNodeError)) {
+          const message = result.find(isNodeError).error.message;
+          this.recordFailure(endpoint, message);
+          lastError = new Error(message);
+          continue;
+        }
+
+        this.recordSuccess(endpoint, Date.now() - startedAt);
+        this.rememberReceiptSource(payload, endpoint);
+        return result;
+      } catch (error) {
+        this.recordFailure(endpoint, error.message);
+        lastError = error;
+      }
+    }
+
+    throw lastError || new Error(`No ${this.chainName} RPC endpoints configured`);
+  }
+
+  rememberReceiptSource(payload, endpoint) {
+    for (const request of [].concat(payload)) {
+      if (request.method !== 'eth_getTransactionReceipt') {
+        continue;
+      }
+      this.receiptSources.delete(request.params[0].toLowerCase());
+      this.receiptSources.set(request.params[0].toLowerCase(), endpoint.url);
+      if (this.receiptSources.size > MAX_RECEIPT_SOURCES) {
+        this.receiptSources.delete(this.receiptSources.keys().next().value);
+      }
+    }
+  }
+
+  // URL of the endpoint that last served this transaction's receipt
+  getReceiptSource(txHash) {
+    return this.receiptSources.get(txHash.toLowerCase()) || null;
+  }
+
+  // Check chain ID, latency and block height of every endpoint
+  async probe() {
+    const results = await Promise.all(this.endpoints.map(async endpoint => {
+      const startedAt = Date.now();
+      try {
+        const [chainId, blockNumber] = await Promise.all([
+          endpoint.provider.send('eth_chainId', []),
+          endpoint.provider.send('eth_blockNumber', [])
+        ]);
+        endpoint.lastProbeAt = Date.now();
+
+        if (Number(chainId) !== Number(this.chainId)) {
+          if (!endpoint.wrongChain) {
+            logger.error(`❌ ${this.chainName} RPC is on chain ${Number(chainId)}, expected ${this.chainId}`, { url: endpoint.url });
+          }
+          endpoint.wrongChain = true;
+          endpoint.healthy = false;
+          return null;
+        }
+
+        endpoint.wrongChain = false;
+        endpoint.blockNumber = Number(blockNumber);
+        endpoint.latencyMs = ewma(endpoint.latencyMs, Date.now() - startedAt);
+        return endpoint;
+      } catch (error) {
+        endpoint.lastProbeAt = Date.now();
+        this.recordFailure(endpoint, error.message);
+        if (endpoint.healthy) {
+          this.markUnhealthy(endpoint, `probe failed: ${error.message}`);
+        }
+        return null;
+      }
+    }));
+
+    const answered = results.filter(Boolean);
+    const highestBlock = Math.max(0, ...answered.map(endpoint => endpoint.blockNumber));
+
+    for (const endpoint of answered) {
+      endpoint.blockLag = highestBlock - endpoint.blockNumber;
+
+      if (endpoint.blockLag > config.rpcMaxBlockLag) {
+        if (endpoint.healthy) {
+          this.markUnhealthy(endpoint, `${endpoint.blockLag} blocks behind`);
+        }
+      } else if (!endpoint.healthy) {
+        endpoint.healthy = true;
+        endpoint.errorRate = 0;
+        endpoint.consecutiveErrors = 0;
+        logger.info(`🔌 ${this.chainName} RPC back in rotation`, { url: endpoint.url });
+      }
+    }
+  }
+
+  startProbing() {
+    if (this.firstProbe) {
+      return this.firstProbe;
+    }
+
+    const runProbe = () => this.probe().catch(error => {
+      logger.error(`Error probing ${this.chainName} RPC endpoints`, { error: error.message });
+    });
+
+    this.firstProbe = runProbe();
+    this.probeTimer = setInterval(runProbe, config.rpcProbeInterval);
+    this.probeTimer.unref();
+    return this.firstProbe;
+  }
+
+  getStats() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url,
+      healthy: endpoint.healthy,
+      wrongChain: endpoint.wrongChain,
+      latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+      errorRate: Number(endpoint.errorRate.toFixed(3)),
+      requests: endpoint.requests,
+      errors: endpoint.errors,
+      blockNumber: endpoint.blockNumber,
+      blockLag: endpoint.blockLag,
+      lastError: endpoint.lastError
+    }));
+  }
+}
+
+// ethers provider that sends every request through an RpcPool
+export class PooledProvider extends ethers.JsonRpcProvider {
+  constructor(pool) {
+    super(pool.endpoints[0]?.url, pool.chainId, { staticNetwork: true, batchMaxCount: 1 });
+    this.pool = pool;
+  }
+
+  async _send(payload) {
+    return this.pool.send(payload);
+  }
+}
+
+const pools = {};
+const providers = {};
+
+export function getRpcPool(chain) {
+  if (!pools[chain]) {
+    pools[chain] = chain === 'BSC'
+      ? new RpcPool('BSC', config.bscRpcUrls, config.bscChainId)
+      : new RpcPool('UC', config.ucRpcUrls, config.ucChainId);
+  }
+  return pools[chain];
+}
+
+// Shared pooled provider per chain for the relayer, signers and API processors
+export function getPooledProvider(chain) {
+  if (!providers[chain]) {
+    providers[chain] = new PooledProvider(getRpcPool(chain));
+  }
+  return providers[chain];
+}
+
+export function getRpcPoolStats() {
+  return {
+    bsc: getRpcPool('BSC').getStats(),
+    uc: getRpcPool('UC').getStats()
+  };
+}
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from './config.js';
+import logger from './logger.js';
+import { sendAlert } from './alerts.js';
+
+const normalize = address => (typeof address === 'string' ? address.trim().toLowerCase() : '');
+
+// JSON: [{ address, list?, reason? }] or { name, reason, addresses: ["0x..." | { address, reason }] }
+function parseJsonList(content, defaultList) {
+  const data = JSON.parse(content);
+  if (!Array.isArray(data) && !Array.isArray(data?.addresses)) {
+    throw new Error('Expected an array of entries or an object with an addresses array');
+  }
+  if (Array.isArray(data)) {
+    return data.map(entry => (typeof entry === 'string' ? { address: entry } : entry))
+      .map(entry => ({ address: entry.address, list: entry.list || defaultList, reason: entry.reason || null }));
+  }
+
+  const list = data.name || defaultList;
+  return (data.addresses || [])
+    .map(entry => (typeof entry === 'string' ? { address: entry } : entry))
+    .map(entry => ({ address: entry.address, list, reason: entry.reason || data.reason || null }));
+}
+
+// CSV: address,list,reason - optional header row, '#' comments
+function parseCsvList(content, defaultList) {
+  return content.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(',').map(cell => cell.trim()))
+    .filter(([address]) => address.toLowerCase() !== 'address')
+    .map(([address, list, ...reason]) => ({ address, list: list || defaultList, reason: reason.join(', ') || null }));
+}
+
+/**
+ * Deny lists loaded from local JSON/CSV files (SCREENING_LISTS). A list that
+ * is missing or malformed on the first load stops the relayer from starting,
+ * so it never runs unscreened. Files are re-read when they change; a file
+ * that fails to parse then keeps its last good entries so a bad edit never
+ * silently empties the list.
+ */
+export class AddressScreener {
+  constructor(files) {
+    this.files = files.map(file => path.resolve(process.cwd(), file));
+    this.entriesByFile = new Map(); // file -> Map(address -> entry)
+    this.loadedAt = {};
+    this.watching = false;
+  }
+
+  loadFile(file) {
+    const defaultList = path.basename(file, path.extname(file));
+    try {
+      const content = fs.readFileSync(file, 'utf8');
+      const rows = path.extname(file).toLowerCase() === '.csv'
+        ? parseCsvList(content, defaultList)
+        : parseJsonList(content, defaultList);
+
+      const entries = new Map();
+      for (const row of rows) {
+        const address = normalize(row.address);
+        if (address) {
+          entries.set(address, { address, list: row.list, reason: row.reason, file: path.basename(file) });
+        }
+      }
+
+      this.entriesByFile.set(file, entries);
+      this.loadedAt[file] = new Date().toISOString();
+      logger.info(`🛡️ Screening list loaded: ${path.basename(file)}`, { entries: entries.size });
+    } catch (error) {
+      logger.error(`Error loading screening list ${file}`, { error: error.message });
+      if (!this.entriesByFile.has(file)) {
+        throw new Error(`Screening list ${file} could not be loaded (${error.message}); fix it or remove it from SCREENING_LISTS`);
+      }
+      sendAlert('SCREENING_LIST_ERROR', `Could not reload screening list ${path.basename(file)}`, {
+        file,
+        error: error.message,
+        keptEntries: this.entriesByFile.get(file).size
+      });
+    }
+  }
+
+  load() {
+    for (const file of this.files) {
+      this.loadFile(file);
+    }
+  }
+
+  // Reload a list whenever its file changes. Throws, and keeps screening
+  // unavailable, until every list has loaded once.
+  startWatching() {
+    if (this.watching) {
+      return;
+    }
+    this.load();
+    this.watching = true;
+
+    for (const file of this.files) {
+      fs.watchFile(file, { interval: config.screeningReloadInterval, persistent: false }, (current, previous) => {
+        if (current.mtimeMs !== previous.mtimeMs) {
+          this.loadFile(file);
+        }
+      });
+    }
+  }
+
+  /**
+   * Check addresses against every list.
+   * @param {Object} addresses - Role -> address, e.g. { sender, destination }
+   * @returns {Array} Matches: { role, address, list, reason, file }
+   * @throws When a configured list has never loaded; callers fail closed
+   */
+  screen(addresses) {
+    if (!this.watching) {
+      this.startWatching();
+    }
+
+    const matches = [];
+    for (const [role, address] of Object.entries(addresses)) {
+      const key = normalize(address);
+      if (!key) {
+        continue;
+      }
+      for (const entries of this.entriesByFile.values()) {
+        const entry = entries.get(key);
+        if (entry) {
+          matches.push({ role, ...entry, address });
+        }
+      }
+    }
+    return matches;
+  }
+
+  getStats() {
+    return this.files.map(file => ({
+      file: path.basename(file),
+      entries: this.entriesByFile.get(file)?.size || 0,
+      loadedAt: this.loadedAt[file] || null
+    }));
+  }
+}
+
+// Shared screener for the processors and the quote API
+export const addressScreener = new AddressScreener(config.screeningLists);
@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import logger from './logger.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { bridgeStatus } from './bridge-status.js';
+
+/**
+ * Relayer wallet for one chain with a locally tracked nonce.
+ * Submissions run one at a time, so two transfers can never be signed with
+ * the same nonce. After any failed submission the nonce is re-read from the
+ * node's pending count before the next one.
+ */
+export class NonceManagedSigner {
+  constructor(chainName, wallet) {
+    this.chainName = chainName;
+    this.wallet = wallet;
+    this.nonce = null; // null = read from the node on next submission
+    this.queue = Promise.resolve();
+    this.queueDepth = 0;
+    this.submitted = 0;
+    this.resyncs = 0;
+  }
+
+  get provider() {
+    return this.wallet.provider;
+  }
+
+  getAddress() {
+    return this.wallet.getAddress();
+  }
+
+  async resync() {
+    this.nonce = await this.provider.getTransactionCount(this.wallet.address, 'pending');
+    this.resyncs++;
+    logger.info(`🔢 ${this.chainName} nonce synced`, { nonce: this.nonce });
+    return this.nonce;
+  }
+
+  /**
+   * Queue a submission. `task` receives the nonce to use and must resolve once
+   * the transaction is broadcast (not mined), so the next one can follow.
+   */
+  submit(task) {
+    // Nothing is signed while either bridge is owned by another address
+    try {
+      bridgeStatus.assertCanSign();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    this.queueDepth++;
+
+    const run = async () => {
+      try {
+        if (this.nonce === null) {
+          await this.resync();
+        }
+
+        const nonce = this.nonce;
+        const result = await task(nonce);
+        this.nonce = nonce + 1;
+        this.submitted++;
+        return result;
+      } catch (error) {
+        // Whatever happened to this nonce, the node knows better
+        this.nonce = null;
+        logger.warn(`${this.chainName} submission failed, nonce will be resynced`, { error: error.message });
+        throw error;
+      } finally {
+        this.queueDepth--;
+      }
+    };
+
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Queue a same-nonce replacement of a transaction submitted earlier. It waits
+   * its turn like a submission but leaves the nonce alone.
+   */
+  replace(task) {
+    try {
+      bridgeStatus.assertCanSign();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const result = this.queue.then(() => task());
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  getStats() {
+    return {
+      address: this.wallet.address,
+      nonce: this.nonce,
+      queueDepth: this.queueDepth,
+      submitted: this.submitted,
+      resyncs: this.resyncs
+    };
+  }
+}
+
+const signers = {};
+
+// Single relayer signer per chain, shared by the monitor loops and the HTTP API
+export function getRelayerSigner(chain) {
+  if (!signers[chain]) {
+    const wallet = new ethers.Wallet(config.relayerPrivateKey, getPooledProvider(chain));
+    signers[chain] = new NonceManagedSigner(chain, wallet);
+  }
+  return signers[chain];
+}
+
+export function getSignerStats() {
+  return {
+    bsc: getRelayerSigner('BSC').getStats(),
+    uc: getRelayerSigner('UC').getStats()
+  };
+}
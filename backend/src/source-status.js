@@ -0,0 +1,183 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
+import logger from './logger.js';
+import { getRelayerSigner } from './signer.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { jobQueue } from './job-queue.js';
+import {
+  sendWithIntent,
+  waitForInFlight,
+  completeInFlight,
+  reconcileInFlight,
+  TransferCancelledError
+} from './inflight.js';
+
+// TransactionStatus enum of both bridge contracts
+export const TX_STATUS = {
+  PENDING: 0,
+  COMPLETED: 1,
+  FAILED: 2
+};
+
+export const TX_STATUS_NAMES = ['Pending', 'Completed', 'Failed'];
+
+const BRIDGES = {
+  BSC: { address: () => config.bscBridgeAddress, abi: BSC_BRIDGE_ABI },
+  UC: { address: () => config.ucBridgeAddress, abi: UC_BRIDGE_ABI }
+};
+
+// Chain a deposit/burn was made on
+export const getSourceChain = type => (type === 'deposit' ? 'BSC' : 'UC');
+export const getDestChain = type => (type === 'deposit' ? 'UC' : 'BSC');
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * ID of the bridge's `transactions` record for a deposit/burn. The record is
+ * created in the same transaction, keyed by its own hash (not the
+ * deposit/burn ID), and links back to it through `linkedId`.
+ * @param {Object} bridge - Bridge contract of the chain the receipt is from
+ * @param {string} bridgeAddress - Only logs emitted by this address are read
+ * @param {Object} receipt - Receipt of the deposit/burn transaction
+ * @param {string} sourceId - Deposit/burn ID
+ * @returns {Promise<string|null>} The transaction ID, or null if there is no record
+ */
+export async function findSourceTransactionId(bridge, bridgeAddress, receipt, sourceId) {
+  for (const log of receipt.logs) {
+    if (!sameAddress(log.address, bridgeAddress)) {
+      continue;
+    }
+
+    let parsed;
+    try {
+      parsed = bridge.interface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (parsed?.name !== 'TransactionStatusUpdated') {
+      continue;
+    }
+
+    const record = await bridge.getTransaction(parsed.args.transactionId);
+    if (record.linkedId === sourceId) {
+      return parsed.args.transactionId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Set the status of a bridge `transactions` record. Does nothing when the
+ * record already has that status, so it is safe to call again after a crash.
+ * The update goes through the same write-ahead record as a mint/unlock (key
+ * `status:<chain>:<transactionId>`), so it is refused while the circuit
+ * breaker is tripped, sped up when stuck and never waited on for longer than
+ * MAX_GAS_BUMPS x STUCK_TX_TIMEOUT; a job retry picks up a record left in flight.
+ * @param {Object} signer - Relayer signer of the record's chain (must own the bridge)
+ * @param {Object} bridge - Bridge contract connected to signer.wallet
+ * @returns {Promise<string|null>} Hash of the update, or null if there was nothing to do
+ */
+export async function setTransactionStatus(stateManager, signer, bridge, transactionId, status) {
+  const key = `status:${signer.chainName}:${transactionId}`;
+
+  const inFlight = await reconcileInFlight(stateManager, key, signer.provider, bridge);
+  if (inFlight.status === 'cancelled') {
+    throw new TransferCancelledError(`Status update was cancelled by an operator (cancel tx ${inFlight.destTxHash})`);
+  }
+  if (inFlight.status === 'completed') {
+    return inFlight.destTxHash;
+  }
+
+  if (inFlight.status !== 'pending') {
+    const record = await bridge.getTransaction(transactionId);
+    if (Number(record.status) === status) {
+      return null;
+    }
+
+    await sendWithIntent(stateManager, signer, key, {
+      type: 'status',
+      chain: signer.chainName,
+      transactionId,
+      recordStatus: status
+    }, bridge, 'updateTransactionStatus', [transactionId, status]);
+  }
+
+  const receipt = await waitForInFlight(stateManager, signer, key);
+  completeInFlight(stateManager, key, receipt.hash);
+
+  logger.info(`📝 ${signer.chainName} transaction record set to ${TX_STATUS_NAMES[status]}`, {
+    transactionId,
+    txHash: receipt.hash
+  });
+  return receipt.hash;
+}
+
+/**
+ * Queue status updates for the bridge records of a settled transfer. They run
+ * as a 'status' job, so a failed update is retried with backoff like any
+ * transfer. A transfer is settled once, so it gets one job.
+ * @param {string} transferId - Deposit/burn ID
+ * @param {Array} records - [{ chain, txHash, linkedId, status }]: the record
+ *   created by txHash on chain that links to linkedId gets status (TX_STATUS).
+ *   The first one is the transfer's own record on the source chain.
+ */
+export function queueStatusUpdate(transferId, records) {
+  const { job } = jobQueue.enqueue('status', transferId, {
+    transferId,
+    records: records.filter(record => record.txHash)
+  });
+  logger.info('🗂️ Bridge record status update queued', {
+    transferId,
+    records: job.payload.records.map(r => `${r.chain}:${TX_STATUS_NAMES[r.status]}`)
+  });
+  return job;
+}
+
+/**
+ * Job handler for queueStatusUpdate. Each record is looked up in the receipt
+ * of the transaction that created it and updated unless it already has the
+ * status. The result for the source record is kept as the transfer's sourceStatus.
+ */
+export async function runStatusUpdate(stateManager, { transferId, records }) {
+  const results = [];
+
+  for (const { chain, txHash, linkedId, status } of records) {
+    const signer = getRelayerSigner(chain);
+    const bridge = new ethers.Contract(BRIDGES[chain].address(), BRIDGES[chain].abi, signer.wallet);
+
+    const receipt = await getPooledProvider(chain).getTransactionReceipt(txHash);
+    if (!receipt) {
+      throw new Error(`${chain} receipt not found: ${txHash}`);
+    }
+
+    const transactionId = await findSourceTransactionId(bridge, BRIDGES[chain].address(), receipt, linkedId);
+    if (!transactionId) {
+      // Retrying cannot create the record
+      return {
+        success: false,
+        rejected: true,
+        reason: 'NO_TRANSACTION_RECORD',
+        error: `No bridge record in ${chain} tx ${txHash} links to ${linkedId}`,
+        records: results
+      };
+    }
+
+    let updateTxHash;
+    try {
+      updateTxHash = await setTransactionStatus(stateManager, signer, bridge, transactionId, status);
+    } catch (error) {
+      if (!(error instanceof TransferCancelledError)) {
+        throw error;
+      }
+      // An operator withdrew the update; retrying would send it again
+      return { success: false, cancelled: true, error: error.message, records: results };
+    }
+    results.push({ chain, transactionId, linkedId, status: TX_STATUS_NAMES[status], txHash: updateTxHash, updatedAt: Date.now() });
+  }
+
+  if (results.length > 0) {
+    stateManager.updateTransfer(transferId, { sourceStatus: results[0] });
+  }
+  return { success: true, transferId, records: results };
+}
@@ -11,26 +11,32 @@ export class StateManager {
       lastBscBlock: this.state.lastBscBlock,
       lastUcBlock: this.state.lastUcBlock,
       processedDeposits: this.state.processedDeposits.length,
-      processedBurns: this.state.processedBurns.length
+      processedBurns: this.state.processedBurns.length,
+      inFlight: Object.keys(this.state.inFlight || {}).length
     });
   }
 
+  // An unreadable file is never replaced by an empty state: it holds the
+  // write-ahead records of signed mints/unlocks, so the relayer refuses to
+  // start until an operator fixes or moves it
   loadState() {
-    try {
-      if (fs.existsSync(STATE_FILE)) {
-        const data = fs.readFileSync(STATE_FILE, 'utf8');
-        const state = JSON.parse(data);
-        logger.info('Loaded state from file', {
-          lastSaved: state.lastSaved,
-          deposits: state.processedDeposits.length,
-          burns: state.processedBurns.length
-        });
-        return state;
+    if (fs.existsSync(STATE_FILE)) {
+      let state;
+      try {
+        state = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      } catch (error) {
+        logger.error('Error loading state file', { file: STATE_FILE, error: error.message });
+        throw new Error(`State file ${STATE_FILE} is unreadable (${error.message}); fix or move it before starting`);
       }
-    } catch (error) {
-      logger.error('Error loading state file', { error: error.message });
+
+      logger.info('Loaded state from file', {
+        lastSaved: state.lastSaved,
+        deposits: state.processedDeposits.length,
+        burns: state.processedBurns.length
+      });
+      return state;
     }
-    
+
     logger.info('Creating new state file');
     return {
       lastBscBlock: null,
@@ -38,20 +44,46 @@ export class StateManager {
       processedDeposits: [],
       processedBurns: [],
       transactionHashes: {}, // Map of depositId/burnId -> { sourceTxHash, destTxHash }
+      inFlight: {}, // Map of depositId/burnId -> signed mint/unlock not yet confirmed
+      holds: {}, // Map of depositId/burnId -> transfer held back from signing
+      volume: [], // Recent transfers counted against velocity limits
       lastSaved: null,
       startedAt: new Date().toISOString()
     };
   }
 
+  // Write a temp file and rename it over the state, so a crash mid-write
+  // leaves the previous file intact. Throws when the write fails.
+  writeState() {
+    const tmpFile = `${STATE_FILE}.tmp`;
+    this.state.lastSaved = new Date().toISOString();
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, STATE_FILE);
+  }
+
   saveState() {
     try {
-      this.state.lastSaved = new Date().toISOString();
-      fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
+      this.writeState();
     } catch (error) {
       logger.error('Error saving state file', { error: error.message });
     }
   }
 
+  // Change the in-flight records and write them out. They guard against
+  // sending a mint/unlock twice, so a failed write undoes the change and
+  // throws instead of carrying on with a record that only exists in memory.
+  saveInFlight(change) {
+    const previous = structuredClone(this.state.inFlight || {});
+    change(this.state.inFlight || (this.state.inFlight = {}));
+    try {
+      this.writeState();
+    } catch (error) {
+      this.state.inFlight = previous;
+      logger.error('Error saving in-flight record', { error: error.message });
+      throw new Error(`Could not save the in-flight record: ${error.message}`);
+    }
+  }
+
   setLastBscBlock(block) {
     this.state.lastBscBlock = block;
     this.saveState();
@@ -163,6 +195,15 @@ export class StateManager {
     }
   }
 
+  // Merge extra details into a transfer record
+  updateTransfer(id, changes) {
+    const idStr = id.toString();
+    if (this.state.transactionHashes?.[idStr]) {
+      Object.assign(this.state.transactionHashes[idStr], changes);
+      this.saveState();
+    }
+  }
+
   // Get transaction hashes by ID
   getTransactionHashes(id) {
     const idStr = id.toString();
@@ -176,4 +217,114 @@ export class StateManager {
   getAllTransactionHashes() {
     return this.state.transactionHashes || {};
   }
+
+  // Write-ahead record of a mint/unlock, saved before it is broadcast.
+  // Throws if it could not be saved, so nothing is broadcast without it.
+  setInFlight(id, record) {
+    const idStr = id.toString();
+    this.saveInFlight(inFlight => {
+      inFlight[idStr] = {
+        ...record,
+        updatedAt: Date.now()
+      };
+    });
+    logger.debug('Stored in-flight record', { id: idStr, destTxHash: record.destTxHash });
+  }
+
+  updateInFlight(id, changes) {
+    const idStr = id.toString();
+    if (this.state.inFlight?.[idStr]) {
+      this.saveInFlight(inFlight => {
+        Object.assign(inFlight[idStr], changes, { updatedAt: Date.now() });
+      });
+    }
+  }
+
+  clearInFlight(id) {
+    const idStr = id.toString();
+    if (this.state.inFlight?.[idStr]) {
+      delete this.state.inFlight[idStr];
+      this.saveState();
+      logger.debug('Cleared in-flight record', { id: idStr });
+    }
+  }
+
+  getInFlight(id) {
+    return this.state.inFlight?.[id.toString()] || null;
+  }
+
+  getAllInFlight() {
+    return this.state.inFlight || {};
+  }
+
+  // Transfer held back from signing (velocity limit, review, ...)
+  setHold(id, record) {
+    const idStr = id.toString();
+    if (!this.state.holds) {
+      this.state.holds = {};
+    }
+    this.state.holds[idStr] = {
+      ...record,
+      updatedAt: Date.now()
+    };
+    this.saveState();
+  }
+
+  updateHold(id, changes) {
+    const idStr = id.toString();
+    if (this.state.holds?.[idStr]) {
+      Object.assign(this.state.holds[idStr], changes, { updatedAt: Date.now() });
+      this.saveState();
+    }
+  }
+
+  getHold(id) {
+    return this.state.holds?.[id.toString()] || null;
+  }
+
+  getAllHolds() {
+    return this.state.holds || {};
+  }
+
+  // Record a transfer against the velocity limits, once per ID
+  addVolume(record, maxAge) {
+    if (!this.state.volume) {
+      this.state.volume = [];
+    }
+    const cutoff = Date.now() - maxAge;
+    this.state.volume = this.state.volume.filter(entry => entry.timestamp >= cutoff && entry.id !== record.id);
+    this.state.volume.push(record);
+    this.saveState();
+  }
+
+  getVolume() {
+    return this.state.volume || [];
+  }
+
+  // Circuit breaker record while tripped, null when closed
+  setCircuitBreaker(record) {
+    this.state.circuitBreaker = record;
+    this.saveState();
+  }
+
+  getCircuitBreaker() {
+    return this.state.circuitBreaker || null;
+  }
+
+  // Last block scanned for bridge admin events (ownership, pause)
+  setLastBridgeEventBlock(chain, block) {
+    if (!this.state.lastBridgeEventBlock) {
+      this.state.lastBridgeEventBlock = {};
+    }
+    this.state.lastBridgeEventBlock[chain] = block;
+    this.saveState();
+  }
+
+  getLastBridgeEventBlock(chain) {
+    return this.state.lastBridgeEventBlock?.[chain] ?? null;
+  }
 }
+
+// Shared instance so the relayer loops and API processors never overwrite
+// each other's view of the state file
+export const stateManager = new StateManager();
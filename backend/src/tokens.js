@@ -0,0 +1,112 @@
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import logger from './logger.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI, USDT_ABI } from './abis.js';
+import { getPooledProvider } from './rpc-pool.js';
+
+/**
+ * USDT on each chain, with decimals read from the token contract itself.
+ * Every amount the relayer logs, converts or returns goes through here so
+ * the two chains can never be formatted with the wrong precision.
+ */
+export class TokenRegistry {
+  constructor() {
+    this.tokens = {};
+    this.loading = null;
+  }
+
+  // Load once; concurrent callers share the same promise
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadTokens().catch(error => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async loadTokens() {
+    const bscProvider = getPooledProvider('BSC');
+    const ucProvider = getPooledProvider('UC');
+    const bscBridge = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, bscProvider);
+    const ucBridge = new ethers.Contract(config.ucBridgeAddress, UC_BRIDGE_ABI, ucProvider);
+
+    // The bridges say which token they move; config is only a cross-check
+    const [bscToken, ucToken] = await Promise.all([bscBridge.usdtToken(), ucBridge.getUSDTAddress()]);
+    this.warnOnMismatch('BSC', bscToken, config.bscUsdtAddress);
+    this.warnOnMismatch('UC', ucToken, config.ucUsdtAddress);
+
+    const [bscDecimals, ucDecimals] = await Promise.all([
+      new ethers.Contract(bscToken, USDT_ABI, bscProvider).decimals(),
+      new ethers.Contract(ucToken, USDT_ABI, ucProvider).decimals()
+    ]);
+
+    this.tokens = {
+      BSC: { chain: 'BSC', chainId: config.bscChainId, address: bscToken, bridge: config.bscBridgeAddress, decimals: Number(bscDecimals) },
+      UC: { chain: 'UC', chainId: config.ucChainId, address: ucToken, bridge: config.ucBridgeAddress, decimals: Number(ucDecimals) }
+    };
+
+    logger.info('🪙 Token registry loaded', {
+      bscDecimals: this.tokens.BSC.decimals,
+      ucDecimals: this.tokens.UC.decimals
+    });
+    return this.tokens;
+  }
+
+  warnOnMismatch(chain, bridgeToken, configuredToken) {
+    if (configuredToken && bridgeToken.toLowerCase() !== configuredToken.toLowerCase()) {
+      logger.warn(`${chain} bridge token differs from configured USDT address, using the bridge's`, {
+        bridgeToken,
+        configuredToken
+      });
+    }
+  }
+
+  get(chain) {
+    const token = this.tokens[chain];
+    if (!token) {
+      throw new Error(`Token registry not loaded for ${chain}`);
+    }
+    return token;
+  }
+
+  getDecimals(chain) {
+    return this.get(chain).decimals;
+  }
+
+  // Raw amount -> human readable string
+  format(chain, amount) {
+    return ethers.formatUnits(amount, this.getDecimals(chain));
+  }
+
+  // Human readable string -> raw amount
+  parse(chain, value) {
+    return ethers.parseUnits(value.toString(), this.getDecimals(chain));
+  }
+
+  /**
+   * Convert a raw amount between the chains' decimals using integer math.
+   * When the destination has fewer decimals, the part that cannot be
+   * represented is returned as `remainder` (in source units).
+   * @returns {{ amount: bigint, remainder: bigint }}
+   */
+  convert(amount, fromChain, toChain) {
+    const from = this.getDecimals(fromChain);
+    const to = this.getDecimals(toChain);
+
+    if (to >= from) {
+      return { amount: amount * 10n ** BigInt(to - from), remainder: 0n };
+    }
+
+    const factor = 10n ** BigInt(from - to);
+    return { amount: amount / factor, remainder: amount % factor };
+  }
+
+  toJSON() {
+    return this.tokens;
+  }
+}
+
+// Shared registry for the relayer, the API processors and the HTTP API
+export const tokenRegistry = new TokenRegistry();
@@ -0,0 +1,133 @@
+import { config } from './config.js';
+import { tokenRegistry } from './tokens.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Global caps per direction (USDT)
+const DIRECTION_CAPS = {
+  'bsc-to-uc': {
+    sourceChain: 'BSC',
+    hourly: config.velocityHourlyCapBscToUc,
+    daily: config.velocityDailyCapBscToUc
+  },
+  'uc-to-bsc': {
+    sourceChain: 'UC',
+    hourly: config.velocityHourlyCapUcToBsc,
+    daily: config.velocityDailyCapUcToBsc
+  }
+};
+
+// Volume is only needed for as long as the longest window
+const maxWindow = () => Math.max(DAY, config.velocityAddressWindow);
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Sum of recorded gross amounts (source units) matching a filter since `since`
+function sumVolume(stateManager, since, filter) {
+  return stateManager.getVolume()
+    .filter(entry => entry.timestamp >= since && filter(entry))
+    .reduce((total, entry) => total + BigInt(entry.amount), 0n);
+}
+
+// A refund pays out on its own source chain, so its amount is converted to
+// the units the rest of the direction's volume is kept in
+function directionAmount(transfer) {
+  const { sourceChain } = DIRECTION_CAPS[transfer.direction];
+  if (transfer.sourceChain === sourceChain) {
+    return transfer.amount;
+  }
+  return tokenRegistry.convert(transfer.amount, transfer.sourceChain, sourceChain).amount;
+}
+
+/**
+ * Check a transfer against every configured velocity limit. Amounts are
+ * compared in the units of the direction's source chain, per direction.
+ * @param {Object} transfer - { id, direction, sourceChain, sender, recipient, amount }
+ * @returns {Array} Limits the transfer would exceed (empty when within all of them)
+ */
+export function checkVelocity(stateManager, transfer) {
+  const { id, direction, sender, recipient } = transfer;
+  const caps = DIRECTION_CAPS[direction];
+  const amount = directionAmount(transfer);
+  const now = Date.now();
+  const parse = value => tokenRegistry.parse(caps.sourceChain, value);
+  const format = value => tokenRegistry.format(caps.sourceChain, value);
+  const others = entry => entry.id !== id && entry.direction === direction;
+  const violations = [];
+
+  const check = (limit, cap, used, windowMs) => {
+    if (cap && used + amount > parse(cap)) {
+      violations.push({ limit, cap, used: format(used), amount: format(amount), windowMs });
+    }
+  };
+
+  check('max_transfer', config.velocityMaxTransfer, 0n, null);
+
+  const addressSince = now - config.velocityAddressWindow;
+  check('sender_cap', config.velocitySenderCap,
+    sumVolume(stateManager, addressSince, entry => others(entry) && sameAddress(entry.sender, sender)),
+    config.velocityAddressWindow);
+  check('destination_cap', config.velocityDestinationCap,
+    sumVolume(stateManager, addressSince, entry => others(entry) && sameAddress(entry.recipient, recipient)),
+    config.velocityAddressWindow);
+
+  check('hourly_cap', caps.hourly, sumVolume(stateManager, now - HOUR, others), HOUR);
+  check('daily_cap', caps.daily, sumVolume(stateManager, now - DAY, others), DAY);
+
+  return violations;
+}
+
+// Count a transfer that is about to be signed
+export function recordVolume(stateManager, transfer) {
+  stateManager.addVolume({
+    id: transfer.id,
+    direction: transfer.direction,
+    sender: transfer.sender,
+    recipient: transfer.recipient,
+    amount: directionAmount(transfer).toString(),
+    timestamp: Date.now()
+  }, maxWindow());
+}
+
+/**
+ * Current usage of every limit, for the API. With an address, also that
+ * address's usage as sender and as destination.
+ */
+export function getVelocityUsage(stateManager, address = null) {
+  const now = Date.now();
+  const addressSince = now - config.velocityAddressWindow;
+
+  const directions = Object.fromEntries(Object.entries(DIRECTION_CAPS).map(([direction, caps]) => {
+    const format = value => tokenRegistry.format(caps.sourceChain, value);
+    const inDirection = entry => entry.direction === direction;
+    const usage = {
+      hourly: { used: format(sumVolume(stateManager, now - HOUR, inDirection)), cap: caps.hourly },
+      daily: { used: format(sumVolume(stateManager, now - DAY, inDirection)), cap: caps.daily }
+    };
+
+    if (address) {
+      usage.sender = {
+        used: format(sumVolume(stateManager, addressSince, entry => inDirection(entry) && sameAddress(entry.sender, address))),
+        cap: config.velocitySenderCap
+      };
+      usage.destination = {
+        used: format(sumVolume(stateManager, addressSince, entry => inDirection(entry) && sameAddress(entry.recipient, address))),
+        cap: config.velocityDestinationCap
+      };
+    }
+
+    return [direction, usage];
+  }));
+
+  return {
+    limits: {
+      maxTransfer: config.velocityMaxTransfer,
+      senderCap: config.velocitySenderCap,
+      destinationCap: config.velocityDestinationCap,
+      addressWindowMs: config.velocityAddressWindow
+    },
+    address,
+    directions
+  };
+}
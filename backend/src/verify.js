@@ -0,0 +1,115 @@
+import { ethers } from 'ethers';
+import logger from './logger.js';
+
+// Reasons returned to API callers when a source transaction is refused.
+// Rejections are final: retrying the same transaction cannot succeed.
+export const REJECTION_REASONS = {
+  WRONG_CHAIN: 'WRONG_CHAIN',
+  SOURCE_TX_REVERTED: 'SOURCE_TX_REVERTED',
+  UNEXPECTED_TX_TARGET: 'UNEXPECTED_TX_TARGET',
+  FOREIGN_EVENT_EMITTER: 'FOREIGN_EVENT_EMITTER',
+  EVENT_NOT_FOUND: 'EVENT_NOT_FOUND'
+};
+
+export class RejectionError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'RejectionError';
+    this.reason = reason;
+  }
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+// Make sure the provider we read the source receipt from is the chain we expect
+export async function verifyChainId(provider, expectedChainId, chainName) {
+  // Ask the node itself; pooled providers report a static network
+  const chainId = Number(await provider.send('eth_chainId', []));
+  if (chainId !== Number(expectedChainId)) {
+    throw new RejectionError(
+      REJECTION_REASONS.WRONG_CHAIN,
+      `${chainName} provider reports chain ID ${chainId}, expected ${expectedChainId}`
+    );
+  }
+}
+
+/**
+ * Check a source receipt and return the bridge events it contains.
+ * Only logs emitted by the configured bridge address are decoded, so a
+ * contract emitting a look-alike Deposit/Burn event is never trusted.
+ * @param {Object} receipt - Source chain transaction receipt
+ * @param {Object} options - { bridge, bridgeAddress, allowedTargets, eventName, chainName }
+ * @returns {Array} Parsed bridge events (at least one)
+ */
+export function verifySourceReceipt(receipt, { bridge, bridgeAddress, allowedTargets = [], eventName, chainName }) {
+  if (receipt.status !== 1) {
+    throw new RejectionError(REJECTION_REASONS.SOURCE_TX_REVERTED, `Transaction failed on ${chainName}`);
+  }
+
+  // The transaction must call the bridge itself (or an explicitly allowed forwarder)
+  const targets = [bridgeAddress, ...allowedTargets];
+  if (!targets.some(target => sameAddress(receipt.to, target))) {
+    throw new RejectionError(
+      REJECTION_REASONS.UNEXPECTED_TX_TARGET,
+      `Transaction was sent to ${receipt.to}, not to the ${chainName} bridge`
+    );
+  }
+
+  const events = [];
+  let foreignEvents = 0;
+
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = bridge.interface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || parsed.name !== eventName) {
+      continue;
+    }
+
+    if (!sameAddress(log.address, bridgeAddress)) {
+      foreignEvents++;
+      logger.warn(`⚠️ Ignoring ${eventName} event from unexpected emitter`, {
+        txHash: receipt.hash,
+        emitter: log.address,
+        expected: bridgeAddress
+      });
+      continue;
+    }
+
+    events.push(parsed);
+  }
+
+  if (events.length === 0 && foreignEvents > 0) {
+    throw new RejectionError(
+      REJECTION_REASONS.FOREIGN_EVENT_EMITTER,
+      `${eventName} event was not emitted by the ${chainName} bridge`
+    );
+  }
+
+  if (events.length === 0) {
+    throw new RejectionError(REJECTION_REASONS.EVENT_NOT_FOUND, `${eventName} event not found in transaction`);
+  }
+
+  return events;
+}
+
+/**
+ * Checksummed form of the free-form destinationAddress string from a
+ * Deposit/Burn event, or null when nothing can be delivered to it: not a
+ * 20-byte hex address, a mixed-case address with a bad checksum, or the zero
+ * address.
+ */
+export function normalizeDestination(destination) {
+  if (typeof destination !== 'string') {
+    return null;
+  }
+  try {
+    const address = ethers.getAddress(destination.trim());
+    return address === ethers.ZeroAddress ? null : address;
+  } catch {
+    return null;
+  }
+}
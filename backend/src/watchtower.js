@@ -0,0 +1,420 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { config } from './config.js';
+import { BSC_BRIDGE_ABI, UC_BRIDGE_ABI } from './abis.js';
+import logger from './logger.js';
+import { getPooledProvider } from './rpc-pool.js';
+import { tokenRegistry } from './tokens.js';
+import { calculateFee } from './fees.js';
+import { normalizeDestination } from './verify.js';
+import { getRefundId } from './refunds.js';
+import { getFinalizedBlockNumber } from './finality.js';
+import { AdaptiveBlockRange, isRangeTooLargeError } from './block-range.js';
+import { getFees } from './gas.js';
+import { sendAlert } from './alerts.js';
+
+const WATCHTOWER_STATE_FILE = path.join(process.cwd(), 'watchtower-state.json');
+
+// Source events (deposits/burns) and payout events (mints/unlocks) per chain.
+// A payout's source is normally on the other chain; a refund's is on its own.
+const CHAINS = {
+  BSC: {
+    abi: BSC_BRIDGE_ABI,
+    bridgeAddress: () => config.bscBridgeAddress,
+    finality: () => config.bscFinality,
+    source: { event: 'Deposit', type: 'deposit', idField: 'depositId' },
+    payout: { event: 'Withdrawal', sourceType: 'burn', refundType: 'deposit', sourceIdField: 'burnId', direction: 'uc-to-bsc' }
+  },
+  UC: {
+    abi: UC_BRIDGE_ABI,
+    bridgeAddress: () => config.ucBridgeAddress,
+    finality: () => config.ucFinality,
+    source: { event: 'Burn', type: 'burn', idField: 'burnId' },
+    payout: { event: 'Mint', sourceType: 'deposit', refundType: 'burn', sourceIdField: 'depositId', direction: 'bsc-to-uc' }
+  }
+};
+
+const ALERT_TYPES = { BSC: 'UNBACKED_UNLOCK', UC: 'UNBACKED_MINT' };
+
+// Oldest findings are dropped beyond this
+const MAX_FINDINGS = 1000;
+
+const otherChain = chain => (chain === 'BSC' ? 'UC' : 'BSC');
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Independent verifier, run as its own process with `--watchtower`. It never
+ * uses the relayer key or state: it indexes finalized Deposit/Burn events
+ * itself and checks every Mint on UC and Withdrawal (unlock) on BSC against
+ * them. A payout without a matching source, to the wrong recipient, for more
+ * than the source amount or paid twice raises a critical alert; an amount
+ * that only disagrees with the fee policy raises a warning. With
+ * WATCHTOWER_PAUSE it also pauses the bridge that made a critical payout,
+ * using WATCHTOWER_PRIVATE_KEY; pause() is owner-only, so that key must own
+ * the bridge.
+ */
+export class Watchtower {
+  constructor() {
+    this.state = this.loadState();
+    this.isRunning = false;
+    this.chains = {};
+    this.pausedBridges = {};
+  }
+
+  loadState() {
+    const initial = {
+      lastBlock: { BSC: null, UC: null }, // Highest finalized block scanned
+      scannedAt: { BSC: 0, UC: 0 }, // Timestamp (s) of that block
+      checkFrom: { BSC: null, UC: null }, // Payouts before this were there before the watchtower
+      startedAt: { BSC: 0, UC: 0 }, // Timestamp (s) of the block scanning started at
+      sources: {}, // depositId/burnId -> source event
+      refunds: {}, // refund ID -> depositId/burnId it refunds
+      payouts: {}, // depositId/burnId/refund ID -> payouts seen for it
+      deferred: [], // Payouts waiting for the other chain's scan to catch up
+      findings: []
+    };
+
+    if (!fs.existsSync(WATCHTOWER_STATE_FILE)) {
+      return initial;
+    }
+
+    // Starting over would forget every indexed source and report their payouts
+    try {
+      return { ...initial, ...JSON.parse(fs.readFileSync(WATCHTOWER_STATE_FILE, 'utf8')) };
+    } catch (error) {
+      logger.error('Error loading watchtower state file', { error: error.message });
+      throw new Error(`Watchtower state file ${WATCHTOWER_STATE_FILE} is unreadable (${error.message}); fix or move it before starting`);
+    }
+  }
+
+  // Written to a temp file and renamed, so a crash mid-write keeps the previous file
+  saveState() {
+    try {
+      this.state.lastSaved = new Date().toISOString();
+      const tmpFile = `${WATCHTOWER_STATE_FILE}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+      fs.renameSync(tmpFile, WATCHTOWER_STATE_FILE);
+    } catch (error) {
+      logger.error('Error saving watchtower state file', { error: error.message });
+    }
+  }
+
+  async initialize() {
+    await tokenRegistry.load();
+    const pauser = config.watchtowerPause ? new ethers.Wallet(config.watchtowerPrivateKey) : null;
+
+    for (const [name, chain] of Object.entries(CHAINS)) {
+      const provider = getPooledProvider(name);
+      this.chains[name] = {
+        ...chain,
+        name,
+        provider,
+        bridge: new ethers.Contract(chain.bridgeAddress(), chain.abi, provider),
+        pauser: pauser ? new ethers.Contract(chain.bridgeAddress(), chain.abi, pauser.connect(provider)) : null,
+        range: new AdaptiveBlockRange(`Watchtower ${name}`, {
+          max: config.maxBlocksPerQuery,
+          min: config.minBlocksPerQuery,
+          growAfter: config.blockRangeGrowAfter
+        })
+      };
+
+      // First start: index sources and check payouts from the finalized head on
+      if (this.state.lastBlock[name] === null) {
+        const finalized = await getFinalizedBlockNumber(provider, chain.finality());
+        const block = await provider.getBlock(finalized);
+        this.state.lastBlock[name] = finalized;
+        this.state.checkFrom[name] = finalized + 1;
+        this.state.scannedAt[name] = block.timestamp;
+        this.state.startedAt[name] = block.timestamp;
+      }
+
+      if (pauser) {
+        const owner = await this.chains[name].bridge.owner();
+        if (!sameAddress(owner, pauser.address)) {
+          logger.warn(`WATCHTOWER_PRIVATE_KEY does not own the ${name} bridge; its pause() would revert`, { owner, pauser: pauser.address });
+        }
+      }
+    }
+    this.saveState();
+
+    logger.info('🔭 Watchtower initialized', {
+      lastBlock: this.state.lastBlock,
+      checkFrom: this.state.checkFrom,
+      sources: Object.keys(this.state.sources).length,
+      pauseEnabled: config.watchtowerPause,
+      pauser: pauser?.address || null
+    });
+  }
+
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+
+    while (this.isRunning) {
+      for (const name of Object.keys(this.chains)) {
+        try {
+          await this.scanChain(this.chains[name]);
+        } catch (error) {
+          logger.error(`Error scanning ${name} in watchtower`, { error: error.message });
+        }
+      }
+      await this.checkDeferred();
+      this.prune();
+      this.saveState();
+      await sleep(config.watchtowerPollInterval);
+    }
+  }
+
+  stop() {
+    this.isRunning = false;
+  }
+
+  // Scan up to the chain's finalized block: sources first, so a refund's
+  // source in the same range is indexed before the refund is checked
+  async scanChain(chain) {
+    const finalized = await getFinalizedBlockNumber(chain.provider, chain.finality());
+
+    while (this.isRunning && this.state.lastBlock[chain.name] < finalized) {
+      const { fromBlock, toBlock } = chain.range.next(this.state.lastBlock[chain.name], finalized);
+
+      let sourceEvents;
+      let payoutEvents;
+      try {
+        sourceEvents = await chain.bridge.queryFilter(chain.bridge.filters[chain.source.event](), fromBlock, toBlock);
+        payoutEvents = await chain.bridge.queryFilter(chain.bridge.filters[chain.payout.event](), fromBlock, toBlock);
+      } catch (error) {
+        if (isRangeTooLargeError(error)) {
+          chain.range.shrink();
+          await sleep(config.catchUpPollInterval);
+          continue;
+        }
+        throw error;
+      }
+      chain.range.recordSuccess();
+
+      for (const event of sourceEvents) {
+        this.indexSource(chain, event);
+      }
+      for (const event of payoutEvents) {
+        const block = await event.getBlock();
+        await this.checkPayout({
+          chain: chain.name,
+          event: chain.payout.event,
+          txHash: event.transactionHash,
+          logIndex: event.index,
+          blockNumber: event.blockNumber,
+          timestamp: block.timestamp,
+          user: event.args.user,
+          amountRaw: event.args.amount.toString(),
+          sourceId: event.args[chain.payout.sourceIdField]
+        });
+      }
+
+      const block = await chain.provider.getBlock(toBlock);
+      this.state.lastBlock[chain.name] = toBlock;
+      this.state.scannedAt[chain.name] = block.timestamp;
+    }
+  }
+
+  indexSource(chain, event) {
+    const { type, idField } = chain.source;
+    const id = event.args[idField];
+    this.state.sources[id] = {
+      type,
+      chain: chain.name,
+      user: event.args.user,
+      amountRaw: event.args.amount.toString(),
+      destinationAddress: event.args.destinationAddress,
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber
+    };
+    this.state.refunds[getRefundId(type, id)] = id;
+  }
+
+  // Check a payout once the chain its source would be on has been scanned
+  // past it; until then it waits in `deferred`
+  async checkPayout(payout) {
+    const isSame = other => other.txHash === payout.txHash && other.logIndex === payout.logIndex;
+    const seen = this.state.payouts[payout.sourceId] || [];
+    if (seen.some(isSame) || this.state.deferred.some(isSame)) {
+      return;
+    }
+
+    if (payout.blockNumber < this.state.checkFrom[payout.chain]) {
+      this.recordPayout(payout);
+      return;
+    }
+
+    const known = this.state.sources[payout.sourceId] || this.state.refunds[payout.sourceId];
+    if (!known && this.state.scannedAt[otherChain(payout.chain)] < payout.timestamp) {
+      this.state.deferred.push(payout);
+      return;
+    }
+
+    const finding = this.verifyPayout(payout, seen);
+    this.recordPayout(payout);
+    if (finding) {
+      await this.report(payout, finding);
+    } else {
+      logger.info(`✅ ${payout.chain} ${payout.event} matches its source`, { txHash: payout.txHash, sourceId: payout.sourceId });
+    }
+  }
+
+  async checkDeferred() {
+    const deferred = this.state.deferred;
+    this.state.deferred = [];
+    for (const payout of deferred) {
+      await this.checkPayout(payout);
+    }
+  }
+
+  recordPayout(payout) {
+    this.state.payouts[payout.sourceId] = [...(this.state.payouts[payout.sourceId] || []), payout];
+  }
+
+  /**
+   * What is wrong with a payout, if anything.
+   * @returns {Object|null} { code, severity ('critical'|'warning'), message }
+   */
+  verifyPayout(payout, seen) {
+    const { payout: rules } = CHAINS[payout.chain];
+    const amount = BigInt(payout.amountRaw);
+
+    if (seen.length > 0) {
+      return { code: 'DUPLICATE_PAYOUT', severity: 'critical', message: `Source ${payout.sourceId} was already paid out in ${seen[0].txHash}` };
+    }
+
+    // Refund: the full amount back to the sender on the source chain
+    const refundedId = this.state.refunds[payout.sourceId];
+    if (refundedId) {
+      const source = this.state.sources[refundedId];
+      if (source.type !== rules.refundType || !sameAddress(payout.user, source.user) || amount !== BigInt(source.amountRaw)) {
+        return { code: 'REFUND_MISMATCH', severity: 'critical', message: `Refund does not return ${source.type} ${refundedId} to its sender` };
+      }
+      return null;
+    }
+
+    const source = this.state.sources[payout.sourceId];
+    if (!source && payout.timestamp - this.state.startedAt[otherChain(payout.chain)] < config.watchtowerGracePeriod / 1000) {
+      // Soon after the first start the source may simply predate the scan
+      return { code: 'UNVERIFIED_SOURCE', severity: 'warning', message: `No ${rules.sourceType} ${payout.sourceId} indexed; it may predate the watchtower` };
+    }
+    if (!source || source.type !== rules.sourceType) {
+      return { code: 'NO_SOURCE', severity: 'critical', message: `No finalized ${rules.sourceType} ${payout.sourceId}` };
+    }
+
+    const recipient = normalizeDestination(source.destinationAddress);
+    if (!recipient || !sameAddress(payout.user, recipient)) {
+      return { code: 'WRONG_RECIPIENT', severity: 'critical', message: `Paid to ${payout.user}, ${source.type} was for ${source.destinationAddress}` };
+    }
+
+    const gross = BigInt(source.amountRaw);
+    const maxAmount = tokenRegistry.convert(gross, source.chain, payout.chain).amount;
+    if (amount > maxAmount) {
+      return { code: 'AMOUNT_EXCEEDS_SOURCE', severity: 'critical', message: `Paid ${tokenRegistry.format(payout.chain, amount)}, source was ${tokenRegistry.format(source.chain, gross)}` };
+    }
+
+    const { netAmount } = calculateFee(rules.direction, gross);
+    if (amount !== netAmount) {
+      return { code: 'FEE_MISMATCH', severity: 'warning', message: `Paid ${tokenRegistry.format(payout.chain, amount)}, fee policy gives ${tokenRegistry.format(payout.chain, netAmount)}` };
+    }
+    return null;
+  }
+
+  async report(payout, finding) {
+    const record = {
+      ...finding,
+      ...payout,
+      amount: tokenRegistry.format(payout.chain, BigInt(payout.amountRaw)),
+      detectedAt: new Date().toISOString(),
+      paused: false
+    };
+
+    const type = finding.severity === 'critical' ? ALERT_TYPES[payout.chain] : `PAYOUT_${finding.code}`;
+    await sendAlert(type, `${payout.chain} ${payout.event} ${payout.txHash}: ${finding.message}`, record);
+
+    if (finding.severity === 'critical' && config.watchtowerPause) {
+      record.paused = await this.pauseBridge(payout.chain, record);
+    }
+
+    this.state.findings = [...this.state.findings, record].slice(-MAX_FINDINGS);
+    this.saveState();
+  }
+
+  // pause() the bridge that made an invalid payout, unless it already is.
+  // The wait is bounded by STUCK_TX_TIMEOUT so scanning goes on either way.
+  async pauseBridge(name, finding) {
+    const chain = this.chains[name];
+    let tx = null;
+    try {
+      if (await chain.bridge.paused()) {
+        return true;
+      }
+
+      logger.warn(`⏸️ Watchtower pausing ${name} bridge...`, { txHash: finding.txHash, code: finding.code });
+      tx = await chain.pauser.pause(await getFees(chain.provider, name));
+      const receipt = await tx.wait(1, config.stuckTxTimeout);
+      if (receipt.status !== 1) {
+        throw new Error(`pause() reverted: ${tx.hash}`);
+      }
+
+      this.pausedBridges[name] = { txHash: tx.hash, pausedAt: new Date().toISOString(), finding: finding.code };
+      await sendAlert('BRIDGE_PAUSED', `Watchtower paused the ${name} bridge`, { pauseTxHash: tx.hash, txHash: finding.txHash, code: finding.code });
+      return true;
+    } catch (error) {
+      await sendAlert('WATCHTOWER_PAUSE_FAILED', `Watchtower could not confirm pause() on the ${name} bridge: ${error.message}`, {
+        txHash: finding.txHash,
+        pauseTxHash: tx?.hash || null
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Forget transfers paid out more than WATCHTOWER_RETENTION ago: the payout,
+   * its source and the refund ID pointing at it. A later payout for a pruned
+   * source has no source any more and is still reported (NO_SOURCE).
+   * Unpaid sources are kept, however old.
+   */
+  prune(now = Date.now()) {
+    const cutoff = (now - config.watchtowerRetention) / 1000;
+
+    for (const [id, payouts] of Object.entries(this.state.payouts)) {
+      if (payouts.some(payout => payout.timestamp >= cutoff)) {
+        continue;
+      }
+
+      const sourceId = this.state.refunds[id] || id;
+      const source = this.state.sources[sourceId];
+      delete this.state.payouts[id];
+      delete this.state.refunds[id];
+      if (source) {
+        delete this.state.refunds[getRefundId(source.type, sourceId)];
+        delete this.state.sources[sourceId];
+      }
+    }
+  }
+
+  getFindings() {
+    return [...this.state.findings].reverse();
+  }
+
+  getStatus() {
+    return {
+      running: this.isRunning,
+      lastBlock: this.state.lastBlock,
+      checkFrom: this.state.checkFrom,
+      sources: Object.keys(this.state.sources).length,
+      payouts: Object.values(this.state.payouts).reduce((sum, list) => sum + list.length, 0),
+      deferred: this.state.deferred.length,
+      findings: this.state.findings.length,
+      startedAt: this.state.startedAt,
+      pauseEnabled: config.watchtowerPause,
+      pausedBridges: this.pausedBridges
+    };
+  }
+}
@@ -9,6 +9,7 @@ import { ethers } from 'ethers';
 import { config } from './src/config.js';
 import { BSC_BRIDGE_ABI, USDT_ABI } from './src/abis.js';
 import { processDepositByTxHash } from './src/process-deposit.js';
+import { tokenRegistry } from './src/tokens.js';
 
 async function makeDeposit(privateKey, amount) {
   console.log(`\n🪙 Making ${amount} USDT deposit from BSC to UC...`);
@@ -19,23 +20,24 @@ async function makeDeposit(privateKey, amount) {
 
   console.log(`📍 Wallet: ${wallet.address}`);
 
-  // Setup contracts
-  const usdtContract = new ethers.Contract(config.bscUsdtAddress, USDT_ABI, wallet);
+  // Setup contracts (token address and decimals come from the bridge)
+  await tokenRegistry.load();
+  const usdtContract = new ethers.Contract(tokenRegistry.get('BSC').address, USDT_ABI, wallet);
   const bridgeContract = new ethers.Contract(config.bscBridgeAddress, BSC_BRIDGE_ABI, wallet);
 
   // Check balances
   const usdtBalance = await usdtContract.balanceOf(wallet.address);
   const bnbBalance = await bscProvider.getBalance(wallet.address);
 
-  console.log(`💰 USDT Balance: ${ethers.formatUnits(usdtBalance, 18)}`);
+  console.log(`💰 USDT Balance: ${tokenRegistry.format('BSC', usdtBalance)}`);
   console.log(`⛽ BNB Balance: ${ethers.formatEther(bnbBalance)}`);
 
   // Check allowance
   const allowance = await usdtContract.allowance(wallet.address, config.bscBridgeAddress);
-  console.log(`✅ Allowance: ${ethers.formatUnits(allowance, 18)}`);
+  console.log(`✅ Allowance: ${tokenRegistry.format('BSC', allowance)}`);
 
   // Approve if needed
-  const amountWei = ethers.parseUnits(amount.toString(), 18);
+  const amountWei = tokenRegistry.parse('BSC', amount);
   if (allowance < amountWei) {
     console.log('🔓 Approving USDT...');
     const approveTx = await usdtContract.approve(config.bscBridgeAddress, amountWei);
@@ -0,0 +1,141 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { circuitBreaker, CircuitBreakerError } from '../src/circuit-breaker.js';
+import { sendWithIntent, reconcileInFlight } from '../src/inflight.js';
+import { stateManager } from '../src/state.js';
+import { jobQueue } from '../src/job-queue.js';
+import { getRecentAlerts } from '../src/alerts.js';
+import { BSC_BRIDGE_ABI } from '../src/abis.js';
+
+const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY);
+
+// BSC signer whose broadcasts are recorded but never mined
+function fakeBscSigner() {
+  const provider = {
+    broadcasts: [],
+    getFeeData: async () => ({ gasPrice: 1n }),
+    getTransactionReceipt: async () => null,
+    getTransaction: async hash => (provider.broadcasts.includes(hash) ? { hash } : null),
+    broadcastTransaction: async signedTx => provider.broadcasts.push(ethers.Transaction.from(signedTx).hash)
+  };
+  return {
+    chainName: 'BSC',
+    provider,
+    wallet: {
+      populateTransaction: async tx => ({ ...tx, chainId: 56n, gasLimit: 50000n }),
+      signTransaction: tx => wallet.signTransaction(tx),
+      provider
+    },
+    submit: task => task(0)
+  };
+}
+
+beforeEach(async () => {
+  stateManager.state.inFlight = {};
+  fs.rmSync(circuitBreaker.killSwitchFile, { force: true });
+  await circuitBreaker.resume('test', 'reset');
+  circuitBreaker.mismatches = [];
+});
+
+test('tripping stops signing and pauses the job queue until an operator resumes', async () => {
+  const record = await circuitBreaker.trip('supply_drift', 'UC supply exceeds BSC backing', { drift: '10' });
+
+  assert.equal(record.trigger, 'supply_drift');
+  assert.equal(record.trippedBy, 'relayer');
+  assert.equal(circuitBreaker.isTripped(), true);
+  assert.throws(() => circuitBreaker.assertClosed(), CircuitBreakerError);
+  assert.equal(jobQueue.paused, 'UC supply exceeds BSC backing');
+  assert.equal(getRecentAlerts()[0].type, 'CIRCUIT_BREAKER_TRIPPED');
+
+  const resumed = await circuitBreaker.resume('alice', 'drift explained');
+  assert.equal(resumed.resumedBy, 'alice');
+  assert.equal(circuitBreaker.isTripped(), false);
+  assert.doesNotThrow(() => circuitBreaker.assertClosed());
+  assert.equal(jobQueue.paused, null);
+});
+
+test('the tripped state is kept across restarts', async () => {
+  await circuitBreaker.trip('admin', 'maintenance', {}, 'alice');
+  jobQueue.resume();
+
+  circuitBreaker.restore();
+  assert.equal(jobQueue.paused, 'maintenance');
+  assert.equal(JSON.parse(fs.readFileSync('relayer-state.json', 'utf8')).circuitBreaker.trigger, 'admin');
+});
+
+test('a second trigger is recorded on the breaker that is already tripped', async () => {
+  await circuitBreaker.trip('supply_drift', 'drift');
+  const record = await circuitBreaker.trip('velocity_limit', 'daily cap');
+
+  assert.equal(record.trigger, 'supply_drift');
+  assert.deepEqual(record.additionalTriggers.map(entry => entry.trigger), ['velocity_limit']);
+});
+
+test('disabled automatic triggers are ignored, manual ones always trip', async () => {
+  assert.equal(await circuitBreaker.trip('not_configured', 'ignored'), null);
+  assert.equal(circuitBreaker.isTripped(), false);
+
+  await circuitBreaker.trip('admin', 'operator stop', {}, 'alice');
+  assert.equal(stateManager.getCircuitBreaker().trippedBy, 'alice');
+});
+
+test('verification mismatches trip once the threshold is reached within the window', async () => {
+  await circuitBreaker.recordMismatch('WRONG_CHAIN', { txHash: '0x1' });
+  await circuitBreaker.recordMismatch('RECEIPT_MISMATCH', { txHash: '0x2' });
+  await circuitBreaker.recordMismatch('NOT_A_MISMATCH_REASON', { txHash: '0x3' });
+  assert.equal(circuitBreaker.isTripped(), false);
+
+  await circuitBreaker.recordMismatch('WRONG_CHAIN', { txHash: '0x4' });
+  assert.equal(stateManager.getCircuitBreaker().trigger, 'verification_mismatch');
+});
+
+test('mismatches older than the window do not count', async () => {
+  circuitBreaker.mismatches = [
+    { reason: 'WRONG_CHAIN', at: Date.now() - 2 * 3600000 },
+    { reason: 'WRONG_CHAIN', at: Date.now() - 2 * 3600000 }
+  ];
+  await circuitBreaker.recordMismatch('WRONG_CHAIN');
+  assert.equal(circuitBreaker.isTripped(), false);
+  assert.equal(circuitBreaker.mismatches.length, 1);
+});
+
+test('the kill-switch file trips the breaker and blocks resuming until removed', async () => {
+  fs.writeFileSync(circuitBreaker.killSwitchFile, '');
+  await circuitBreaker.checkKillSwitch();
+  assert.equal(stateManager.getCircuitBreaker().trigger, 'kill_switch');
+
+  await assert.rejects(circuitBreaker.resume('alice', 'done'), /kill-switch/);
+
+  fs.rmSync(circuitBreaker.killSwitchFile);
+  await circuitBreaker.resume('alice', 'done');
+  assert.equal(circuitBreaker.isTripped(), false);
+});
+
+test('the breaker\'s own pause() is signed while it is tripped, nothing else is', async () => {
+  await circuitBreaker.trip('admin', 'maintenance', {}, 'alice');
+  const signer = fakeBscSigner();
+  const bridge = new ethers.Contract(wallet.address, BSC_BRIDGE_ABI);
+
+  await assert.rejects(sendWithIntent(stateManager, signer, 'burn 1', { type: 'burn' }, bridge, 'unlock', [wallet.address, 1n, ethers.ZeroHash]), CircuitBreakerError);
+  await sendWithIntent(stateManager, signer, 'pause:BSC', { type: 'pause', chain: 'BSC', paused: true }, bridge, 'pause', []);
+
+  assert.equal(signer.provider.broadcasts.length, 1);
+  assert.equal(stateManager.getInFlight('pause:BSC').status, 'broadcast');
+});
+
+test('a pending pause is settled by the bridge\'s paused() state', async () => {
+  const signer = fakeBscSigner();
+  const contract = new ethers.Contract(wallet.address, BSC_BRIDGE_ABI);
+  await sendWithIntent(stateManager, signer, 'pause:BSC', { type: 'pause', chain: 'BSC', paused: true }, contract, 'pause', []);
+
+  let paused = false;
+  const bridge = { paused: async () => paused };
+  assert.equal((await reconcileInFlight(stateManager, 'pause:BSC', signer.provider, bridge)).status, 'pending');
+
+  paused = true;
+  assert.equal((await reconcileInFlight(stateManager, 'pause:BSC', signer.provider, bridge)).status, 'completed');
+  assert.equal(stateManager.getInFlight('pause:BSC'), null);
+});
@@ -0,0 +1,59 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { expireStaleJobs } from '../src/expiry.js';
+import { JobQueue, JOB_STATUS } from '../src/job-queue.js';
+import { config } from '../src/config.js';
+
+let queue;
+beforeEach(() => {
+  fs.rmSync('relayer-jobs.json', { force: true });
+  queue = new JobQueue();
+});
+
+// A job queued longer than TRANSFER_EXPIRY ago that has failed `attempts` times
+function staleJob(type, key, { status = JOB_STATUS.PENDING, attempts = 1 } = {}) {
+  const { job } = queue.enqueue(type, key, { txHash: key });
+  Object.assign(job, { status, attempts, createdAt: Date.now() - config.transferExpiry - 1 });
+  return job;
+}
+
+test('failing and dead-lettered transfers past the expiry are switched to a refund', async () => {
+  const failing = staleJob('deposit', '0x1');
+  const dead = staleJob('burn', '0x2', { status: JOB_STATUS.DEAD, attempts: 3 });
+
+  assert.deepEqual(await expireStaleJobs(queue), [failing.id, dead.id]);
+  for (const job of [failing, dead]) {
+    assert.equal(job.status, JOB_STATUS.PENDING);
+    assert.equal(job.attempts, 0);
+    assert.equal(job.payload.expired, true);
+  }
+});
+
+test('a job that is running (its mint may be in flight) is not expired', async () => {
+  const running = staleJob('deposit', '0x1', { status: JOB_STATUS.RUNNING });
+
+  assert.deepEqual(await expireStaleJobs(queue), []);
+  assert.equal(running.payload.expired, undefined);
+});
+
+test('held, settled, never-attempted and status jobs are left alone', async () => {
+  staleJob('deposit', '0x1', { status: JOB_STATUS.HELD });
+  staleJob('deposit', '0x2', { status: JOB_STATUS.COMPLETED });
+  staleJob('deposit', '0x3', { attempts: 0 });
+  staleJob('status', '0x4', { status: JOB_STATUS.DEAD, attempts: 3 });
+
+  assert.deepEqual(await expireStaleJobs(queue), []);
+});
+
+test('an expired job is switched once, and nothing expires while the queue is paused', async () => {
+  const job = staleJob('deposit', '0x1');
+  queue.pause('circuit breaker');
+  assert.deepEqual(await expireStaleJobs(queue), []);
+
+  queue.resume();
+  await expireStaleJobs(queue);
+  job.attempts = 1;
+  assert.deepEqual(await expireStaleJobs(queue), []);
+});
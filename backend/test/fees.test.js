@@ -0,0 +1,105 @@
+import { TEST_TOKENS } from './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFee, storeFee, restoreFee, serializeFee, getFeeSchedule, checkTransferLimits } from '../src/fees.js';
+import { config } from '../src/config.js';
+import { tokenRegistry } from '../src/tokens.js';
+
+tokenRegistry.tokens = TEST_TOKENS;
+
+const bsc = value => tokenRegistry.parse('BSC', value);
+const uc = value => tokenRegistry.parse('UC', value);
+
+test('the percentage and flat fee are raised to the minimum fee', () => {
+  const fee = calculateFee('bsc-to-uc', bsc('100'));
+
+  assert.equal(fee.bps, 100);
+  assert.equal(fee.percentFee, bsc('1'));
+  assert.equal(fee.flatFee, bsc('0.5'));
+  assert.equal(fee.limitAdjustment, bsc('0.5'));
+  assert.equal(fee.totalFee, bsc('2'));
+  assert.equal(fee.netAmount, uc('98'));
+  assert.equal(fee.dust, 0n);
+});
+
+test('the highest tier the amount reaches sets the percentage', () => {
+  assert.equal(calculateFee('bsc-to-uc', bsc('9999')).bps, 100);
+  assert.equal(calculateFee('bsc-to-uc', bsc('10000')).bps, 50);
+
+  const fee = calculateFee('bsc-to-uc', bsc('20000'));
+  assert.equal(fee.totalFee, bsc('100.5'));
+  assert.equal(fee.netAmount, uc('19899.5'));
+});
+
+test('the fee is capped at the maximum fee', () => {
+  const fee = calculateFee('bsc-to-uc', bsc('200000'));
+
+  assert.equal(fee.bps, 25);
+  assert.equal(fee.limitAdjustment, -bsc('0.5'));
+  assert.equal(fee.totalFee, bsc('500'));
+  assert.equal(fee.netAmount, uc('199500'));
+});
+
+test('the fee never exceeds the amount', () => {
+  const fee = calculateFee('bsc-to-uc', bsc('1'));
+  assert.equal(fee.totalFee, bsc('1'));
+  assert.equal(fee.netAmount, 0n);
+});
+
+test('dust the destination token cannot hold is added to the fee', () => {
+  const fee = calculateFee('bsc-to-uc', bsc('100.0000001234'));
+
+  assert.equal(fee.dust, bsc('0.0000001234'));
+  assert.equal(fee.totalFee, bsc('2.0000001234'));
+  assert.equal(fee.netAmount, uc('98'));
+  assert.equal(fee.grossAmount, fee.totalFee + fee.netAmount * 10n ** 12n);
+});
+
+test('amounts are scaled up when the destination has more decimals', () => {
+  const fee = calculateFee('uc-to-bsc', uc('100'));
+
+  assert.equal(fee.totalFee, uc('0.3'));
+  assert.equal(fee.netAmount, bsc('99.7'));
+  assert.equal(fee.dust, 0n);
+});
+
+test('an unknown direction is refused', () => {
+  assert.throws(() => calculateFee('eth-to-uc', 1n), /Unknown bridge direction/);
+});
+
+test('a stored fee restores to the same amounts', () => {
+  const fee = calculateFee('bsc-to-uc', bsc('100.0000001234'));
+  const stored = JSON.parse(JSON.stringify(storeFee(fee)));
+
+  assert.equal(typeof stored.totalFee, 'string');
+  assert.deepEqual(restoreFee(stored), fee);
+});
+
+test('serialized fees are formatted in each chain\'s units', () => {
+  const fee = serializeFee(calculateFee('bsc-to-uc', bsc('100')));
+
+  assert.equal(fee.totalFee, '2.0');
+  assert.equal(fee.limitAdjustment, '0.5');
+  assert.equal(fee.netAmount, '98.0');
+  assert.equal(fee.netAmountRaw, uc('98').toString());
+});
+
+test('the fee schedule lists both directions with tiers in ascending order', () => {
+  const schedule = getFeeSchedule();
+
+  assert.deepEqual(Object.keys(schedule), ['bsc-to-uc', 'uc-to-bsc']);
+  assert.deepEqual(schedule['bsc-to-uc'].tiers, [{ minAmount: '10000', bps: 50 }, { minAmount: '100000', bps: 25 }]);
+  assert.equal(schedule['uc-to-bsc'].minFee, null);
+});
+
+test('amounts outside the transfer limits are reported in each chain\'s units', (t) => {
+  const { transferMinAmount, transferMaxAmount } = config;
+  t.after(() => Object.assign(config, { transferMinAmount, transferMaxAmount }));
+  assert.equal(checkTransferLimits('BSC', bsc('1000000')), null);
+
+  Object.assign(config, { transferMinAmount: '10', transferMaxAmount: '1000' });
+  assert.equal(checkTransferLimits('BSC', bsc('9.99')), 'below_minimum');
+  assert.equal(checkTransferLimits('UC', uc('10')), null);
+  assert.equal(checkTransferLimits('UC', uc('1000')), null);
+  assert.equal(checkTransferLimits('BSC', bsc('1000.01')), 'above_maximum');
+});
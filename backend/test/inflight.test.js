@@ -0,0 +1,199 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { reconcileInFlight, sendWithIntent, getProcessedKey } from '../src/inflight.js';
+import { StateManager, stateManager } from '../src/state.js';
+import { UC_BRIDGE_ABI } from '../src/abis.js';
+
+const STATE_FILE = 'relayer-state.json';
+const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY);
+const recipient = ethers.getAddress('0x00000000000000000000000000000000000000aa');
+const ID = ethers.id('deposit 1');
+
+const signTx = (nonce, to = recipient) => wallet.signTransaction({ to, nonce, gasLimit: 100000n, gasPrice: 1n, chainId: 1137n, data: '0x' });
+
+/**
+ * Destination chain as reconcileInFlight sees it. `receipts` and `mempool`
+ * are keyed by tx hash; `broadcast` is what broadcastTransaction does.
+ */
+function fakeChain({ receipts = {}, mempool = [], processed = false, confirmedNonce = 0, broadcast = async () => {} } = {}) {
+  const provider = {
+    broadcasts: 0,
+    getTransactionReceipt: async hash => receipts[hash] || null,
+    getTransaction: async hash => (mempool.includes(hash) ? { hash } : null),
+    getTransactionCount: async () => confirmedNonce,
+    broadcastTransaction: async signedTx => {
+      provider.broadcasts++;
+      return broadcast(signedTx);
+    }
+  };
+  const bridge = { processedMints: async () => processed, processedWithdrawals: async () => processed };
+  return { provider, bridge, receipts };
+}
+
+// Record of a mint signed with nonce 7 (and optionally replaced)
+async function signedRecord(id, attempts = ['original']) {
+  const signed = await Promise.all(attempts.map(kind => signTx(7, kind === 'cancel' ? wallet.address : recipient).then(tx => ({ kind, tx }))));
+  const hashes = signed.map(({ tx, kind }) => ({ hash: ethers.Transaction.from(tx).hash, kind }));
+  const latest = signed[signed.length - 1].tx;
+  stateManager.setInFlight(id, {
+    type: 'deposit',
+    sourceTxHash: '0xsource',
+    recipient,
+    amount: '1000',
+    method: 'mint',
+    destTxHash: hashes[hashes.length - 1].hash,
+    signedTx: latest,
+    nonce: 7,
+    attempts: hashes,
+    status: 'broadcast',
+    createdAt: Date.now()
+  });
+  return hashes;
+}
+
+const nonceError = () => Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+
+beforeEach(() => {
+  stateManager.state.inFlight = {};
+  stateManager.state.processedDeposits = [];
+});
+
+test('nothing to do without a record', async () => {
+  const { provider, bridge } = fakeChain();
+  assert.deepEqual(await reconcileInFlight(stateManager, ID, provider, bridge), { status: 'none' });
+});
+
+test('a mined mint completes the transfer', async () => {
+  const [{ hash }] = await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ receipts: { [hash]: { status: 1 } } });
+
+  assert.deepEqual(await reconcileInFlight(stateManager, ID, provider, bridge), { status: 'completed', destTxHash: hash });
+  assert.equal(stateManager.getInFlight(ID), null);
+  assert.equal(stateManager.isDepositProcessed(ID), true);
+});
+
+test('a mined cancel reports the transfer cancelled', async () => {
+  const [, cancel] = await signedRecord(ID, ['original', 'cancel']);
+  const { provider, bridge } = fakeChain({ receipts: { [cancel.hash]: { status: 1 } } });
+
+  assert.equal((await reconcileInFlight(stateManager, ID, provider, bridge)).status, 'cancelled');
+  assert.equal(stateManager.isDepositProcessed(ID), false);
+});
+
+test('a transfer processed by another tx is completed', async () => {
+  await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ processed: true });
+
+  assert.deepEqual(await reconcileInFlight(stateManager, ID, provider, bridge), { status: 'completed', destTxHash: null });
+  assert.equal(stateManager.isDepositProcessed(ID), true);
+});
+
+test('a reverted mint is cleared so it can be resent', async () => {
+  const [{ hash }] = await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ receipts: { [hash]: { status: 0 } } });
+
+  assert.equal((await reconcileInFlight(stateManager, ID, provider, bridge)).status, 'failed');
+  assert.equal(stateManager.getInFlight(ID), null);
+});
+
+test('a mint still in the mempool is left pending', async () => {
+  const [{ hash }] = await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ mempool: [hash] });
+
+  assert.deepEqual(await reconcileInFlight(stateManager, ID, provider, bridge), { status: 'pending', destTxHash: hash });
+  assert.equal(provider.broadcasts, 0);
+});
+
+test('a mint the node lost is re-broadcast', async () => {
+  await signedRecord(ID);
+  const { provider, bridge } = fakeChain();
+
+  assert.equal((await reconcileInFlight(stateManager, ID, provider, bridge)).status, 'pending');
+  assert.equal(provider.broadcasts, 1);
+});
+
+test('"already known" on re-broadcast means pending', async () => {
+  await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ broadcast: async () => { throw new Error('already known'); } });
+
+  assert.equal((await reconcileInFlight(stateManager, ID, provider, bridge)).status, 'pending');
+  assert.ok(stateManager.getInFlight(ID));
+});
+
+test('a re-broadcast error that leaves the nonce unused keeps the record and throws', async () => {
+  await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ confirmedNonce: 7, broadcast: async () => { throw new Error('timeout'); } });
+
+  await assert.rejects(reconcileInFlight(stateManager, ID, provider, bridge), /timeout/);
+  assert.ok(stateManager.getInFlight(ID));
+});
+
+test('a nonce used by another tx clears the record', async () => {
+  await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ broadcast: async () => { throw nonceError(); } });
+
+  assert.equal((await reconcileInFlight(stateManager, ID, provider, bridge)).status, 'failed');
+  assert.equal(stateManager.getInFlight(ID), null);
+});
+
+test('a confirmed nonce past the record also counts as used, whatever the error', async () => {
+  await signedRecord(ID);
+  const { provider, bridge } = fakeChain({ confirmedNonce: 8, broadcast: async () => { throw new Error('internal error'); } });
+
+  assert.equal((await reconcileInFlight(stateManager, ID, provider, bridge)).status, 'failed');
+});
+
+test('a mint mined while reconciling completes instead of being cleared', async () => {
+  const [{ hash }] = await signedRecord(ID);
+  const chain = fakeChain({
+    broadcast: async () => {
+      chain.receipts[hash] = { status: 1 };
+      throw nonceError();
+    }
+  });
+
+  assert.equal((await reconcileInFlight(stateManager, ID, chain.provider, chain.bridge)).status, 'completed');
+  assert.equal(stateManager.isDepositProcessed(ID), true);
+});
+
+test('nothing is broadcast when the write-ahead record cannot be saved', async () => {
+  let broadcasts = 0;
+  const signer = {
+    chainName: 'UC',
+    provider: { getFeeData: async () => ({ gasPrice: 1n }) },
+    wallet: {
+      populateTransaction: async tx => ({ ...tx, chainId: 1137n, gasLimit: 100000n }),
+      signTransaction: tx => wallet.signTransaction(tx),
+      provider: { broadcastTransaction: async () => { broadcasts++; } }
+    },
+    submit: task => task(7)
+  };
+  const bridge = new ethers.Contract(recipient, UC_BRIDGE_ABI);
+  const args = [recipient, 1000n, getProcessedKey(recipient, 1000n, ethers.ZeroHash)];
+
+  fs.mkdirSync(`${STATE_FILE}.tmp`);
+  try {
+    await assert.rejects(sendWithIntent(stateManager, signer, ID, { type: 'deposit' }, bridge, 'mint', args), /in-flight record/);
+  } finally {
+    fs.rmdirSync(`${STATE_FILE}.tmp`);
+  }
+  assert.equal(broadcasts, 0);
+  assert.equal(stateManager.getInFlight(ID), null);
+});
+
+test('state is saved atomically and an unreadable file stops the relayer from starting', () => {
+  stateManager.setLastBscBlock(123);
+  assert.equal(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).lastBscBlock, 123);
+  assert.equal(fs.existsSync(`${STATE_FILE}.tmp`), false);
+
+  const saved = fs.readFileSync(STATE_FILE, 'utf8');
+  fs.writeFileSync(STATE_FILE, saved.slice(0, 20));
+  try {
+    assert.throws(() => new StateManager(), /unreadable/);
+  } finally {
+    fs.writeFileSync(STATE_FILE, saved);
+  }
+});
@@ -0,0 +1,182 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { JobQueue, JOB_STATUS } from '../src/job-queue.js';
+
+const JOBS_FILE = 'relayer-jobs.json';
+
+let queue;
+beforeEach(() => {
+  fs.rmSync(JOBS_FILE, { force: true });
+  queue = new JobQueue();
+});
+
+// Register a 'deposit' handler returning each result in turn
+function handle(...results) {
+  let calls = 0;
+  queue.registerHandler('deposit', async () => {
+    const result = results[Math.min(calls, results.length - 1)];
+    calls++;
+    if (result instanceof Error) {
+      throw result;
+    }
+    return result;
+  });
+  return () => calls;
+}
+
+test('enqueue creates a pending job once per source tx', () => {
+  const first = queue.enqueue('deposit', '0xabc', { source: 'monitor' });
+  const again = queue.enqueue('deposit', '0xabc', { source: 'sweeper' });
+
+  assert.equal(first.created, true);
+  assert.equal(first.job.id, 'deposit:0xabc');
+  assert.equal(first.job.status, JOB_STATUS.PENDING);
+  assert.equal(again.created, false);
+  assert.equal(again.job, first.job);
+  assert.equal(again.job.payload.source, 'monitor');
+});
+
+test('a successful job completes and is not run again', async () => {
+  const calls = handle({ success: true, txHash: '0x1' });
+  const { job } = queue.enqueue('deposit', '0xabc');
+
+  await queue.execute(job.id);
+  const result = await queue.execute(job.id);
+
+  assert.equal(job.status, JOB_STATUS.COMPLETED);
+  assert.equal(job.attempts, 1);
+  assert.deepEqual(result, { success: true, txHash: '0x1' });
+  assert.equal(calls(), 1);
+});
+
+test('concurrent callers share one execution', async () => {
+  const calls = handle({ success: true });
+  const { job } = queue.enqueue('deposit', '0xabc');
+
+  await Promise.all([queue.execute(job.id), queue.execute(job.id)]);
+  assert.equal(calls(), 1);
+});
+
+test('a failed job is retried with exponential backoff, then dead-lettered', async () => {
+  handle(new Error('rpc down'));
+  const { job } = queue.enqueue('deposit', '0xabc');
+
+  const before = Date.now();
+  await queue.execute(job.id);
+  assert.equal(job.status, JOB_STATUS.PENDING);
+  assert.equal(job.lastError, 'rpc down');
+  assert.ok(job.nextAttemptAt >= before + 1000);
+  assert.deepEqual(queue.getDueJobs(before), []);
+
+  await queue.execute(job.id);
+  assert.ok(job.nextAttemptAt >= before + 2000);
+
+  await queue.execute(job.id);
+  assert.equal(job.status, JOB_STATUS.DEAD);
+  assert.equal(job.nextAttemptAt, null);
+  assert.deepEqual(queue.getDeadLetters(), [job]);
+});
+
+test('retry delays are capped at JOB_RETRY_MAX_DELAY', () => {
+  assert.equal(queue.getRetryDelay(1), 1000);
+  assert.equal(queue.getRetryDelay(2), 2000);
+  assert.equal(queue.getRetryDelay(5), 3000);
+});
+
+test('rejected, held and cancelled results settle the job without retries', async () => {
+  handle({ success: false, rejected: true, reason: 'WRONG_CHAIN', error: 'bad' });
+  const rejected = queue.enqueue('deposit', '0x1').job;
+  await queue.execute(rejected.id);
+  assert.equal(rejected.status, JOB_STATUS.REJECTED);
+
+  handle({ success: false, held: true, reason: 'velocity_limit' });
+  const held = queue.enqueue('deposit', '0x2').job;
+  await queue.execute(held.id);
+  assert.equal(held.status, JOB_STATUS.HELD);
+  assert.deepEqual(queue.getHeldJobs(), [held]);
+
+  handle({ success: false, cancelled: true, error: 'cancelled by operator' });
+  const cancelled = queue.enqueue('deposit', '0x3').job;
+  await queue.execute(cancelled.id);
+  assert.equal(cancelled.status, JOB_STATUS.DEAD);
+  assert.equal(cancelled.attempts, 1);
+});
+
+test('a paused queue runs nothing, and a pause during a run does not use up an attempt', async () => {
+  const calls = handle({ success: false, error: 'breaker tripped' });
+  const { job } = queue.enqueue('deposit', '0xabc');
+
+  queue.pause('supply drift');
+  const result = await queue.execute(job.id);
+  assert.equal(result.paused, true);
+  assert.equal(calls(), 0);
+
+  queue.resume();
+  queue.registerHandler('deposit', async () => {
+    queue.pause('tripped mid-run');
+    return { success: false, error: 'breaker tripped' };
+  });
+  await queue.execute(job.id);
+  assert.equal(job.status, JOB_STATUS.PENDING);
+  assert.equal(job.attempts, 0);
+});
+
+test('resubmit revives dead jobs with a fresh budget but never settled ones', async () => {
+  handle(new Error('rpc down'));
+  const { job } = queue.enqueue('deposit', '0xabc');
+  for (let i = 0; i < 3; i++) {
+    await queue.execute(job.id);
+  }
+  assert.equal(job.status, JOB_STATUS.DEAD);
+
+  queue.resubmit(job.id, { refund: 'expired' });
+  assert.equal(job.status, JOB_STATUS.PENDING);
+  assert.equal(job.attempts, 0);
+  assert.equal(job.payload.refund, 'expired');
+
+  handle({ success: true });
+  await queue.execute(job.id);
+  assert.equal(queue.resubmit(job.id), null);
+  assert.equal(job.status, JOB_STATUS.COMPLETED);
+});
+
+test('pin keeps the first value for every retry of a job', () => {
+  const { job } = queue.enqueue('deposit', '0xabc');
+  let computed = 0;
+  const compute = () => ({ fee: String(++computed) });
+
+  assert.deepEqual(queue.pin(job.id, 'fee:1', compute), { fee: '1' });
+  assert.deepEqual(queue.pin(job.id, 'fee:1', compute), { fee: '1' });
+  assert.deepEqual(queue.pin('deposit:unknown', 'fee:1', compute), { fee: '2' });
+});
+
+test('jobs survive a restart and interrupted runs are retried', () => {
+  const { job } = queue.enqueue('deposit', '0xabc');
+  job.status = JOB_STATUS.RUNNING;
+  queue.pin(job.id, 'fee:1', () => ({ totalFee: '5' }));
+
+  const restarted = new JobQueue();
+  const loaded = restarted.getJob(job.id);
+  assert.equal(loaded.status, JOB_STATUS.PENDING);
+  assert.deepEqual(loaded.payload.pinned, { 'fee:1': { totalFee: '5' } });
+  assert.equal(fs.existsSync(`${JOBS_FILE}.tmp`), false);
+});
+
+test('an unreadable job file stops the relayer from starting', () => {
+  fs.writeFileSync(JOBS_FILE, '{ "deposit:0xabc": ');
+  assert.throws(() => new JobQueue(), /unreadable/);
+});
+
+test('stats count jobs per status', async () => {
+  handle({ success: true });
+  queue.enqueue('deposit', '0x1');
+  await queue.execute(queue.enqueue('deposit', '0x2').job.id);
+
+  const stats = queue.getStats();
+  assert.equal(stats.total, 2);
+  assert.equal(stats[JOB_STATUS.PENDING], 1);
+  assert.equal(stats[JOB_STATUS.COMPLETED], 1);
+  assert.equal(stats.paused, null);
+});
@@ -0,0 +1,18 @@
+import { TEST_TOKENS } from './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getQuote, QuoteError } from '../src/quote.js';
+import { tokenRegistry } from '../src/tokens.js';
+
+// Loaded already, so quotes never read the token contracts
+tokenRegistry.tokens = TEST_TOKENS;
+tokenRegistry.loading = Promise.resolve(TEST_TOKENS);
+
+const code = expected => error => error instanceof QuoteError && error.code === expected;
+
+test('quotes for an unknown direction or an invalid amount are refused', async () => {
+  await assert.rejects(getQuote('eth-to-uc', '100'), code('INVALID_DIRECTION'));
+  await assert.rejects(getQuote('bsc-to-uc', 'ten'), code('INVALID_AMOUNT'));
+  await assert.rejects(getQuote('bsc-to-uc', '0'), code('INVALID_AMOUNT'));
+  await assert.rejects(getQuote('bsc-to-uc', '-5'), code('INVALID_AMOUNT'));
+});
@@ -0,0 +1,129 @@
+import { TEST_TOKENS } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { refundTransfer, getRefundKey, getRefundId } from '../src/refunds.js';
+import { getProcessedKey } from '../src/inflight.js';
+import { getRelayerSigner } from '../src/signer.js';
+import { stateManager } from '../src/state.js';
+import { config } from '../src/config.js';
+import { tokenRegistry } from '../src/tokens.js';
+import { BSC_BRIDGE_ABI } from '../src/abis.js';
+
+tokenRegistry.tokens = TEST_TOKENS;
+
+const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY);
+const bridgeInterface = new ethers.Interface(BSC_BRIDGE_ABI);
+const user = ethers.getAddress('0x00000000000000000000000000000000000000aa');
+const amount = tokenRegistry.parse('BSC', '100');
+
+let nextId = 1;
+const deposit = () => ({
+  id: ethers.id(`deposit ${nextId++}`),
+  type: 'deposit',
+  sourceTxHash: '0xsource',
+  user,
+  amount,
+  destinationAddress: 'not-an-address'
+});
+
+/**
+ * The BSC chain a deposit refund unlocks on, behind the shared relayer
+ * signer. `processed` holds the processedWithdrawals keys that are set; with
+ * `mine` every broadcast is mined (and its unlock processed) right away.
+ */
+function fakeBsc({ mine = true } = {}) {
+  const chain = { broadcasts: [], receipts: {}, processed: new Set(), mine };
+  const provider = {
+    getFeeData: async () => ({ gasPrice: 1n }),
+    getTransactionCount: async () => 0,
+    getTransactionReceipt: async hash => chain.receipts[hash] || null,
+    getTransaction: async () => null,
+    broadcastTransaction: async signedTx => {
+      const tx = ethers.Transaction.from(signedTx);
+      chain.broadcasts.push(tx);
+      if (chain.mine) {
+        chain.receipts[tx.hash] = { hash: tx.hash, status: 1 };
+        const [recipient, value, sourceId] = bridgeInterface.decodeFunctionData('unlock', tx.data);
+        chain.processed.add(getProcessedKey(recipient, value, sourceId));
+      }
+      return tx;
+    }
+  };
+
+  const signer = getRelayerSigner('BSC');
+  signer.nonce = null;
+  signer.wallet = {
+    address: wallet.address,
+    provider,
+    populateTransaction: async tx => ({ ...tx, chainId: 97n, gasLimit: 100000n }),
+    signTransaction: tx => wallet.signTransaction(tx),
+    call: async ({ data }) => {
+      const { name, args } = bridgeInterface.parseTransaction({ data });
+      assert.equal(name, 'processedWithdrawals');
+      return bridgeInterface.encodeFunctionResult(name, [chain.processed.has(args[0])]);
+    }
+  };
+  return chain;
+}
+
+beforeEach(() => {
+  stateManager.state.inFlight = {};
+});
+
+test('a refund settles the transfer, so its mint is never sent afterwards', async () => {
+  const chain = fakeBsc();
+  const transfer = deposit();
+
+  const refund = await refundTransfer(stateManager, transfer, 'invalid_destination');
+
+  assert.equal(refund.status, 'completed');
+  assert.equal(refund.txHash, chain.broadcasts[0].hash);
+  assert.equal(refund.amount, '100.0');
+  assert.equal(stateManager.isDepositProcessed(transfer.id), true);
+  assert.equal(stateManager.getTransactionHashes(transfer.id).status, 'refunded');
+  assert.equal(stateManager.getInFlight(getRefundKey(transfer.id)), null);
+});
+
+test('refunding a refunded transfer again sends nothing', async () => {
+  const chain = fakeBsc();
+  const transfer = deposit();
+
+  const first = await refundTransfer(stateManager, transfer, 'expired');
+  const again = await refundTransfer(stateManager, transfer, 'expired');
+
+  assert.deepEqual(again, first);
+  assert.equal(chain.broadcasts.length, 1);
+});
+
+test('a refund still pending from an earlier attempt is waited on, not sent twice', async (t) => {
+  const chain = fakeBsc({ mine: false });
+  const transfer = deposit();
+  const { stuckTxTimeout, maxGasBumps } = config;
+  config.stuckTxTimeout = 0;
+  config.maxGasBumps = 0;
+  t.after(() => Object.assign(config, { stuckTxTimeout, maxGasBumps }));
+
+  await assert.rejects(refundTransfer(stateManager, transfer, 'expired'), /still pending/);
+  assert.equal(stateManager.isDepositProcessed(transfer.id), false);
+
+  const [sent] = chain.broadcasts;
+  chain.receipts[sent.hash] = { hash: sent.hash, status: 1 };
+  const refund = await refundTransfer(stateManager, transfer, 'expired');
+
+  assert.equal(refund.txHash, sent.hash);
+  assert.equal(chain.broadcasts.length, 1);
+  assert.equal(stateManager.isDepositProcessed(transfer.id), true);
+});
+
+test('a refund found on-chain without a local record is recorded instead of resent', async () => {
+  const chain = fakeBsc();
+  const transfer = deposit();
+  chain.processed.add(getProcessedKey(user, amount, getRefundId('deposit', transfer.id)));
+
+  const refund = await refundTransfer(stateManager, transfer, 'expired');
+
+  assert.equal(refund.status, 'completed');
+  assert.equal(chain.broadcasts.length, 0);
+  assert.equal(stateManager.isDepositProcessed(transfer.id), true);
+});
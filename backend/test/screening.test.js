@@ -0,0 +1,51 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { AddressScreener } from '../src/screening.js';
+import { getRecentAlerts } from '../src/alerts.js';
+
+const BLOCKED = '0x00000000000000000000000000000000000000Bb';
+
+test('JSON and CSV lists match addresses in any case', () => {
+  fs.writeFileSync('ofac.json', JSON.stringify({ name: 'OFAC', reason: 'SDN list', addresses: [BLOCKED] }));
+  fs.writeFileSync('internal.csv', `address,list,reason\n# fraud desk\n${BLOCKED.toLowerCase()},internal,chargeback\n`);
+  const screener = new AddressScreener(['ofac.json', 'internal.csv']);
+
+  const matches = screener.screen({ sender: '0x01', destination: BLOCKED });
+  assert.deepEqual(matches.map(m => [m.role, m.list, m.reason]), [
+    ['destination', 'OFAC', 'SDN list'],
+    ['destination', 'internal', 'chargeback']
+  ]);
+});
+
+test('a missing list fails closed: nothing is screened until it loads', () => {
+  const screener = new AddressScreener(['missing.json']);
+
+  assert.throws(() => screener.startWatching(), /could not be loaded/);
+  assert.throws(() => screener.screen({ sender: BLOCKED }), /could not be loaded/);
+
+  fs.writeFileSync('missing.json', JSON.stringify([BLOCKED]));
+  assert.equal(screener.screen({ sender: BLOCKED }).length, 1);
+});
+
+test('a malformed list is refused on the first load', () => {
+  fs.writeFileSync('broken.json', '{ "addresses": ');
+  assert.throws(() => new AddressScreener(['broken.json']).load(), /broken\.json could not be loaded/);
+
+  fs.writeFileSync('wrong-shape.json', '{ "name": "OFAC" }');
+  assert.throws(() => new AddressScreener(['wrong-shape.json']).load(), /addresses array/);
+});
+
+test('a bad edit keeps the last good entries and raises an alert', () => {
+  fs.writeFileSync('reload.json', JSON.stringify([BLOCKED]));
+  const screener = new AddressScreener(['reload.json']);
+  screener.load();
+
+  fs.writeFileSync('reload.json', '[');
+  screener.loadFile(screener.files[0]);
+
+  assert.equal(screener.screen({ sender: BLOCKED }).length, 1);
+  assert.equal(getRecentAlerts()[0].type, 'SCREENING_LIST_ERROR');
+  assert.equal(getRecentAlerts()[0].details.keptEntries, 1);
+});
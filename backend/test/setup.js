@@ -0,0 +1,47 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Imported first by every test file, before anything from src/: config is
+// read from the environment and the state, job and audit files are placed
+// in the working directory when those modules load.
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'relayer-test-'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+  RELAYER_PRIVATE_KEY: '0x0123456789012345678901234567890123456789012345678901234567890123',
+  LOG_LEVEL: 'error',
+  ALERT_WEBHOOK_URL: '',
+  JOB_MAX_ATTEMPTS: '3',
+  JOB_RETRY_BASE_DELAY: '1000',
+  JOB_RETRY_MAX_DELAY: '3000',
+  FEE_BSC_TO_UC_BPS: '100',
+  FEE_BSC_TO_UC_FLAT: '0.5',
+  FEE_BSC_TO_UC_MIN: '2',
+  FEE_BSC_TO_UC_MAX: '500',
+  FEE_BSC_TO_UC_TIERS: '100000:25,10000:50',
+  FEE_UC_TO_BSC_BPS: '30',
+  FEE_UC_TO_BSC_FLAT: '',
+  FEE_UC_TO_BSC_MIN: '',
+  FEE_UC_TO_BSC_MAX: '',
+  FEE_UC_TO_BSC_TIERS: '',
+  VELOCITY_MAX_TRANSFER: '1000',
+  VELOCITY_SENDER_CAP: '1500',
+  VELOCITY_DESTINATION_CAP: '',
+  VELOCITY_HOURLY_CAP_BSC_TO_UC: '2500',
+  VELOCITY_DAILY_CAP_BSC_TO_UC: '',
+  VELOCITY_HOURLY_CAP_UC_TO_BSC: '',
+  VELOCITY_DAILY_CAP_UC_TO_BSC: '',
+  APPROVAL_THRESHOLD: '',
+  SCREENING_LISTS: '',
+  CIRCUIT_BREAKER_PAUSE_ON_CHAIN: 'false',
+  CIRCUIT_BREAKER_MISMATCH_THRESHOLD: '3',
+  QUORUM_MIN_AMOUNT: ''
+});
+
+// Token registry for tests; different decimals so conversions are exercised
+export const TEST_TOKENS = {
+  BSC: { chain: 'BSC', decimals: 18 },
+  UC: { chain: 'UC', decimals: 6 }
+};
@@ -0,0 +1,126 @@
+import './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import { setTransactionStatus, TX_STATUS } from '../src/source-status.js';
+import { TransferCancelledError } from '../src/inflight.js';
+import { circuitBreaker, CircuitBreakerError } from '../src/circuit-breaker.js';
+import { stateManager } from '../src/state.js';
+import { config } from '../src/config.js';
+import { UC_BRIDGE_ABI } from '../src/abis.js';
+
+const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY);
+const RECORD = ethers.id('record 1');
+const KEY = `status:UC:${RECORD}`;
+
+/**
+ * UC signer and bridge as setTransactionStatus sees them. `recordStatus` is
+ * the status getTransaction reports; with `mine` every broadcast is mined
+ * (and completes the record) right away.
+ */
+function fakeUc({ recordStatus = TX_STATUS.PENDING, mine = true } = {}) {
+  const receipts = {};
+  const chain = { broadcasts: [], recordStatus, receipts };
+  const broadcastTransaction = async signedTx => {
+    const tx = ethers.Transaction.from(signedTx);
+    chain.broadcasts.push(tx);
+    if (mine) {
+      receipts[tx.hash] = { hash: tx.hash, status: 1 };
+      chain.recordStatus = TX_STATUS.COMPLETED;
+    }
+    return tx;
+  };
+  const provider = {
+    getFeeData: async () => ({ gasPrice: 1n }),
+    getTransactionReceipt: async hash => receipts[hash] || null,
+    getTransaction: async () => null,
+    getTransactionCount: async () => 0,
+    broadcastTransaction
+  };
+  const signer = {
+    chainName: 'UC',
+    provider,
+    wallet: {
+      address: wallet.address,
+      populateTransaction: async tx => ({ ...tx, chainId: 1137n, gasLimit: 100000n }),
+      signTransaction: tx => wallet.signTransaction(tx),
+      provider
+    },
+    submit: task => task(3)
+  };
+  const contract = new ethers.Contract(wallet.address, UC_BRIDGE_ABI);
+  const bridge = {
+    getTransaction: async () => ({ status: BigInt(chain.recordStatus) }),
+    updateTransactionStatus: contract.updateTransactionStatus
+  };
+  return { chain, signer, bridge };
+}
+
+beforeEach(async () => {
+  stateManager.state.inFlight = {};
+  await circuitBreaker.resume('test', 'reset');
+});
+
+test('a record that already has the status is left alone', async () => {
+  const { chain, signer, bridge } = fakeUc({ recordStatus: TX_STATUS.COMPLETED });
+
+  assert.equal(await setTransactionStatus(stateManager, signer, bridge, RECORD, TX_STATUS.COMPLETED), null);
+  assert.equal(chain.broadcasts.length, 0);
+});
+
+test('the update is sent through a write-ahead record that is cleared once mined', async () => {
+  const { chain, signer, bridge } = fakeUc();
+
+  const hash = await setTransactionStatus(stateManager, signer, bridge, RECORD, TX_STATUS.COMPLETED);
+  assert.equal(hash, chain.broadcasts[0].hash);
+  assert.equal(chain.broadcasts[0].nonce, 3);
+  assert.equal(stateManager.getInFlight(KEY), null);
+});
+
+test('nothing is signed while the circuit breaker is tripped', async () => {
+  const { chain, signer, bridge } = fakeUc();
+  await circuitBreaker.trip('admin', 'maintenance', {}, 'alice');
+
+  await assert.rejects(setTransactionStatus(stateManager, signer, bridge, RECORD, TX_STATUS.COMPLETED), CircuitBreakerError);
+  assert.equal(chain.broadcasts.length, 0);
+  assert.equal(stateManager.getInFlight(KEY), null);
+});
+
+test('a stuck update gives up after MAX_GAS_BUMPS and keeps its record for the retry', async (t) => {
+  const { chain, signer, bridge } = fakeUc({ mine: false });
+  const { stuckTxTimeout, maxGasBumps } = config;
+  config.stuckTxTimeout = 0;
+  config.maxGasBumps = 0;
+  t.after(() => Object.assign(config, { stuckTxTimeout, maxGasBumps }));
+
+  await assert.rejects(setTransactionStatus(stateManager, signer, bridge, RECORD, TX_STATUS.COMPLETED), /still pending/);
+  assert.equal(stateManager.getInFlight(KEY).type, 'status');
+
+  // The retry finds the update mined instead of sending a second one
+  const [sent] = chain.broadcasts;
+  chain.receipts[sent.hash] = { hash: sent.hash, status: 1 };
+  assert.equal(await setTransactionStatus(stateManager, signer, bridge, RECORD, TX_STATUS.COMPLETED), sent.hash);
+  assert.equal(chain.broadcasts.length, 1);
+  assert.equal(stateManager.getInFlight(KEY), null);
+});
+
+test('an update cancelled by an operator is not sent again', async () => {
+  const { chain, signer, bridge } = fakeUc({ mine: false });
+  const cancelTx = await wallet.signTransaction({ to: wallet.address, nonce: 3, gasLimit: 21000n, gasPrice: 2n, chainId: 1137n });
+  const cancelHash = ethers.Transaction.from(cancelTx).hash;
+  stateManager.setInFlight(KEY, {
+    type: 'status',
+    chain: 'UC',
+    transactionId: RECORD,
+    recordStatus: TX_STATUS.COMPLETED,
+    destTxHash: cancelHash,
+    signedTx: cancelTx,
+    nonce: 3,
+    attempts: [{ hash: '0x01', kind: 'original' }, { hash: cancelHash, kind: 'cancel' }],
+    status: 'cancelling'
+  });
+  chain.receipts[cancelHash] = { hash: cancelHash, status: 1 };
+
+  await assert.rejects(setTransactionStatus(stateManager, signer, bridge, RECORD, TX_STATUS.COMPLETED), TransferCancelledError);
+  assert.equal(chain.broadcasts.length, 0);
+});
@@ -0,0 +1,112 @@
+import { TEST_TOKENS } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkVelocity, recordVolume, getVelocityUsage } from '../src/velocity.js';
+import { admitTransfer, HOLD_STATUS } from '../src/holds.js';
+import { stateManager } from '../src/state.js';
+import { circuitBreaker } from '../src/circuit-breaker.js';
+import { tokenRegistry } from '../src/tokens.js';
+
+tokenRegistry.tokens = TEST_TOKENS;
+
+const bsc = value => tokenRegistry.parse('BSC', value);
+const uc = value => tokenRegistry.parse('UC', value);
+const limits = violations => violations.map(v => v.limit);
+
+let nextId = 1;
+const deposit = (amount, changes = {}) => ({
+  id: String(nextId++),
+  type: 'deposit',
+  direction: 'bsc-to-uc',
+  sourceChain: 'BSC',
+  sourceTxHash: `0x${nextId}`,
+  sender: '0xaaaa',
+  recipient: '0xbbbb',
+  amount: bsc(amount),
+  ...changes
+});
+
+beforeEach(async () => {
+  stateManager.state.volume = [];
+  stateManager.state.holds = {};
+  await circuitBreaker.resume('test', 'reset');
+});
+
+test('transfers within every limit pass', () => {
+  assert.deepEqual(checkVelocity(stateManager, deposit('1000')), []);
+});
+
+test('a single transfer over VELOCITY_MAX_TRANSFER is flagged', () => {
+  const [violation] = checkVelocity(stateManager, deposit('1000.000000000000000001'));
+  assert.equal(violation.limit, 'max_transfer');
+  assert.equal(violation.cap, '1000');
+});
+
+test('the sender cap adds up the sender\'s recent transfers', () => {
+  recordVolume(stateManager, deposit('900'));
+  assert.deepEqual(limits(checkVelocity(stateManager, deposit('700'))), ['sender_cap']);
+  assert.deepEqual(checkVelocity(stateManager, deposit('700', { sender: '0xcccc' })), []);
+});
+
+test('volume outside the address window is not counted', () => {
+  recordVolume(stateManager, deposit('900'));
+  stateManager.state.volume[0].timestamp -= 2 * 86400000;
+  assert.deepEqual(checkVelocity(stateManager, deposit('700')), []);
+});
+
+test('a transfer is not counted against itself when it is checked again', () => {
+  const transfer = deposit('900');
+  recordVolume(stateManager, transfer);
+  recordVolume(stateManager, transfer);
+  assert.equal(stateManager.getVolume().length, 1);
+  assert.deepEqual(checkVelocity(stateManager, { ...transfer, amount: bsc('1000') }), []);
+});
+
+test('the hourly cap is per direction', () => {
+  recordVolume(stateManager, deposit('1000', { sender: '0x1' }));
+  recordVolume(stateManager, deposit('1000', { sender: '0x2' }));
+
+  assert.deepEqual(limits(checkVelocity(stateManager, deposit('600', { sender: '0x3' }))), ['hourly_cap']);
+  const burn = { ...deposit('600', { sender: '0x3' }), type: 'burn', direction: 'uc-to-bsc', sourceChain: 'UC', amount: uc('600') };
+  assert.deepEqual(checkVelocity(stateManager, burn), []);
+});
+
+test('a refund counts in the units of its payout direction', () => {
+  // A deposit refund unlocks on BSC, so it uses the UC -> BSC budget
+  recordVolume(stateManager, deposit('250', { direction: 'uc-to-bsc' }));
+
+  const usage = getVelocityUsage(stateManager).directions;
+  assert.equal(usage['uc-to-bsc'].hourly.used, '250.0');
+  assert.equal(usage['bsc-to-uc'].hourly.used, '0.0');
+  assert.equal(stateManager.getVolume()[0].amount, uc('250').toString());
+});
+
+test('usage for an address covers it as sender and as destination', () => {
+  recordVolume(stateManager, deposit('100'));
+  recordVolume(stateManager, deposit('40', { sender: '0xbbbb', recipient: '0xaaaa' }));
+
+  const usage = getVelocityUsage(stateManager, '0xAAAA').directions['bsc-to-uc'];
+  assert.equal(usage.sender.used, '100.0');
+  assert.equal(usage.destination.used, '40.0');
+});
+
+test('admitTransfer counts transfers within the limits and holds the rest', async () => {
+  assert.equal(await admitTransfer(stateManager, deposit('500')), null);
+  assert.equal(stateManager.getVolume().length, 1);
+
+  const hold = await admitTransfer(stateManager, deposit('1200'));
+  assert.equal(hold.status, HOLD_STATUS.PENDING_REVIEW);
+  assert.equal(hold.code, 'VELOCITY_LIMIT');
+  assert.equal(hold.amount, '1200.0');
+  assert.equal(stateManager.getVolume().length, 1);
+  assert.equal(circuitBreaker.isTripped(), false);
+});
+
+test('a breach of a global cap also trips the circuit breaker', async () => {
+  recordVolume(stateManager, deposit('1000', { sender: '0x1' }));
+  recordVolume(stateManager, deposit('1000', { sender: '0x2' }));
+
+  const hold = await admitTransfer(stateManager, deposit('600', { sender: '0x3' }));
+  assert.equal(hold.code, 'VELOCITY_LIMIT');
+  assert.equal(stateManager.getCircuitBreaker().trigger, 'velocity_limit');
+});
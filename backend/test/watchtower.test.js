@@ -0,0 +1,129 @@
+import { TEST_TOKENS } from './setup.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { ethers } from 'ethers';
+import { Watchtower } from '../src/watchtower.js';
+import { getRefundId } from '../src/refunds.js';
+import { getRecentAlerts } from '../src/alerts.js';
+import { config } from '../src/config.js';
+import { tokenRegistry } from '../src/tokens.js';
+
+tokenRegistry.tokens = TEST_TOKENS;
+
+const STATE_FILE = 'watchtower-state.json';
+const bsc = value => tokenRegistry.parse('BSC', value);
+const uc = value => tokenRegistry.parse('UC', value);
+const sender = ethers.getAddress('0x00000000000000000000000000000000000000aa');
+const recipient = ethers.getAddress('0x00000000000000000000000000000000000000bb');
+const DEPOSIT_ID = ethers.id('deposit 1');
+
+let watchtower;
+let nextLog = 0;
+
+// A finalized UC Mint paying out `amount` to `user` for `sourceId`
+const mint = (amount, { user = recipient, sourceId = DEPOSIT_ID } = {}) => ({
+  chain: 'UC',
+  event: 'Mint',
+  txHash: '0xmint',
+  logIndex: nextLog++,
+  blockNumber: 10,
+  timestamp: 4e9,
+  user,
+  amountRaw: amount.toString(),
+  sourceId
+});
+
+beforeEach(() => {
+  fs.rmSync(STATE_FILE, { force: true });
+  watchtower = new Watchtower();
+  watchtower.state.checkFrom = { BSC: 0, UC: 0 };
+  watchtower.state.scannedAt = { BSC: 4e9, UC: 4e9 };
+
+  // A 100 USDT deposit to `recipient`, so 98 on UC after the 2 USDT minimum fee
+  watchtower.indexSource({ name: 'BSC', source: { type: 'deposit', idField: 'depositId' } }, {
+    args: { depositId: DEPOSIT_ID, user: sender, amount: bsc('100'), destinationAddress: recipient.toLowerCase() },
+    transactionHash: '0xdeposit',
+    blockNumber: 5
+  });
+});
+
+const verify = payout => watchtower.verifyPayout(payout, watchtower.state.payouts[payout.sourceId] || [])?.code || null;
+
+test('a mint matching its deposit and the fee policy passes, a second one is a duplicate', async () => {
+  assert.equal(verify(mint(uc('98'))), null);
+
+  await watchtower.checkPayout(mint(uc('98')));
+  assert.equal(verify(mint(uc('98'))), 'DUPLICATE_PAYOUT');
+});
+
+test('wrong recipients, excess amounts and unknown sources are critical', () => {
+  assert.equal(verify(mint(uc('98'), { user: sender })), 'WRONG_RECIPIENT');
+  assert.equal(verify(mint(uc('100.000001'))), 'AMOUNT_EXCEEDS_SOURCE');
+  assert.equal(verify(mint(uc('98'), { sourceId: ethers.id('deposit 2') })), 'NO_SOURCE');
+});
+
+test('an amount that only disagrees with the fee policy is a warning', () => {
+  const finding = watchtower.verifyPayout(mint(uc('99')), []);
+  assert.equal(finding.code, 'FEE_MISMATCH');
+  assert.equal(finding.severity, 'warning');
+});
+
+test('a refund must return the full amount to the sender', () => {
+  const refund = (user, amount) => ({ ...mint(amount, { user, sourceId: getRefundId('deposit', DEPOSIT_ID) }), chain: 'BSC', event: 'Withdrawal' });
+
+  assert.equal(verify(refund(sender, bsc('100'))), null);
+  assert.equal(verify(refund(recipient, bsc('100'))), 'REFUND_MISMATCH');
+  assert.equal(verify(refund(sender, bsc('99'))), 'REFUND_MISMATCH');
+});
+
+test('with WATCHTOWER_PAUSE a critical finding pauses the bridge that paid out', async (t) => {
+  t.after(() => { config.watchtowerPause = false; });
+  config.watchtowerPause = true;
+  let waitedFor = null;
+  watchtower.chains.UC = {
+    provider: { getFeeData: async () => ({ gasPrice: 1n }) },
+    bridge: { paused: async () => false },
+    pauser: {
+      pause: async () => ({
+        hash: '0xpause',
+        wait: async (confirms, timeout) => {
+          waitedFor = timeout;
+          return { status: 1 };
+        }
+      })
+    }
+  };
+
+  await watchtower.checkPayout(mint(uc('98'), { sourceId: ethers.id('deposit 2') }));
+
+  assert.equal(watchtower.getFindings()[0].paused, true);
+  assert.equal(waitedFor, config.stuckTxTimeout);
+  assert.equal(getRecentAlerts()[0].type, 'BRIDGE_PAUSED');
+  assert.equal(watchtower.getStatus().pausedBridges.UC.txHash, '0xpause');
+});
+
+test('a pause that does not confirm raises an alert and scanning goes on', async (t) => {
+  t.after(() => { config.watchtowerPause = false; });
+  config.watchtowerPause = true;
+  watchtower.chains.UC = {
+    provider: { getFeeData: async () => ({ gasPrice: 1n }) },
+    bridge: { paused: async () => false },
+    pauser: { pause: async () => ({ hash: '0xpause', wait: async () => { throw new Error('timeout'); } }) }
+  };
+
+  await watchtower.checkPayout(mint(uc('98'), { sourceId: ethers.id('deposit 2') }));
+
+  assert.equal(watchtower.getFindings()[0].paused, false);
+  assert.equal(getRecentAlerts()[0].type, 'WATCHTOWER_PAUSE_FAILED');
+  assert.equal(getRecentAlerts()[0].details.pauseTxHash, '0xpause');
+});
+
+test('state is saved atomically and an unreadable file stops the watchtower from starting', () => {
+  watchtower.saveState();
+  assert.equal(JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).sources[DEPOSIT_ID].txHash, '0xdeposit');
+  assert.equal(fs.existsSync(`${STATE_FILE}.tmp`), false);
+
+  fs.writeFileSync(STATE_FILE, '{ "lastBlock": ');
+  assert.throws(() => new Watchtower(), /unreadable/);
+});
@@ -8,8 +8,11 @@ import {
   USDT_ABI,
   getBridgeAddress,
   getUSDTAddress,
-  getExplorerUrl
+  getExplorerUrl,
+  RELAYER_URL
 } from '../lib/contracts';
+import { getTokenDecimals } from '../lib/tokens';
+import { getFeeSchedule, getDirection, estimateFee, getQuote, describeQuoteWarning, describeBridgeError, formatEta } from '../lib/fees';
 
 const CHAIN_CONFIG = {
   56: { 
@@ -47,9 +50,19 @@ export default function Dashboard() {
   const [bridgeStep, setBridgeStep] = useState(0);
   const [txHash, setTxHash] = useState('');
   const [error, setError] = useState('');
+  const [feeSchedule, setFeeSchedule] = useState(null);
+  const [quote, setQuote] = useState(null);
+  const [isQuoting, setIsQuoting] = useState(false);
 
   // Web3 is now managed by context - no initialization needed here
 
+  // Load the relayer's fee schedule once
+  useEffect(() => {
+    getFeeSchedule()
+      .then(setFeeSchedule)
+      .catch(error => console.warn('Could not load fee schedule:', error.message));
+  }, []);
+
   // Auto-set chains based on connected network and load balance
   useEffect(() => {
     if (isConnected && chainId) {
@@ -157,14 +170,9 @@ export default function Dashboard() {
 
       const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, signer);
 
-      // Get decimals from contract to ensure correct formatting
-      let decimals = 18; // Default to 18 (standard ERC20)
-      try {
-        decimals = await usdtContract.decimals();
-        console.log(`✅ USDT decimals for chain ${sourceChain}:`, decimals);
-      } catch (e) {
-        console.warn(`⚠️ Could not get decimals for chain ${sourceChain}, using 18 as default`);
-      }
+      // Same decimals the relayer uses for this chain
+      const decimals = await getTokenDecimals(targetChain);
+      console.log(`✅ USDT decimals for chain ${sourceChain}:`, decimals);
 
       console.log(`🔄 Calling balanceOf for chain ${sourceChain}...`);
       const bal = await usdtContract.balanceOf(account);
@@ -213,13 +221,7 @@ export default function Dashboard() {
 
       const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, signer);
       
-      // Get decimals from contract
-      let decimals = 18;
-      try {
-        decimals = await usdtContract.decimals();
-      } catch (e) {
-        console.warn('Could not get decimals for allowance, using 18');
-      }
+      const decimals = await getTokenDecimals(targetChain);
       
       const allow = await usdtContract.allowance(account, bridgeAddress);
       setAllowance(ethers.formatUnits(allow, decimals));
@@ -240,13 +242,7 @@ export default function Dashboard() {
       const bridgeAddress = getBridgeAddress(Number(sourceChain));
       const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, signer);
 
-      // Get decimals from contract
-      let decimals = 18;
-      try {
-        decimals = await usdtContract.decimals();
-      } catch (e) {
-        console.warn('Could not get decimals for approval, using 18');
-      }
+      const decimals = await getTokenDecimals(Number(sourceChain));
 
       const amountWei = ethers.parseUnits(amount, decimals);
 
@@ -288,7 +284,17 @@ export default function Dashboard() {
       }
     }
 
-    setShowConfirmModal(true);
+    // Confirm against the relayer's quote, not the local estimate
+    setIsQuoting(true);
+    try {
+      setQuote(await getQuote(sourceChain, amount, { sender: account, destination: account }));
+      setShowConfirmModal(true);
+    } catch (error) {
+      console.error('Error fetching quote:', error);
+      setError(error.code === 'ADDRESS_BLOCKED' ? error.message : 'Could not get a quote from the relayer: ' + error.message);
+    } finally {
+      setIsQuoting(false);
+    }
   };
 
   const confirmBridge = async () => {
@@ -301,13 +307,7 @@ export default function Dashboard() {
       const usdtAddress = getUSDTAddress(Number(sourceChain));
       const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, signer);
       
-      // Get decimals from contract
-      let decimals = 18;
-      try {
-        decimals = await usdtContract.decimals();
-      } catch (e) {
-        console.warn('Could not get decimals for bridge, using 18');
-      }
+      const decimals = await getTokenDecimals(Number(sourceChain));
       
       const bridgeAddress = getBridgeAddress(Number(sourceChain));
       const bridgeContract = new ethers.Contract(bridgeAddress, BRIDGE_ABI, signer);
@@ -328,15 +328,15 @@ export default function Dashboard() {
       let backendMethodName;
 
       if (Number(sourceChain) === 56) {
-        // BSC to UC: deposit full amount (backend deducts 1% fee)
+        // BSC to UC: deposit full amount (backend deducts the bridge fee)
         tx = await bridgeContract.deposit(amountWei, account.toString());
-        backendEndpoint = 'http://localhost:3002/api/process-deposit';
+        backendEndpoint = `${RELAYER_URL}/api/process-deposit`;
         backendMethodName = 'deposit';
         console.log('✅ BSC Deposit transaction sent:', tx.hash);
       } else if (Number(sourceChain) === 1137) {
-        // UC to BSC: withdraw full amount (backend deducts 1% fee)
+        // UC to BSC: withdraw full amount (backend deducts the bridge fee)
         tx = await bridgeContract.withdraw(amountWei, account.toString());
-        backendEndpoint = 'http://localhost:3002/api/process-withdrawal';
+        backendEndpoint = `${RELAYER_URL}/api/process-withdrawal`;
         backendMethodName = 'withdrawal';
         console.log('✅ UC Withdrawal transaction sent:', tx.hash);
       } else {
@@ -392,6 +392,19 @@ export default function Dashboard() {
             const destChain = Number(sourceChain) === 56 ? 'UC' : 'BSC';
             alert(`🎉 Bridge successful!\n\n${direction}: ${parseFloat(amount).toFixed(2)} USDT\nRecipient: ${result.recipient}\n${destChain} Tx: ${result.ucTxHash || result.bscTxHash}\n\nProcessing time: ${result.totalTime}`);
           }, 3000);
+        } else if (result.held) {
+          // Verified by the relayer but not minted/unlocked yet
+          console.warn(`⏸️ ${backendMethodName} held by the relayer:`, result);
+          setError(describeBridgeError(result.code) || `${backendMethodName} submitted and held for review by the bridge operators.`);
+          setShowProgressModal(false);
+          setBridgeStep(0);
+        } else if (result.refunded) {
+          // Destination could not receive the transfer; the amount went back to the sender
+          console.warn(`↩️ ${backendMethodName} refunded by the relayer:`, result);
+          setError(`${result.message || `${backendMethodName} could not be delivered and was refunded.`} Refund Tx: ${result.refundTxHash}`);
+          setShowProgressModal(false);
+          setBridgeStep(0);
+          loadBalance();
         } else {
           console.error(`❌ Backend processing failed:`, result);
           setError(`${backendMethodName} submitted but backend processing failed: ${result.error || 'Unknown error'}`);
@@ -426,10 +439,15 @@ export default function Dashboard() {
 
   const cancelBridge = () => {
     setShowConfirmModal(false);
+    setQuote(null);
   };
 
-  const bridgeFee = parseFloat(amount || 0) * 0.01; // 1% fee (0.01$ per 1$)
+  // Fee as configured on the relayer (tiers, flat fee, min/max)
+  const feePolicy = feeSchedule?.[getDirection(sourceChain)];
+  const feeEstimate = feePolicy ? estimateFee(feePolicy, parseFloat(amount || 0)) : null;
+  const bridgeFee = feeEstimate ? feeEstimate.fee : 0;
   const receivedAmount = parseFloat(amount || 0) - bridgeFee;
+  const feeLabel = feeEstimate ? `Bridge Fee (${feeEstimate.bps / 100}%${feePolicy.flatFee ? ` + ${feePolicy.flatFee} USDT` : ''})` : 'Bridge Fee';
   const needsApproval = parseFloat(allowance) < parseFloat(amount || 0);
 
   return (
@@ -662,7 +680,7 @@ export default function Dashboard() {
             <h3 className="text-yellow-400 font-bold text-base sm:text-lg mb-3 sm:mb-4">Transaction Details</h3>
             <div className="space-y-2 sm:space-y-3">
               <div className="flex justify-between text-xs sm:text-sm flex-wrap gap-1">
-                <span className="text-slate-400">Bridge Fee (1%)</span>
+                <span className="text-slate-400">{feeLabel}</span>
                 <span className="font-medium break-all">{bridgeFee.toFixed(2)} USDT</span>
               </div>
               <div className="flex justify-between text-xs sm:text-sm flex-wrap gap-1">
@@ -724,11 +742,11 @@ export default function Dashboard() {
             
             <button
               onClick={handleBridge}
-              disabled={!isConnected || isBridging || needsApproval}
+              disabled={!isConnected || isBridging || isQuoting || needsApproval}
               className="w-full py-3 sm:py-3.5 md:py-4 bg-gradient-to-r from-yellow-400 to-orange-500 text-slate-900 font-bold text-sm sm:text-base rounded-lg sm:rounded-xl hover:from-yellow-500 hover:to-orange-600 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center space-x-2 glow-yellow"
             >
               <i className="fa-solid fa-rocket text-sm sm:text-base"></i>
-              <span>{isBridging ? 'Bridging...' : 'Bridge Now'}</span>
+              <span>{isBridging ? 'Bridging...' : isQuoting ? 'Getting quote...' : 'Bridge Now'}</span>
             </button>
 
             <Link href="/transactions">
@@ -797,26 +815,56 @@ export default function Dashboard() {
                   </div>
                 </div>
                 
-                <div className="glassmorphism p-4 rounded-xl">
-                  <div className="flex justify-between mb-2">
-                    <span className="text-slate-400">Amount</span>
-                    <span className="font-bold text-yellow-400">{parseFloat(amount || 0).toFixed(2)} USDT</span>
-                  </div>
-                  <div className="flex justify-between mb-2">
-                    <span className="text-slate-400">Bridge Fee</span>
-                    <span>{bridgeFee.toFixed(2)} USDT</span>
+                {quote && (
+                  <div className="glassmorphism p-4 rounded-xl">
+                    <div className="flex justify-between mb-2">
+                      <span className="text-slate-400">Amount</span>
+                      <span className="font-bold text-yellow-400">{parseFloat(quote.grossAmount).toFixed(2)} USDT</span>
+                    </div>
+                    <div className="flex justify-between mb-2">
+                      <span className="text-slate-400">Bridge Fee ({quote.fee.bps / 100}%)</span>
+                      <span>{parseFloat(quote.fee.totalFee).toFixed(2)} USDT</span>
+                    </div>
+                    {parseFloat(quote.fee.flatFee) > 0 && (
+                      <div className="flex justify-between mb-2 text-xs">
+                        <span className="text-slate-500">incl. flat fee</span>
+                        <span className="text-slate-500">{parseFloat(quote.fee.flatFee).toFixed(2)} USDT</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between mb-2">
+                      <span className="text-slate-400">Estimated Time</span>
+                      <span className="text-green-400">≈ {formatEta(quote.estimatedTimeSec)}</span>
+                    </div>
+                    {quote.destination.liquidity !== null && (
+                      <div className="flex justify-between mb-2 text-xs">
+                        <span className="text-slate-500">Available on {CHAIN_CONFIG[Number(destChain)]?.name}</span>
+                        <span className="text-slate-500">{formatLargeNumber(parseFloat(quote.destination.liquidity))} USDT</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <span className="text-slate-400">You&apos;ll Receive</span>
+                      <span className="font-bold text-green-400">{parseFloat(quote.netAmount).toFixed(2)} USDT</span>
+                    </div>
                   </div>
-                  <div className="flex justify-between">
-                    <span className="text-slate-400">You'll Receive</span>
-                    <span className="font-bold text-green-400">{receivedAmount.toFixed(2)} USDT</span>
+                )}
+
+                {quote && quote.warnings.length > 0 && (
+                  <div className="p-3 rounded-xl border border-red-500/50 bg-red-500/10 text-sm text-red-400 space-y-1">
+                    {quote.warnings.map(code => (
+                      <div key={code}>
+                        <i className="fa-solid fa-triangle-exclamation mr-2"></i>
+                        {describeQuoteWarning(code)}
+                      </div>
+                    ))}
                   </div>
-                </div>
+                )}
               </div>
 
               <div className="space-y-3">
                 <button
                   onClick={confirmBridge}
-                  className="w-full py-3 bg-gradient-to-r from-yellow-400 to-orange-500 text-slate-900 font-bold rounded-xl hover:from-yellow-500 hover:to-orange-600 transition-all glow-yellow"
+                  disabled={!quote?.ok}
+                  className="w-full py-3 bg-gradient-to-r from-yellow-400 to-orange-500 text-slate-900 font-bold rounded-xl hover:from-yellow-500 hover:to-orange-600 transition-all glow-yellow disabled:opacity-50 disabled:cursor-not-allowed"
                 >
                   Confirm & Bridge
                 </button>
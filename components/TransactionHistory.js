@@ -59,6 +59,9 @@ export default function TransactionHistory() {
         return 'text-yellow-400 bg-yellow-400/20';
       case 'failed':
         return 'text-red-400 bg-red-400/20';
+      case 'refunded':
+      case 'refunding':
+        return 'text-blue-400 bg-blue-400/20';
       default:
         return 'text-slate-400 bg-slate-400/20';
     }
@@ -72,6 +75,9 @@ export default function TransactionHistory() {
         return 'fa-clock';
       case 'failed':
         return 'fa-times-circle';
+      case 'refunded':
+      case 'refunding':
+        return 'fa-rotate-left';
       default:
         return 'fa-question-circle';
     }
@@ -79,9 +85,17 @@ export default function TransactionHistory() {
 
   const filteredTransactions = transactions.filter(tx => {
     if (filter === 'all') return true;
+    if (filter === 'refunded') return Boolean(tx.refund);
     return tx.status.toLowerCase() === filter;
   });
 
+  const refundReasons = {
+    invalid_destination: 'The destination address was not valid',
+    expired: 'The transfer could not be completed in time',
+    below_minimum: 'The amount was below the transfer minimum',
+    above_maximum: 'The amount was above the transfer maximum'
+  };
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-800 text-white p-3 sm:p-4 md:p-6 lg:p-8">
       <div className="max-w-4xl mx-auto">
@@ -150,7 +164,8 @@ export default function TransactionHistory() {
                 { key: 'all', label: 'All', icon: 'fa-list' },
                 { key: 'completed', label: 'Completed', icon: 'fa-check-circle' },
                 { key: 'pending', label: 'Pending', icon: 'fa-clock' },
-                { key: 'failed', label: 'Failed', icon: 'fa-times-circle' }
+                { key: 'failed', label: 'Failed', icon: 'fa-times-circle' },
+                { key: 'refunded', label: 'Refunded', icon: 'fa-rotate-left' }
               ].map(({ key, label, icon }) => (
                 <button
                   key={key}
@@ -199,7 +214,7 @@ export default function TransactionHistory() {
                         <div className="min-w-0 flex-1">
                           <div className="flex items-center space-x-2 mb-1">
                             <span className="font-bold text-white text-sm sm:text-base truncate">
-                              {tx.type || 'Bridge Transfer'}
+                              {tx.isRefundPayout ? 'refund' : (tx.type || 'Bridge Transfer')}
                             </span>
                             <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getStatusColor(tx.status)} flex items-center space-x-1 flex-shrink-0`}>
                               <i className={`fa-solid ${getStatusIcon(tx.status)}`}></i>
@@ -222,6 +237,30 @@ export default function TransactionHistory() {
                     </div>
 
                     <div className="space-y-2 text-xs">
+                      {/* Refund: why the transfer went back to the sender */}
+                      {tx.refund && (
+                        <div className="bg-blue-500/10 border border-blue-500/30 rounded p-2">
+                          <div className="text-blue-300 mb-1">
+                            <i className="fa-solid fa-rotate-left mr-1"></i>
+                            {tx.isRefundPayout ? 'Refund payout' : `Refund ${tx.refund.status === 'completed' ? 'sent' : 'in progress'}`}: {tx.refund.amount} USDT to {tx.refund.recipient.slice(0, 8)}...{tx.refund.recipient.slice(-6)} on {tx.refund.chain}
+                          </div>
+                          <div className="text-slate-400">
+                            Reason: {refundReasons[tx.refund.reason] || tx.refund.reason}
+                          </div>
+                          {tx.refund.txHash && (
+                            <a
+                              href={getExplorerUrl(tx.refund.chain === 'BSC' ? 56 : 1137, tx.refund.txHash)}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-400 hover:text-blue-300 font-mono"
+                            >
+                              {tx.refund.txHash.slice(0, 12)}...{tx.refund.txHash.slice(-10)}
+                              <i className="fa-solid fa-external-link-alt ml-1"></i>
+                            </a>
+                          )}
+                        </div>
+                      )}
+
                       {/* Blockchain Transaction Hashes */}
                       {tx.blockchainTxHashes ? (
                         <>
@@ -21,6 +21,9 @@ export const RPC_URLS = {
   1137: "https://rpc.mainnet.ucchain.org"
 };
 
+// Relayer API, used for every call the frontend makes to the backend
+export const RELAYER_URL = process.env.NEXT_PUBLIC_RELAYER_URL || 'https://bridge.ucchain.org';
+
 // Block Explorer URLs
 export const EXPLORER_URLS = {
   56: "https://bscscan.com",
@@ -0,0 +1,126 @@
+import { RELAYER_URL } from './contracts';
+
+let feeSchedulePromise = null;
+
+/**
+ * Fee schedule configured on the relayer (GET /api/fees), cached.
+ * @returns {Promise<Object>} Fee policy keyed by direction ('bsc-to-uc', 'uc-to-bsc')
+ */
+export function getFeeSchedule() {
+  if (!feeSchedulePromise) {
+    feeSchedulePromise = fetch(`${RELAYER_URL}/api/fees`)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Relayer returned ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch(error => {
+        feeSchedulePromise = null;
+        throw error;
+      });
+  }
+  return feeSchedulePromise;
+}
+
+/**
+ * Bridge direction for a source chain ID
+ * @param {number} sourceChainId - 56 or 1137
+ * @returns {string} 'bsc-to-uc' or 'uc-to-bsc'
+ */
+export function getDirection(sourceChainId) {
+  return Number(sourceChainId) === 56 ? 'bsc-to-uc' : 'uc-to-bsc';
+}
+
+/**
+ * Estimate the fee for display, using the same rules as the relayer
+ * (tiered percentage + flat fee, then min/max). The relayer's result is exact.
+ * @param {Object} policy - One direction of the fee schedule
+ * @param {number} amount - Amount in USDT
+ * @returns {{ bps: number, fee: number, received: number }}
+ */
+export function estimateFee(policy, amount) {
+  let bps = policy.bps;
+  for (const tier of policy.tiers) {
+    if (amount >= parseFloat(tier.minAmount)) {
+      bps = tier.bps;
+    }
+  }
+
+  let fee = (amount * bps) / 10000 + parseFloat(policy.flatFee || 0);
+  if (policy.minFee && fee < parseFloat(policy.minFee)) {
+    fee = parseFloat(policy.minFee);
+  }
+  if (policy.maxFee && fee > parseFloat(policy.maxFee)) {
+    fee = parseFloat(policy.maxFee);
+  }
+  fee = Math.min(fee, amount);
+
+  return { bps, fee, received: amount - fee };
+}
+
+/**
+ * Quote a transfer on the relayer (GET /api/quote): exact fee breakdown,
+ * net amount, limits, destination liquidity, pause state and ETA.
+ * @param {number} sourceChainId - 56 or 1137
+ * @param {string} amount - Amount in USDT
+ * @param {Object} addresses - Optional { sender, destination }, screened by the relayer
+ * @returns {Promise<Object>} Quote; quote.ok is false when quote.warnings explain why not to send
+ * @throws {Error} With error.code set from the relayer (e.g. ADDRESS_BLOCKED)
+ */
+export async function getQuote(sourceChainId, amount, { sender, destination } = {}) {
+  const params = new URLSearchParams({ direction: getDirection(sourceChainId), amount: amount.toString() });
+  if (sender) params.set('sender', sender);
+  if (destination) params.set('destination', destination);
+
+  const response = await fetch(`${RELAYER_URL}/api/quote?${params}`);
+  const body = await response.json();
+  if (!response.ok) {
+    const error = new Error(describeBridgeError(body.code) || body.error || `Relayer returned ${response.status}`);
+    error.code = body.code;
+    throw error;
+  }
+  return body;
+}
+
+const BRIDGE_ERRORS = {
+  ADDRESS_BLOCKED: 'This address is not allowed to use the bridge. If you believe this is a mistake, please contact support.',
+  AWAITING_APPROVAL: 'Your transfer is verified and waiting for approval by the bridge operators.',
+  VELOCITY_LIMIT: 'Your transfer is verified and held for review because it exceeds the current bridge limits.'
+};
+
+/**
+ * User-facing explanation for a relayer error or hold code
+ * @param {string} code - Code from the quote or process API
+ * @returns {string|null} Message, or null for unknown codes
+ */
+export function describeBridgeError(code) {
+  return BRIDGE_ERRORS[code] || null;
+}
+
+const QUOTE_WARNINGS = {
+  AMOUNT_BELOW_FEE: 'Amount does not cover the bridge fee',
+  AMOUNT_BELOW_MINIMUM: 'Amount is below the minimum transfer',
+  AMOUNT_ABOVE_MAXIMUM: 'Amount is above the maximum transfer',
+  INSUFFICIENT_LIQUIDITY: 'Not enough liquidity on the destination chain',
+  SOURCE_PAUSED: 'The source bridge is paused',
+  DESTINATION_PAUSED: 'The destination bridge is paused'
+};
+
+/**
+ * Human readable message for a quote warning code
+ * @param {string} code - Warning code from the quote
+ * @returns {string} Message
+ */
+export function describeQuoteWarning(code) {
+  return QUOTE_WARNINGS[code] || code;
+}
+
+/**
+ * Format a quote's ETA, e.g. "45 sec" or "3 min"
+ * @param {number} seconds - Estimated time in seconds
+ * @returns {string} Formatted duration
+ */
+export function formatEta(seconds) {
+  return seconds < 90 ? `${seconds} sec` : `${Math.ceil(seconds / 60)} min`;
+}
@@ -0,0 +1,78 @@
+import { ethers } from 'ethers';
+import { getUSDTAddress, USDT_ABI, RPC_URLS, RELAYER_URL } from './contracts';
+
+// Cached per chain: chainId -> Promise<number>
+const decimalsCache = {};
+let relayerTokensPromise = null;
+
+/**
+ * Token registry shared with the relayer (GET /api/tokens).
+ * @returns {Promise<Object|null>} Tokens keyed by chain ID, or null if unavailable
+ */
+async function fetchRelayerTokens() {
+  try {
+    const response = await fetch(`${RELAYER_URL}/api/tokens`);
+    if (!response.ok) {
+      return null;
+    }
+    const tokens = await response.json();
+    return Object.fromEntries(Object.values(tokens).map(token => [Number(token.chainId), token]));
+  } catch (error) {
+    console.warn('Could not load token registry from relayer:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Get USDT decimals for a chain. Uses the relayer's registry so the UI and
+ * the relayer format amounts identically; falls back to decimals() on-chain.
+ * @param {number} chainId - Chain ID (56 or 1137)
+ * @returns {Promise<number>} Token decimals
+ */
+export function getTokenDecimals(chainId) {
+  const id = Number(chainId);
+
+  if (!decimalsCache[id]) {
+    decimalsCache[id] = (async () => {
+      if (!relayerTokensPromise) {
+        relayerTokensPromise = fetchRelayerTokens();
+      }
+      const relayerTokens = await relayerTokensPromise;
+      const usdtAddress = getUSDTAddress(id);
+      const token = relayerTokens?.[id];
+
+      if (token && token.address.toLowerCase() === usdtAddress.toLowerCase()) {
+        return Number(token.decimals);
+      }
+
+      const provider = new ethers.JsonRpcProvider(RPC_URLS[id]);
+      const usdtContract = new ethers.Contract(usdtAddress, USDT_ABI, provider);
+      return Number(await usdtContract.decimals());
+    })().catch(error => {
+      delete decimalsCache[id];
+      throw error;
+    });
+  }
+
+  return decimalsCache[id];
+}
+
+/**
+ * Format a raw USDT amount for display
+ * @param {number} chainId - Chain the amount is denominated on
+ * @param {bigint|string} amount - Raw token amount
+ * @returns {Promise<string>} Human readable amount
+ */
+export async function formatTokenAmount(chainId, amount) {
+  return ethers.formatUnits(amount, await getTokenDecimals(chainId));
+}
+
+/**
+ * Parse a user-entered USDT amount
+ * @param {number} chainId - Chain the amount will be sent on
+ * @param {string} value - Human readable amount
+ * @returns {Promise<bigint>} Raw token amount
+ */
+export async function parseTokenAmount(chainId, value) {
+  return ethers.parseUnits(value.toString(), await getTokenDecimals(chainId));
+}
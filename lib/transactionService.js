@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
-import { getBridgeAddress, BRIDGE_ABI } from './contracts';
+import { getBridgeAddress, BRIDGE_ABI, RELAYER_URL } from './contracts';
+import { getTokenDecimals } from './tokens';
 
 // Transaction service to fetch bridge transactions from blockchain
 export class TransactionService {
@@ -28,35 +29,37 @@ export class TransactionService {
       
       // Verify and format transactions
       const verifiedTransactions = [];
+      const decimals = await getTokenDecimals(this.chainId);
       
       for (const tx of transactions) {
         // Format the transaction
-        const formattedTx = this.formatTransaction(tx);
+        const formattedTx = this.formatTransaction(tx, decimals);
         
-        // Verify actual status by checking if linkedId exists and is not zero
+        // The relayer writes Completed/Failed back to this record once the
+        // transfer settles, so the contract status is authoritative
         const hasLinkedTx = tx.linkedId && tx.linkedId !== '0x0000000000000000000000000000000000000000000000000000000000000000';
-        
-        // If transaction has a linked ID, it's completed
-        if (hasLinkedTx) {
-          formattedTx.status = 'Completed';
-          formattedTx.statusCode = 1;
-        }
-        // If transaction is older than 5 minutes and has no linked ID, check if it's actually pending
-        else if (Date.now() / 1000 - Number(tx.timestamp) > 300) {
-          // Old transaction with no linked ID - likely stuck or failed
-          // But keep the status from contract
-          if (Number(tx.status) === 0) {
-            // Still showing as pending after 5 minutes - might be stuck
-            formattedTx.status = 'Pending';
-          }
-        }
 
         // Fetch actual blockchain tx hashes from relayer
+        // (the relayer keys transfers by deposit/burn ID, which is the record's linkedId)
         try {
-          const blockchainHashes = await this.fetchBlockchainTxHashes(formattedTx.transactionId);
+          const blockchainHashes = await this.fetchBlockchainTxHashes(hasLinkedTx ? formattedTx.linkedId : formattedTx.transactionId);
           if (blockchainHashes) {
             formattedTx.blockchainTxHashes = blockchainHashes;
           }
+          // Records settled before status write-back stay Pending on-chain;
+          // a delivered transfer in the relayer's history is Completed
+          if (formattedTx.statusCode === 0 && blockchainHashes?.destTxHash) {
+            formattedTx.status = 'Completed';
+            formattedTx.statusCode = 1;
+          }
+          if (blockchainHashes?.refund) {
+            // Either the refunded transfer or the refund payout itself
+            formattedTx.refund = blockchainHashes.refund;
+            formattedTx.isRefundPayout = blockchainHashes.refund.refundId === formattedTx.linkedId;
+            if (!formattedTx.isRefundPayout) {
+              formattedTx.status = blockchainHashes.refund.status === 'completed' ? 'Refunded' : 'Refunding';
+            }
+          }
         } catch (error) {
           console.error('Error fetching blockchain hashes for tx:', formattedTx.transactionId, error);
         }
@@ -79,7 +82,7 @@ export class TransactionService {
   async getTransaction(transactionId) {
     try {
       const tx = await this.bridgeContract.getTransaction(transactionId);
-      return this.formatTransaction(tx);
+      return this.formatTransaction(tx, await getTokenDecimals(this.chainId));
     } catch (error) {
       console.error('Error fetching transaction:', error);
       return null;
@@ -107,9 +110,10 @@ export class TransactionService {
   async getMarketOverview() {
     try {
       const overview = await this.bridgeContract.getMarketOverview();
+      const decimals = await getTokenDecimals(this.chainId);
       return {
-        current24hVolume: ethers.formatUnits(overview.current24hVolume, 18),
-        previous24hVolume: ethers.formatUnits(overview.previous24hVolume, 18),
+        current24hVolume: ethers.formatUnits(overview.current24hVolume, decimals),
+        previous24hVolume: ethers.formatUnits(overview.previous24hVolume, decimals),
         volumeIncreasePercent: Number(overview.volumeIncreasePercent),
         successRate: Number(overview.successRate),
         avgProcessingTime: Number(overview.avgProcessingTime)
@@ -123,9 +127,10 @@ export class TransactionService {
   /**
    * Format transaction object for display
    * @param {Object} tx - Raw transaction from contract
+   * @param {number} decimals - USDT decimals on this chain (see getTokenDecimals)
    * @returns {Object} Formatted transaction
    */
-  formatTransaction(tx) {
+  formatTransaction(tx, decimals) {
     const statusMap = {
       0: 'Pending',
       1: 'Completed',
@@ -133,16 +138,6 @@ export class TransactionService {
       3: 'Cancelled'
     };
 
-    // Detect correct decimals based on amount size
-    // If amount is huge (> 1e15), it's likely using 18 decimals instead of 6
-    let decimals = 6; // USDT standard
-    const amountBigInt = BigInt(tx.amount.toString());
-    
-    // If amount is greater than 1 trillion (1e12), it's probably 18 decimals
-    if (amountBigInt > BigInt('1000000000000')) {
-      decimals = 18;
-    }
-
     return {
       transactionId: tx.transactionId,
       user: tx.user,
@@ -169,8 +164,7 @@ export class TransactionService {
    */
   async fetchBlockchainTxHashes(transactionId) {
     try {
-      const relayerUrl = process.env.NEXT_PUBLIC_RELAYER_URL || 'https://bridge.ucchain.org';
-      const response = await fetch(`${relayerUrl}/api/tx-hashes/${transactionId}`);
+      const response = await fetch(`${RELAYER_URL}/api/tx-hashes/${transactionId}`);
 
       if (response.ok) {
         return await response.json();
@@ -188,11 +182,9 @@ export class TransactionService {
    */
   onDeposit(callback) {
     const filter = this.bridgeContract.filters.Deposit();
-    this.bridgeContract.on(filter, (user, amount, depositId, destinationChain, destinationAddress, event) => {
-      // Auto-detect decimals
-      const amountBigInt = BigInt(amount.toString());
-      const decimals = amountBigInt > BigInt('1000000000000') ? 18 : 6;
-      
+    this.bridgeContract.on(filter, async (user, amount, depositId, destinationChain, destinationAddress, event) => {
+      const decimals = await getTokenDecimals(this.chainId);
+
       callback({
         user,
         amount: ethers.formatUnits(amount, decimals),
@@ -211,11 +203,9 @@ export class TransactionService {
    */
   onWithdrawal(callback) {
     const filter = this.bridgeContract.filters.Withdrawal();
-    this.bridgeContract.on(filter, (user, amount, withdrawalId, sourceChain, burnId, event) => {
-      // Auto-detect decimals
-      const amountBigInt = BigInt(amount.toString());
-      const decimals = amountBigInt > BigInt('1000000000000') ? 18 : 6;
-      
+    this.bridgeContract.on(filter, async (user, amount, withdrawalId, sourceChain, burnId, event) => {
+      const decimals = await getTokenDecimals(this.chainId);
+
       callback({
         user,
         amount: ethers.formatUnits(amount, decimals),